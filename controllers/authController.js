@@ -282,6 +282,46 @@ const verifyOtp = async (req, res) => {
   }
 };
 
+/**
+ * Assign a user to an organisation, or remove them with an empty value (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateUserOrganization = async (req, res) => {
+  try {
+    const organization = req.body.organization ? String(req.body.organization).trim() : '';
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.params.id,
+      organization
+        ? { organization, updatedAt: new Date() }
+        : { $unset: { organization: '' }, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    ).select('-__v');
+
+    if (!updatedUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User organization updated successfully',
+      user: updatedUser
+    });
+
+  } catch (error) {
+    console.error('Update user organization error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   verifyToken,
   getProfile,
@@ -289,5 +329,6 @@ module.exports = {
   deleteAccount,
   refreshToken,
   sendOtp,
-  verifyOtp
+  verifyOtp,
+  updateUserOrganization
 };
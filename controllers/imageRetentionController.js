@@ -0,0 +1,145 @@
+const ImageRetentionPolicy = require('../models/ImageRetentionPolicy');
+const { listRetentionPolicies, runImagePurge } = require('../services/imageRetentionService');
+
+/**
+ * List image retention periods: the default and each organisation's policy (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRetentionPolicies = async (req, res) => {
+  try {
+    const retention = await listRetentionPolicies();
+
+    res.status(200).json({
+      success: true,
+      message: 'Image retention policies retrieved successfully',
+      data: retention
+    });
+
+  } catch (error) {
+    console.error('Get image retention policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving image retention policies',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace an organisation's image retention period (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const upsertRetentionPolicy = async (req, res) => {
+  try {
+    const organization = req.body.organization ? String(req.body.organization).trim() : '';
+    const retentionDays = Number(req.body.retentionDays);
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        message: 'organization is required'
+      });
+    }
+
+    if (!Number.isInteger(retentionDays) || retentionDays < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'retentionDays must be a whole number of days, at least 1'
+      });
+    }
+
+    const policy = await ImageRetentionPolicy.findOneAndUpdate(
+      { organization },
+      { organization, retentionDays, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Image retention policy saved successfully',
+      data: {
+        policy
+      }
+    });
+
+  } catch (error) {
+    console.error('Save image retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving image retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an organisation's policy; its images fall back to the default period (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRetentionPolicy = async (req, res) => {
+  try {
+    const policy = await ImageRetentionPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image retention policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Image retention policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete image retention policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting image retention policy',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Run the image purge now instead of waiting for the schedule (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const purgeImages = async (req, res) => {
+  try {
+    const result = await runImagePurge();
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        message: 'An image purge is already running'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Expired OCR images purged successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Purge OCR images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error purging OCR images',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRetentionPolicies,
+  upsertRetentionPolicy,
+  deleteRetentionPolicy,
+  purgeImages
+};
@@ -0,0 +1,117 @@
+const MatchingSettings = require('../models/MatchingSettings');
+const { readMatchingSettings, listMatchingSettings } = require('../services/matchingSettingsService');
+
+/**
+ * List product matching settings: the defaults and each organisation's settings (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMatchingSettings = async (req, res) => {
+  try {
+    const matching = await listMatchingSettings();
+
+    res.status(200).json({
+      success: true,
+      message: 'Matching settings retrieved successfully',
+      data: matching
+    });
+
+  } catch (error) {
+    console.error('Get matching settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving matching settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace an organisation's matching settings (admin only).
+ * Settings left out fall back to the defaults.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const upsertMatchingSettings = async (req, res) => {
+  try {
+    const organization = req.body.organization ? String(req.body.organization).trim() : '';
+
+    if (!organization) {
+      return res.status(400).json({
+        success: false,
+        message: 'organization is required'
+      });
+    }
+
+    const { fields, error } = readMatchingSettings(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const unset = ['threshold', 'maxMatchScore', 'keys'].filter(field => fields[field] === undefined);
+    const settings = await MatchingSettings.findOneAndUpdate(
+      { organization },
+      {
+        $set: { organization, ...fields, updatedBy: req.user._id },
+        ...(unset.length > 0 && { $unset: Object.fromEntries(unset.map(field => [field, 1])) })
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Matching settings saved successfully',
+      data: {
+        settings
+      }
+    });
+
+  } catch (error) {
+    console.error('Save matching settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving matching settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an organisation's matching settings; it falls back to the defaults (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteMatchingSettings = async (req, res) => {
+  try {
+    const settings = await MatchingSettings.findByIdAndDelete(req.params.id);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        message: 'Matching settings not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Matching settings deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete matching settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting matching settings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMatchingSettings,
+  upsertMatchingSettings,
+  deleteMatchingSettings
+};
@@ -1,8 +1,277 @@
-const { extractTextFromImage, parseOCRResponse, calculateCostEstimate } = require('../services/ocrService');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OcrJob = require('../models/OcrJob');
+const Product = require('../models/Product');
+const { processDocument } = require('../services/ocrService');
+const { listProviders, getProvider } = require('../services/ocrProviders');
 const { matchProducts } = require('../services/matchingService');
+const { matchCustomer } = require('../services/customerMatchingService');
+const { parseQuantity } = require('../services/quantityService');
+const { resolveSteps } = require('../services/imagePreprocessService');
+const { cropRegion } = require('../services/ocrRegionService');
+const { resolvePromptTemplate, listPromptTemplates } = require('../services/promptTemplateService');
+const {
+  recordOCRJob,
+  enqueueOCRJob,
+  toJobStatus,
+  computeCacheKey,
+  findCachedOCRJob,
+  recordCacheHit
+} = require('../services/ocrJobService');
+const { notifyOCRWorker } = require('../services/ocrWorkerService');
+const { getCallbackSecret, checkCallbackUrl } = require('../services/ocrCallbackService');
+const { checkBudgets } = require('../services/ocrSpendService');
+const { estimateCost } = require('../services/pricingService');
+const { mapWithConcurrency, getBatchConcurrency, mergeBatchProducts } = require('../services/ocrBatchService');
+const { saveCorrections } = require('../services/ocrReviewService');
+const { readOriginalImage } = require('../services/imageRetentionService');
+const { createDraftQuotation } = require('../services/draftQuotationService');
+const { learnAliases } = require('../services/productAliasService');
+const { readMatchingSettings, resolveMatchingSettings } = require('../services/matchingSettingsService');
+
+// Comment lines sent on idle event streams so proxies do not drop the connection
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
+
+/**
+ * Per-page summary for the API response (raw text is kept in the job record)
+ * @param {Array<Object>} pages - Per-page results from processDocument
+ * @returns {Array<Object>}
+ */
+const summarizePages = (pages) => pages.map(({ page, success, productCount, error }) => ({
+  page,
+  success,
+  productCount,
+  error
+}));
+
+/**
+ * Validation and repair report for the API response
+ * @param {Object} parsedResult - Result of parseOCRResponse
+ * @returns {Object}
+ */
+const summarizeValidation = (parsedResult) => ({
+  repaired: Boolean(parsedResult && parsedResult.repairs && parsedResult.repairs.length > 0),
+  repairs: (parsedResult && parsedResult.repairs) || [],
+  errors: (parsedResult && parsedResult.validationErrors) || [],
+  rejectedProducts: (parsedResult && parsedResult.rejectedProducts) || []
+});
+
+/**
+ * Response data for a document answered from the result cache
+ * @param {Object} cachedJob - Job whose result is reused
+ * @param {Object|null} hitJob - Job recorded for the cache hit
+ * @returns {Object}
+ */
+const describeCachedResult = (cachedJob, hitJob) => ({
+  ...cachedJob.fields,
+  products: cachedJob.products,
+  provider: cachedJob.provider,
+  model: cachedJob.model,
+  documentType: cachedJob.documentType,
+  templateVersion: cachedJob.templateVersion,
+  validation: summarizeValidation({
+    repairs: cachedJob.repairs,
+    validationErrors: cachedJob.validationErrors,
+    rejectedProducts: cachedJob.rejectedProducts
+  }),
+  ...(cachedJob.confidence && { confidence: cachedJob.confidence }),
+  ...(cachedJob.preprocessing && { preprocessing: cachedJob.preprocessing }),
+  cached: true,
+  cachedFromJobId: cachedJob._id,
+  cachedAt: cachedJob.createdAt,
+  jobId: hitJob ? hitJob._id : null
+});
+
+/**
+ * Response data for a document the provider read successfully
+ * @param {Object} run - Result of processDocument plus the template and the recorded job
+ * @returns {Object}
+ */
+const describeOCRResult = ({ ocrResult, parsedResult, pages, preprocessing, template, job }) => ({
+  ...(parsedResult.success ? parsedResult.data : { products: [] }),
+  provider: ocrResult.provider,
+  model: ocrResult.model,
+  documentType: template.documentType,
+  templateVersion: template.version,
+  ...(parsedResult.success && { confidence: parsedResult.confidence }),
+  validation: summarizeValidation(parsedResult),
+  ...(preprocessing && { preprocessing }),
+  ...(pages.length > 0 && { pages: summarizePages(pages) }),
+  cached: false,
+  jobId: job ? job._id : null
+});
 
 /**
- * Process image and extract text using OCR
+ * 400 response for a documentType without a template
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>}
+ */
+const sendUnknownDocumentType = async (res) => {
+  const templates = await listPromptTemplates();
+
+  return res.status(400).json({
+    success: false,
+    message: `Unknown document type. Available document types: ${templates.map(template => template.documentType).join(', ')}`
+  });
+};
+
+/**
+ * 402 response for a user whose blocking OCR budget is used up
+ * @param {Object} res - Express response object
+ * @param {Object} budget - Result of checkBudgets
+ * @returns {Object}
+ */
+const sendBudgetExceeded = (res, budget) => res.status(402).json({
+  success: false,
+  message: 'Monthly OCR budget exceeded',
+  errors: budget.warnings,
+  budget: {
+    month: budget.month,
+    budgets: budget.budgets
+  }
+});
+
+/**
+ * 503 response while the OCR provider is failing or its circuit is open.
+ * Retry-After is set when the circuit breaker knows when the next call will be let through.
+ * @param {Object} res - Express response object
+ * @param {Object} ocrResult - Failed result of extractTextFromImage
+ * @param {Object} [details] - Extra response fields
+ * @returns {Object}
+ */
+const sendProviderUnavailable = (res, ocrResult, details = {}) => {
+  if (ocrResult.retryAfterMs) {
+    res.set('Retry-After', String(Math.ceil(ocrResult.retryAfterMs / 1000)));
+  }
+
+  return res.status(503).json({
+    success: false,
+    message: 'OCR provider is temporarily unavailable, please retry shortly',
+    error: ocrResult.error,
+    ...details
+  });
+};
+
+/**
+ * Check the provider, preprocessing and document type of an OCR upload and the user's budget.
+ * Sends the error response itself when a check fails.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - { preprocess, template, budgetWarnings }, or null when a response was sent
+ */
+const prepareOCRRequest = async (req, res) => {
+  const { provider } = req.body;
+
+  if (provider && !listProviders().includes(provider)) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown OCR provider. Available providers: ${listProviders().join(', ')}`
+    });
+    return null;
+  }
+
+  let preprocess;
+  try {
+    preprocess = resolveSteps(req.body.preprocess);
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: 'preprocess must be true, false or a JSON object of steps'
+    });
+    return null;
+  }
+
+  const template = await resolvePromptTemplate(req.body.documentType);
+  if (!template) {
+    await sendUnknownDocumentType(res);
+    return null;
+  }
+
+  const providerModule = getProvider(provider);
+  const budget = await checkBudgets(req.user, {
+    provider: providerModule.name,
+    model: providerModule.getModel ? providerModule.getModel() : undefined
+  });
+  if (!budget.allowed) {
+    sendBudgetExceeded(res, budget);
+    return null;
+  }
+
+  return {
+    preprocess,
+    template,
+    budgetWarnings: budget.warnings.length > 0 ? { budgetWarnings: budget.warnings } : {}
+  };
+};
+
+/**
+ * Answer an upload from the result cache, or run OCR on it; the job is recorded either way.
+ * Re-uploads of the same document are answered from the stored result unless req.body.force is set.
+ * @param {Object} req - Express request object with the uploaded file
+ * @param {Object} options - Provider, preprocess, template and cache key of the request
+ * @param {Function} [options.onProgress] - Progress callback passed to processDocument
+ * @returns {Promise<Object>} - { data } with the response data, or { failure } when the provider could not read it
+ */
+const runOCR = async (req, { provider, preprocess, template, cache, onProgress }) => {
+  const startedAt = new Date();
+  const force = req.body.force === true || req.body.force === 'true';
+  const cachedJob = force ? null : await findCachedOCRJob(req.user, cache.cacheKey);
+
+  if (cachedJob) {
+    const hitJob = await recordCacheHit({ user: req.user, file: req.file, sourceJob: cachedJob, cache, startedAt });
+    return { data: describeCachedResult(cachedJob, hitJob) };
+  }
+
+  // PDFs are split and processed page by page
+  const { ocrResult, parsedResult, pages, preprocessing, sourceImage } = await processDocument(req.file.buffer, req.file.mimetype, {
+    provider,
+    preprocess,
+    template,
+    onProgress
+  });
+
+  if (!ocrResult.success) {
+    const failedJob = await recordOCRJob({ user: req.user, file: req.file, ocrResult, pages, preprocessing, template, cache, startedAt });
+    return { failure: { ocrResult, pages, jobId: failedJob ? failedJob._id : null } };
+  }
+
+  const job = await recordOCRJob({
+    user: req.user,
+    file: req.file,
+    ocrResult,
+    parsedResult,
+    pages,
+    preprocessing,
+    sourceImage,
+    template,
+    cache,
+    startedAt
+  });
+
+  return { data: describeOCRResult({ ocrResult, parsedResult, pages, preprocessing, template, job }) };
+};
+
+/**
+ * 503 when the provider is unavailable, 500 for any other OCR failure
+ * @param {Object} res - Express response object
+ * @param {Object} failure - Failure returned by runOCR
+ */
+const sendOCRFailure = (res, { ocrResult, pages, jobId }) => {
+  if (ocrResult.unavailable) {
+    return sendProviderUnavailable(res, ocrResult, { jobId });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: 'OCR processing failed',
+    error: ocrResult.error,
+    ...(pages.length > 0 && { pages: summarizePages(pages) }),
+    jobId
+  });
+};
+
+/**
+ * Process image or PDF and extract text using OCR
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -11,31 +280,62 @@ const processImageOCR = async (req, res) => {
     if (!req.file) {
       return res.status(400).json({
         success: false,
-        message: 'No image file provided'
+        message: 'No image or PDF file provided'
       });
     }
 
-    const imageBuffer = req.file.buffer;
-    const mimeType = req.file.mimetype;
+    const { provider, callbackUrl } = req.body;
 
-    // Extract text using OCR
-    const ocrResult = await extractTextFromImage(imageBuffer, mimeType);
+    const prepared = await prepareOCRRequest(req, res);
+    if (!prepared) return;
+    const { preprocess, template, budgetWarnings } = prepared;
 
-    if (!ocrResult.success) {
-      return res.status(500).json({
-        success: false,
-        message: 'OCR processing failed',
-        error: ocrResult.error
+    const cache = computeCacheKey(req.file.buffer, provider, preprocess, template);
+
+    // A callback URL only makes sense for async processing, so it implies async mode
+    const isAsync = req.body.async === true || req.body.async === 'true' || Boolean(callbackUrl);
+
+    if (isAsync) {
+      if (callbackUrl && !getCallbackSecret()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Callbacks are disabled: OCR_CALLBACK_SECRET is not set'
+        });
+      }
+
+      const callbackError = callbackUrl ? await checkCallbackUrl(callbackUrl) : null;
+      if (callbackError) {
+        return res.status(400).json({
+          success: false,
+          message: callbackError
+        });
+      }
+
+      const queuedJob = await enqueueOCRJob({ user: req.user, file: req.file, provider, preprocess, template, cache, callbackUrl });
+      notifyOCRWorker();
+
+      return res.status(202).json({
+        success: true,
+        message: 'OCR job queued',
+        data: {
+          jobId: queuedJob._id,
+          status: queuedJob.status,
+          statusUrl: `/api/ocr/jobs/${queuedJob._id}`,
+          ...budgetWarnings
+        }
       });
     }
 
-    // Parse OCR response
-    const parsedResult = parseOCRResponse(ocrResult.text);
+    const { data, failure } = await runOCR(req, { provider, preprocess, template, cache });
+    if (failure) return sendOCRFailure(res, failure);
 
     res.status(200).json({
       success: true,
-      message: 'OCR processing completed successfully',
-      data: parsedResult.success ? parsedResult.data : { products: [] }
+      message: data.cached ? 'OCR result returned from cache' : 'OCR processing completed successfully',
+      data: {
+        ...data,
+        ...budgetWarnings
+      }
     });
 
   } catch (error) {
@@ -49,13 +349,313 @@ const processImageOCR = async (req, res) => {
 };
 
 /**
- * Process OCR data and create products/quotations
+ * Switch a response to Server-Sent Events
+ * @param {Object} res - Express response object
+ * @returns {Object} - { send(event, data), close() }; sending after the client has gone is a no-op
+ */
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stops nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let open = true;
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+  res.on('close', () => {
+    open = false;
+    clearInterval(heartbeat);
+  });
+
+  return {
+    send: (event, data) => {
+      if (open) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close: () => {
+      clearInterval(heartbeat);
+      if (open) res.end();
+      open = false;
+    }
+  };
+};
+
+/**
+ * Process an image or PDF like /process, streaming progress as Server-Sent Events.
+ * Stage events follow the document through upload, preprocessing, the model call, parsing and matching;
+ * product lines are streamed as the model writes them, and a final "done" event carries the full result.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const processImageOCRStream = async (req, res) => {
+  let stream;
+
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image or PDF file provided'
+      });
+    }
+
+    const { provider } = req.body;
+
+    // Request errors are still plain JSON responses; the stream starts once the upload is accepted
+    const prepared = await prepareOCRRequest(req, res);
+    if (!prepared) return;
+    const { preprocess, template, budgetWarnings } = prepared;
+
+    const cache = computeCacheKey(req.file.buffer, provider, preprocess, template);
+
+    stream = openEventStream(res);
+    stream.send('stage', {
+      stage: 'uploaded',
+      file: {
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      },
+      documentType: template.documentType,
+      templateVersion: template.version
+    });
+
+    const { data, failure } = await runOCR(req, {
+      provider,
+      preprocess,
+      template,
+      cache,
+      onProgress: (event, eventData) => stream.send(event, eventData)
+    });
+
+    if (failure) {
+      const { ocrResult, pages, jobId } = failure;
+      stream.send('error', {
+        statusCode: ocrResult.unavailable ? 503 : 500,
+        message: ocrResult.unavailable
+          ? 'OCR provider is temporarily unavailable, please retry shortly'
+          : 'OCR processing failed',
+        error: ocrResult.error,
+        ...(ocrResult.retryAfterMs && { retryAfterMs: ocrResult.retryAfterMs }),
+        ...(pages.length > 0 && { pages: summarizePages(pages) }),
+        jobId
+      });
+      return stream.close();
+    }
+
+    if (data.products.length > 0) {
+      stream.send('stage', { stage: 'matching' });
+      data.matchedProducts = await priceProducts(data.products, await resolveMatchingSettings(req.user));
+    }
+    const customer = await matchCustomer(data.document);
+    if (customer) data.customer = customer;
+
+    stream.send('done', {
+      ...data,
+      ...budgetWarnings
+    });
+    stream.close();
+
+  } catch (error) {
+    console.error('OCR stream processing error:', error);
+
+    if (!stream) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error during OCR processing',
+        error: error.message
+      });
+    }
+
+    stream.send('error', {
+      statusCode: 500,
+      message: 'Server error during OCR processing',
+      error: error.message
+    });
+    stream.close();
+  }
+};
+
+/**
+ * Process several images of one order and merge their products
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const processBatchOCR = async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image files provided'
+      });
+    }
+
+    const { provider } = req.body;
+
+    const prepared = await prepareOCRRequest(req, res);
+    if (!prepared) return;
+    const { preprocess, template, budgetWarnings } = prepared;
+
+    const batchId = crypto.randomUUID();
+
+    const imageResults = await mapWithConcurrency(req.files, getBatchConcurrency(), async (file, index) => {
+      const startedAt = new Date();
+      const { ocrResult, parsedResult, pages, preprocessing, sourceImage } = await processDocument(file.buffer, file.mimetype, { provider, preprocess, template });
+      const cache = computeCacheKey(file.buffer, provider, preprocess, template);
+      const job = await recordOCRJob({
+        user: req.user,
+        file,
+        ocrResult,
+        parsedResult,
+        pages,
+        preprocessing,
+        sourceImage,
+        template,
+        cache,
+        batchId,
+        startedAt
+      });
+      const success = Boolean(ocrResult.success && parsedResult && parsedResult.success);
+
+      return {
+        ocrResult,
+        image: index + 1,
+        originalName: file.originalname,
+        success,
+        productCount: success ? parsedResult.data.products.length : 0,
+        products: success ? parsedResult.data.products : [],
+        error: success ? undefined : (ocrResult.error || parsedResult.error),
+        confidence: success ? parsedResult.confidence : undefined,
+        validation: summarizeValidation(parsedResult),
+        preprocessing,
+        cost: job ? job.costEstimate : await estimateCost(ocrResult.usageMetadata, {
+          provider: ocrResult.provider,
+          model: ocrResult.model,
+          at: startedAt
+        }),
+        jobId: job ? job._id : null
+      };
+    });
+
+    const { products, duplicatesRemoved } = mergeBatchProducts(imageResults.filter(result => result.success));
+    const succeeded = imageResults.filter(result => result.success).length;
+    const totalCost = imageResults.reduce((sum, result) => sum + (result.cost ? result.cost.total_cost_usd : 0), 0);
+
+    const unavailable = imageResults.find(result => result.ocrResult.unavailable);
+    if (succeeded === 0 && unavailable) {
+      return sendProviderUnavailable(res, unavailable.ocrResult, {
+        data: {
+          batchId,
+          images: imageResults.map(({ ocrResult, products: imageProducts, ...summary }) => summary)
+        }
+      });
+    }
+
+    res.status(succeeded > 0 ? 200 : 500).json({
+      success: succeeded > 0,
+      message: succeeded > 0
+        ? `Batch OCR processing completed for ${succeeded} of ${imageResults.length} images`
+        : 'Batch OCR processing failed for every image',
+      data: {
+        batchId,
+        documentType: template.documentType,
+        templateVersion: template.version,
+        products,
+        images: imageResults.map(({ ocrResult, products: imageProducts, ...summary }) => summary),
+        summary: {
+          totalImages: imageResults.length,
+          succeeded,
+          failed: imageResults.length - succeeded,
+          totalProducts: products.length,
+          duplicatesRemoved,
+          total_cost_usd: totalCost
+        },
+        ...budgetWarnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Batch OCR processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during batch OCR processing',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Match extracted products with the database and add price, discount and parsed quantities
+ * @param {Array<Object>} data - Extracted products
+ * @param {Object} settings - Matching settings (see matchingSettingsService)
+ * @returns {Promise<Array<Object>>}
+ */
+const priceProducts = async (data, settings) => {
+  // Lines with a product_id were resolved by the user; the rest are matched with the database
+  const chosenIds = data
+    .map(product => product.product_id)
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id));
+  const chosenProducts = chosenIds.length > 0 ? await Product.find({ _id: { $in: chosenIds } }) : [];
+  const chosenById = new Map(chosenProducts.map(product => [product._id.toString(), product]));
+  const matchingResult = await matchProducts(data.filter(product => !chosenById.has(String(product.product_id))), settings);
+
+  // Create a map for easy lookup of matched products
+  const matchedProductsMap = new Map();
+  matchingResult.matchedProducts.forEach(match => {
+    matchedProductsMap.set(match.extracted.item_number, match.matched);
+  });
+  data.forEach(product => {
+    if (chosenById.has(String(product.product_id))) {
+      matchedProductsMap.set(product.item_number, chosenById.get(String(product.product_id)));
+    }
+  });
+
+  // Build the response by augmenting the original data with price, discount and parsed quantities
+  return data.map(rawProduct => {
+    const matchedProduct = matchedProductsMap.get(rawProduct.item_number);
+    const inputProduct = {
+      ...rawProduct,
+      normalized_quantity: parseQuantity(rawProduct.total_quantity),
+      ...(Array.isArray(rawProduct.sub_quantities) && {
+        sub_quantities: rawProduct.sub_quantities.map(sub => ({
+          ...sub,
+          normalized_quantity: parseQuantity(sub.quantity)
+        }))
+      })
+    };
+
+    if (matchedProduct) {
+      // If a match was found, add price and discount
+      return {
+        ...inputProduct,
+        price: matchedProduct.price,
+        defaultDiscount: matchedProduct.defaultDiscount,
+      };
+    } else {
+      // If no match was found, return the original product with null values
+      return {
+        ...inputProduct,
+        price: null,
+        defaultDiscount: null,
+      };
+    }
+  });
+};
+
+/**
+ * Process OCR data and create products/quotations.
+ * With a jobId, the lines are also stored as that job's review corrections, unless its review
+ * is already approved: reopening one takes an explicit edit of the review.
+ * The customer named in the document header (sent, or read from the job) is looked up among known customers.
+ * Lines carrying a product_id use that product, and the pairing is learned as an alias.
+ * Matching uses the organisation's settings, overridden by any sent under "matching".
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const processOCRData = async (req, res) => {
   try {
-    const { data } = req.body;
+    const { data, jobId, document, matching } = req.body;
 
     if (!data || !Array.isArray(data) || data.length === 0) {
       return res.status(400).json({
@@ -64,40 +664,68 @@ const processOCRData = async (req, res) => {
       });
     }
 
-    // Match products with the database
-    const matchingResult = await matchProducts(data);
+    const { fields: overrides, error: matchingError } = matching === undefined ? { fields: {} } : readMatchingSettings(matching);
+    if (matchingError) {
+      return res.status(400).json({
+        success: false,
+        message: matchingError
+      });
+    }
 
-    // Create a map for easy lookup of matched products
-    const matchedProductsMap = new Map();
-    matchingResult.matchedProducts.forEach(match => {
-      matchedProductsMap.set(match.extracted.item_number, match.matched);
-    });
+    let review;
+    let header = document;
+    if (jobId) {
+      const job = mongoose.Types.ObjectId.isValid(jobId) ? await OcrJob.findById(jobId) : null;
+      const isOwner = job && job.user && job.user.equals(req.user._id);
 
-    // Build the response by augmenting the original data with price and discount
-    const responseData = data.map(inputProduct => {
-      const matchedProduct = matchedProductsMap.get(inputProduct.item_number);
+      if (!job || (!isOwner && req.user.role !== 'admin') || job.status !== 'completed') {
+        return res.status(404).json({
+          success: false,
+          message: 'Completed OCR job not found'
+        });
+      }
 
-      if (matchedProduct) {
-        // If a match was found, add price and discount
-        return {
-          ...inputProduct,
-          price: matchedProduct.price,
-          defaultDiscount: matchedProduct.defaultDiscount,
-        };
-      } else {
-        // If no match was found, return the original product with null values
-        return {
-          ...inputProduct,
-          price: null,
-          defaultDiscount: null,
-        };
+      const approved = job.review && job.review.status === 'approved';
+      const { job: reviewedJob, errors } = approved
+        ? { job }
+        : await saveCorrections(job, { products: data, user: req.user });
+      if (!reviewedJob) {
+        return res.status(400).json({
+          success: false,
+          message: 'Corrected products are invalid',
+          errors
+        });
       }
-    });
+      review = {
+        jobId: reviewedJob._id,
+        status: reviewedJob.review.status,
+        changes: reviewedJob.review.changes.length,
+        correctionsSaved: !approved
+      };
+      if (header === undefined && job.fields) header = job.fields.document;
+    }
+
+    const settings = await resolveMatchingSettings(req.user, overrides);
+    const [responseData, customer] = await Promise.all([
+      priceProducts(data, settings),
+      matchCustomer(header)
+    ]);
+
+    // A product_id on a line is a suggestion the user accepted; remember it for next time
+    await learnAliases(
+      data
+        .filter(product => product.product_name && mongoose.Types.ObjectId.isValid(product.product_id))
+        .map(product => ({ text: product.product_name, productId: product.product_id })),
+      { source: 'suggestion', user: req.user }
+    );
 
     res.status(200).json({
       success: true,
       message: 'Product matching completed successfully.',
       data: responseData,
+      matching: settings,
+      ...(customer && { customer }),
+      ...(review && { review })
     });
 
   } catch (error) {
@@ -110,6 +738,134 @@ const processOCRData = async (req, res) => {
   }
 };
 
+/**
+ * Read the startDate and endDate query parameters into a createdAt condition
+ * @param {Object} query - { startDate, endDate }
+ * @returns {Object} - { range, error }; range is undefined when neither date is given
+ */
+const readDateRange = ({ startDate, endDate }) => {
+  const range = {};
+  for (const [field, operator, value] of [['startDate', '$gte', startDate], ['endDate', '$lte', endDate]]) {
+    if (value === undefined || value === '') continue;
+    range[operator] = new Date(value);
+    if (Number.isNaN(range[operator].getTime())) {
+      return { error: `${field} must be a date` };
+    }
+  }
+
+  return { range: Object.keys(range).length > 0 ? range : undefined };
+};
+
+/**
+ * Read customer details sent as an object or, in multipart forms, as a JSON string
+ * @param {*} value - req.body.customer
+ * @returns {Object|null} - Customer, or null when it is missing, malformed or has no name
+ */
+const parseCustomer = (value) => {
+  let customer = value;
+  if (typeof customer === 'string') {
+    try {
+      customer = JSON.parse(customer);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return customer && typeof customer === 'object' && typeof customer.name === 'string' && customer.name.trim()
+    ? customer
+    : null;
+};
+
+/**
+ * Read an image or PDF and turn it into a draft quotation in one step.
+ * Lines matched with confidence become priced items; the rest come back for the user to resolve.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createQuotationFromImage = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No image or PDF file provided'
+      });
+    }
+
+    const customer = parseCustomer(req.body.customer);
+    if (!customer) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer details with a name are required'
+      });
+    }
+
+    const { provider, notes, validUntil } = req.body;
+
+    const prepared = await prepareOCRRequest(req, res);
+    if (!prepared) return;
+    const { preprocess, template, budgetWarnings } = prepared;
+
+    const cache = computeCacheKey(req.file.buffer, provider, preprocess, template);
+    const { data, failure } = await runOCR(req, { provider, preprocess, template, cache });
+    if (failure) return sendOCRFailure(res, failure);
+
+    const ocr = {
+      jobId: data.jobId,
+      cached: data.cached,
+      provider: data.provider,
+      model: data.model,
+      documentType: data.documentType,
+      ...(data.document && { document: data.document })
+    };
+
+    if (data.products.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No product lines were read from the document',
+        data: { ocr, ...budgetWarnings }
+      });
+    }
+
+    const { quotation, selected, unresolved } = await createDraftQuotation({
+      products: data.products,
+      customer,
+      notes,
+      validUntil,
+      user: req.user
+    });
+
+    if (!quotation) {
+      return res.status(422).json({
+        success: false,
+        message: 'No line could be matched to a product with confidence; resolve the lines and create the quotation',
+        data: { selected, unresolved, ocr, ...budgetWarnings }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: unresolved.length > 0
+        ? `Draft quotation created; ${unresolved.length} line(s) need attention`
+        : 'Draft quotation created successfully',
+      data: {
+        quotation,
+        selected,
+        unresolved,
+        ocr,
+        ...budgetWarnings
+      }
+    });
+
+  } catch (error) {
+    console.error('Draft quotation from image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating quotation from image',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get OCR processing history
  * @param {Object} req - Express request object
@@ -117,12 +873,86 @@ const processOCRData = async (req, res) => {
  */
 const getOCRHistory = async (req, res) => {
   try {
-    // TODO: Implement OCR history storage and retrieval
-    // For now, return a placeholder response
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      provider,
+      batchId,
+      documentType,
+      startDate,
+      endDate,
+      userId
+    } = req.query;
+
+    if (req.user.role === 'admin' && userId && !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userId must be a valid user ID'
+      });
+    }
+
+    const { range: createdAt, error: dateError } = readDateRange({ startDate, endDate });
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    // Build filter object; regular users only ever see their own jobs
+    const filter = {};
+
+    if (req.user.role === 'admin') {
+      if (userId) filter.user = userId;
+    } else {
+      filter.user = req.user._id;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (provider) {
+      filter.provider = provider;
+    }
+
+    if (batchId) {
+      filter.batchId = batchId;
+    }
+
+    if (documentType) {
+      filter.documentType = documentType;
+    }
+
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
+
+    // Raw model text can be large, so it is only returned by the detail endpoint
+    const jobs = await OcrJob.find(filter)
+      .populate('user', 'displayName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-rawText -__v');
+
+    const total = await OcrJob.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
     res.status(200).json({
       success: true,
-      message: 'OCR history feature not yet implemented',
-      data: []
+      message: 'OCR history retrieved successfully',
+      data: {
+        jobs,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalJobs: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
     });
 
   } catch (error) {
@@ -135,6 +965,201 @@ const getOCRHistory = async (req, res) => {
   }
 };
 
+/**
+ * Get a single OCR job by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOCRJobById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await OcrJob.findById(id)
+      .populate('user', 'displayName email');
+
+    const isOwner = job && job.user && job.user._id.equals(req.user._id);
+
+    if (!job || (!isOwner && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR job retrieved successfully',
+      data: job
+    });
+
+  } catch (error) {
+    console.error('Get OCR job by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR job',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the status of an OCR job, including its result once finished
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOCRJobStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await OcrJob.findById(id);
+
+    const isOwner = job && job.user && job.user.equals(req.user._id);
+
+    if (!job || (!isOwner && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR job not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR job status retrieved successfully',
+      data: toJobStatus(job)
+    });
+
+  } catch (error) {
+    console.error('Get OCR job status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR job status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a crop of the source image showing one extracted line
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOCRJobCrop = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { item, sub, padding = 0.02 } = req.query;
+
+    let job = await OcrJob.findById(id).select('+sourceImage.data');
+
+    const isOwner = job && job.user && job.user.equals(req.user._id);
+
+    if (!job || (!isOwner && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR job not found'
+      });
+    }
+
+    const product = job.products.find(entry => String(entry.item_number) === String(item));
+    const entry = product && sub !== undefined
+      ? (product.sub_quantities || [])[parseInt(sub, 10)]
+      : product;
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Extracted line not found in this OCR job'
+      });
+    }
+
+    if (!entry.region) {
+      return res.status(400).json({
+        success: false,
+        message: 'This line has no source region'
+      });
+    }
+
+    // Cache hits reuse the image stored on the job they were served from
+    if (job.cacheHit && job.cachedFromJob) {
+      job = await OcrJob.findById(job.cachedFromJob).select('+sourceImage.data');
+    }
+
+    if (!job || !job.sourceImage || !job.sourceImage.data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source image is not available for this OCR job'
+      });
+    }
+
+    const crop = await cropRegion(job.sourceImage.data, entry.region, Math.min(Math.max(parseFloat(padding) || 0, 0), 0.5));
+
+    res.set('Content-Type', 'image/jpeg');
+    res.status(200).send(crop);
+
+  } catch (error) {
+    console.error('Get OCR job crop error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cropping OCR source image',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the original file uploaded for an OCR job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOCRJobImage = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const job = await OcrJob.findById(id);
+
+    const isOwner = job && job.user && job.user.equals(req.user._id);
+
+    if (!job || (!isOwner && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR job not found'
+      });
+    }
+
+    if (job.originalImage && job.originalImage.purgedAt) {
+      return res.status(410).json({
+        success: false,
+        message: 'The original image was deleted at the end of its retention period',
+        purgedAt: job.originalImage.purgedAt
+      });
+    }
+
+    const image = await readOriginalImage(job);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Original image is not available for this OCR job'
+      });
+    }
+
+    const fileName = (job.file && job.file.originalName) || `${job._id}`;
+    res.set({
+      'Content-Type': image.mimeType || 'application/octet-stream',
+      'Content-Disposition': `inline; filename="${fileName.replace(/[^\x20-\x7E]|["\\]/g, '_')}"`,
+      'Cache-Control': 'private, no-store'
+    });
+    res.status(200).send(image.buffer);
+
+  } catch (error) {
+    console.error('Get OCR job image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR image',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get OCR processing statistics
  * @param {Object} req - Express request object
@@ -142,14 +1167,127 @@ const getOCRHistory = async (req, res) => {
  */
 const getOCRStats = async (req, res) => {
   try {
-    // TODO: Implement OCR statistics tracking
-    // For now, return placeholder data
+    const { startDate, endDate, groupBy = 'day' } = req.query;
+
+    if (!['day', 'week'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be either "day" or "week"'
+      });
+    }
+
+    const { range: createdAt, error: dateError } = readDateRange({ startDate, endDate });
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    // Build match stage; regular users only see their own usage.
+    // Queued and in-flight async jobs have no outcome yet, so they are left out.
+    const match = { status: { $in: ['completed', 'failed'] } };
+
+    if (req.user.role !== 'admin') {
+      match.user = req.user._id;
+    }
+
+    if (createdAt) {
+      match.createdAt = createdAt;
+    }
+
+    const totalsGroup = {
+      totalProcessed: { $sum: 1 },
+      successfulExtractions: { $sum: { $cond: ['$parseSuccess', 1, 0] } },
+      failedExtractions: { $sum: { $cond: ['$parseSuccess', 0, 1] } },
+      averageProcessingTime: { $avg: '$processingTimeMs' },
+      totalTokens: { $sum: '$usageMetadata.totalTokenCount' },
+      totalCost: { $sum: '$costEstimate.total_cost_usd' },
+      cacheHits: { $sum: { $cond: ['$cacheHit', 1, 0] } },
+      costSaved: { $sum: '$costSavedUsd' }
+    };
+
+    // ISO week keys (e.g. 2024-W07) keep weeks spanning a year boundary together
+    const periodFormat = groupBy === 'week' ? '%G-W%V' : '%Y-%m-%d';
+
+    const [result] = await OcrJob.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          general: [
+            { $group: { _id: null, ...totalsGroup } },
+            { $project: { _id: 0 } }
+          ],
+          byUser: [
+            { $group: { _id: '$user', ...totalsGroup } },
+            {
+              $lookup: {
+                from: 'users',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'user'
+              }
+            },
+            { $unwind: { path: '$user', preserveNullAndEmptyArrays: true } },
+            {
+              $project: {
+                _id: 0,
+                userId: '$_id',
+                displayName: '$user.displayName',
+                email: '$user.email',
+                totalProcessed: 1,
+                successfulExtractions: 1,
+                failedExtractions: 1,
+                averageProcessingTime: 1,
+                totalTokens: 1,
+                totalCost: 1,
+                cacheHits: 1,
+                costSaved: 1
+              }
+            },
+            { $sort: { totalCost: -1 } }
+          ],
+          byPeriod: [
+            {
+              $group: {
+                _id: { $dateToString: { format: periodFormat, date: '$createdAt' } },
+                ...totalsGroup
+              }
+            },
+            {
+              $project: {
+                _id: 0,
+                period: '$_id',
+                totalProcessed: 1,
+                successfulExtractions: 1,
+                failedExtractions: 1,
+                averageProcessingTime: 1,
+                totalTokens: 1,
+                totalCost: 1,
+                cacheHits: 1,
+                costSaved: 1
+              }
+            },
+            { $sort: { period: 1 } }
+          ]
+        }
+      }
+    ]);
+
     const stats = {
-      totalProcessed: 0,
-      successfulExtractions: 0,
-      failedExtractions: 0,
-      averageProcessingTime: 0,
-      totalCost: 0
+      ...(result.general[0] || {
+        totalProcessed: 0,
+        successfulExtractions: 0,
+        failedExtractions: 0,
+        averageProcessingTime: 0,
+        totalTokens: 0,
+        totalCost: 0,
+        cacheHits: 0,
+        costSaved: 0
+      }),
+      groupBy,
+      byUser: result.byUser,
+      byPeriod: result.byPeriod
     };
 
     res.status(200).json({
@@ -170,7 +1308,14 @@ const getOCRStats = async (req, res) => {
 
 module.exports = {
   processImageOCR,
+  processImageOCRStream,
+  processBatchOCR,
   processOCRData,
+  createQuotationFromImage,
   getOCRHistory,
+  getOCRJobById,
+  getOCRJobStatus,
+  getOCRJobCrop,
+  getOCRJobImage,
   getOCRStats
 };
@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const OcrJob = require('../models/OcrJob');
+const {
+  REVIEW_STATUSES,
+  saveCorrections,
+  approveReview,
+  toReviewView,
+  reviewStatusFilter,
+  toDatasetRecord,
+  findApprovedReviews,
+  summarizeDataset
+} = require('../services/ocrReviewService');
+
+/**
+ * Load a job the requesting user may review: their own, or any job for admins
+ * @param {string} id - Job ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<Object|null>}
+ */
+const findReviewableJob = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const job = await OcrJob.findById(id);
+  const isOwner = job && job.user && job.user.equals(user._id);
+
+  return job && (isOwner || user.role === 'admin') ? job : null;
+};
+
+/**
+ * 404 for a missing job, 400 for one that has nothing to review
+ * @param {Object} res - Express response object
+ * @param {Object|null} job - Result of findReviewableJob
+ * @returns {Object|null} - The response sent, or null when the job can be reviewed
+ */
+const rejectUnreviewable = (res, job) => {
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'OCR job not found'
+    });
+  }
+  if (job.status !== 'completed') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only completed OCR jobs can be reviewed'
+    });
+  }
+  return null;
+};
+
+/**
+ * List completed jobs by review status (own jobs; admins see everyone's)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const { status = 'pending', documentType } = req.query;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${REVIEW_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = { status: 'completed', ...reviewStatusFilter(status) };
+    if (req.user.role !== 'admin') filter.user = req.user._id;
+    if (documentType) filter.documentType = documentType;
+
+    const [jobs, total] = await Promise.all([
+      OcrJob.find(filter)
+        .select('user file documentType templateVersion products confidence review.status review.updatedAt review.approvedAt createdAt')
+        .populate('user', 'displayName email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      OcrJob.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR review queue retrieved successfully',
+      data: {
+        jobs: jobs.map(job => ({
+          jobId: job._id,
+          user: job.user,
+          file: job.file,
+          documentType: job.documentType,
+          templateVersion: job.templateVersion,
+          reviewStatus: job.review && job.review.status ? job.review.status : 'pending',
+          productCount: job.products.length,
+          lowConfidenceCount: job.confidence ? job.confidence.lowConfidenceCount : undefined,
+          createdAt: job.createdAt,
+          reviewUpdatedAt: job.review ? job.review.updatedAt : undefined,
+          approvedAt: job.review ? job.review.approvedAt : undefined
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get OCR review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR review queue',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a job's model output next to its corrections and their history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReview = async (req, res) => {
+  try {
+    const job = await findReviewableJob(req.params.id, req.user);
+    if (rejectUnreviewable(res, job)) return;
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR review retrieved successfully',
+      data: toReviewView(job)
+    });
+
+  } catch (error) {
+    console.error('Get OCR review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save corrected lines for a job; the job moves to in_review
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateReview = async (req, res) => {
+  try {
+    const job = await findReviewableJob(req.params.id, req.user);
+    if (rejectUnreviewable(res, job)) return;
+
+    const { products, note } = req.body;
+    const { job: saved, errors } = await saveCorrections(job, { products, note, user: req.user });
+
+    if (!saved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Corrected products are invalid',
+        errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR corrections saved successfully',
+      data: toReviewView(saved)
+    });
+
+  } catch (error) {
+    console.error('Update OCR review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving OCR corrections',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve a job's lines, optionally saving a last set of corrections first.
+ * Admin only (enforced by the route), so owners cannot sign off their own corrections.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveOCRReview = async (req, res) => {
+  try {
+    const job = await findReviewableJob(req.params.id, req.user);
+    if (rejectUnreviewable(res, job)) return;
+
+    const { products, note } = req.body || {};
+    let saved;
+
+    if (products !== undefined) {
+      const result = await saveCorrections(job, { products, note, user: req.user, status: 'approved' });
+      if (!result.job) {
+        return res.status(400).json({
+          success: false,
+          message: 'Corrected products are invalid',
+          errors: result.errors
+        });
+      }
+      saved = result.job;
+    } else {
+      saved = await approveReview(job, req.user);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR review approved successfully',
+      data: toReviewView(saved)
+    });
+
+  } catch (error) {
+    console.error('Approve OCR review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error approving OCR review',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export approved reviews as a labeled dataset (admin only).
+ * JSON by default; format=jsonl streams one record per line for training and evaluation tools.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportReviewDataset = async (req, res) => {
+  try {
+    const { format = 'json', startDate, endDate, documentType, model } = req.query;
+
+    if (!['json', 'jsonl'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'format must be json or jsonl'
+      });
+    }
+
+    const query = findApprovedReviews({ startDate, endDate, documentType, model });
+
+    if (format === 'jsonl') {
+      res.status(200).set({
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': 'attachment; filename="ocr-corrections.jsonl"'
+      });
+      for await (const job of query.cursor()) {
+        res.write(`${JSON.stringify(toDatasetRecord(job))}\n`);
+      }
+      return res.end();
+    }
+
+    const records = (await query).map(toDatasetRecord);
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR correction dataset exported successfully',
+      data: {
+        summary: summarizeDataset(records),
+        records
+      }
+    });
+
+  } catch (error) {
+    console.error('Export OCR review dataset error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Server error exporting OCR correction dataset',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReviewQueue,
+  getReview,
+  updateReview,
+  approveOCRReview,
+  exportReviewDataset
+};
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const OcrBudget = require('../models/OcrBudget');
+const User = require('../models/User');
+const { isValidMonth, checkBudgets, getSpendReport, setBudget } = require('../services/ocrSpendService');
+
+/**
+ * Report OCR spend by user, month and model.
+ * Regular users only see their own spend; admins see everyone and may filter by user or organisation.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOCRSpend = async (req, res) => {
+  try {
+    const { startMonth, endMonth, userId, organization, model } = req.query;
+
+    if ((startMonth && !isValidMonth(startMonth)) || (endMonth && !isValidMonth(endMonth))) {
+      return res.status(400).json({
+        success: false,
+        message: 'startMonth and endMonth must be in YYYY-MM format'
+      });
+    }
+
+    const filters = { startMonth, endMonth, model };
+
+    if (req.user.role === 'admin') {
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid userId'
+        });
+      }
+      filters.userId = userId;
+      filters.organization = organization;
+    } else {
+      filters.userId = req.user._id.toString();
+    }
+
+    const report = await getSpendReport(filters);
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR spend retrieved successfully',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Get OCR spend error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR spend',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Current month's usage of every budget that applies to the requesting user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBudgetStatus = async (req, res) => {
+  try {
+    const budget = await checkBudgets(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR budget status retrieved successfully',
+      data: budget
+    });
+
+  } catch (error) {
+    console.error('Get OCR budget status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR budget status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List all OCR budgets (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBudgets = async (req, res) => {
+  try {
+    const budgets = await OcrBudget.find()
+      .populate('user', 'email displayName organization')
+      .sort({ scope: 1, organization: 1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR budgets retrieved successfully',
+      data: {
+        budgets
+      }
+    });
+
+  } catch (error) {
+    console.error('Get OCR budgets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving OCR budgets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or replace the monthly budget of a user or an organisation (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const upsertBudget = async (req, res) => {
+  try {
+    const { userId, organization, monthlyTokenLimit, monthlyCostLimitUsd, action } = req.body;
+
+    if (Boolean(userId) === Boolean(organization)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either userId or organization'
+      });
+    }
+
+    if (userId) {
+      if (!mongoose.Types.ObjectId.isValid(userId) || !(await User.exists({ _id: userId }))) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+    }
+
+    const limits = {};
+    for (const [field, value] of Object.entries({ monthlyTokenLimit, monthlyCostLimitUsd })) {
+      if (value === undefined || value === null || value === '') continue;
+      const limit = Number(value);
+      if (Number.isNaN(limit) || limit < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative number`
+        });
+      }
+      limits[field] = limit;
+    }
+
+    if (Object.keys(limits).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide monthlyTokenLimit, monthlyCostLimitUsd or both'
+      });
+    }
+
+    if (action && !['block', 'warn'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'action must be block or warn'
+      });
+    }
+
+    const budget = await setBudget({
+      userId,
+      organization: organization ? String(organization).trim() : undefined,
+      ...limits,
+      action,
+      updatedBy: req.user
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR budget saved successfully',
+      data: {
+        budget
+      }
+    });
+
+  } catch (error) {
+    console.error('Save OCR budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving OCR budget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an OCR budget (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteBudget = async (req, res) => {
+  try {
+    const budget = await OcrBudget.findByIdAndDelete(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'OCR budget not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'OCR budget deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete OCR budget error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting OCR budget',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getOCRSpend,
+  getBudgetStatus,
+  getBudgets,
+  upsertBudget,
+  deleteBudget
+};
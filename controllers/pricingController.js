@@ -0,0 +1,213 @@
+const ModelPrice = require('../models/ModelPrice');
+const { listPrices } = require('../services/pricingService');
+
+/**
+ * Read and check the editable fields of a price from the request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Allow fields to be left out (updates)
+ * @returns {Object} - { fields, error }
+ */
+const readPriceFields = (body, partial) => {
+  const fields = {};
+
+  for (const field of ['inputPricePer1M', 'outputPricePer1M']) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') {
+      if (!partial) return { error: `${field} is required` };
+      continue;
+    }
+    const value = Number(body[field]);
+    if (Number.isNaN(value) || value < 0) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    fields[field] = value;
+  }
+
+  if (body.effectiveFrom !== undefined) {
+    const effectiveFrom = new Date(body.effectiveFrom);
+    if (Number.isNaN(effectiveFrom.getTime())) {
+      return { error: 'effectiveFrom must be a date' };
+    }
+    fields.effectiveFrom = effectiveFrom;
+  } else if (!partial) {
+    fields.effectiveFrom = new Date();
+  }
+
+  if (body.note !== undefined) fields.note = body.note;
+
+  return { fields };
+};
+
+/**
+ * List the model pricing table
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPrices = async (req, res) => {
+  try {
+    const prices = await listPrices();
+
+    res.status(200).json({
+      success: true,
+      message: 'Model prices retrieved successfully',
+      data: {
+        prices
+      }
+    });
+
+  } catch (error) {
+    console.error('Get model prices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving model prices',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a price for a model from a given date (admin only).
+ * Calls already recorded keep the cost they were recorded with.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPrice = async (req, res) => {
+  try {
+    const { provider, model } = req.body;
+
+    if (!provider || !model) {
+      return res.status(400).json({
+        success: false,
+        message: 'provider and model are required'
+      });
+    }
+
+    const { fields, error } = readPriceFields(req.body, false);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const price = await ModelPrice.create({
+      provider,
+      model,
+      ...fields,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Model price added successfully',
+      data: {
+        price
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This model already has a price starting at that time'
+      });
+    }
+
+    console.error('Create model price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error adding model price',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Correct a price or its start date (admin only).
+ * Only calls made after the change use the corrected price.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePrice = async (req, res) => {
+  try {
+    const price = await ModelPrice.findById(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model price not found'
+      });
+    }
+
+    const { fields, error } = readPriceFields(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    price.set(fields);
+    await price.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Model price updated successfully',
+      data: {
+        price
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This model already has a price starting at that time'
+      });
+    }
+
+    console.error('Update model price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating model price',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a price (admin only). Later calls fall back to the previous price; recorded calls keep their cost.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePrice = async (req, res) => {
+  try {
+    const price = await ModelPrice.findByIdAndDelete(req.params.id);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        message: 'Model price not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Model price deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete model price error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting model price',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPrices,
+  createPrice,
+  updatePrice,
+  deletePrice
+};
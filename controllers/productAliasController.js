@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const ProductAlias = require('../models/ProductAlias');
+const Product = require('../models/Product');
+const { normalizeAliasText, learnAlias } = require('../services/productAliasService');
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string}
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * List learned product aliases with pagination (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getProductAliases = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, product, source } = req.query;
+
+    const filter = {};
+
+    if (search) {
+      filter.alias = { $regex: escapeRegex(normalizeAliasText(search)), $options: 'i' };
+    }
+
+    if (product) {
+      if (!mongoose.Types.ObjectId.isValid(product)) {
+        return res.status(400).json({
+          success: false,
+          message: 'product must be a product id'
+        });
+      }
+      filter.product = product;
+    }
+
+    if (source) {
+      filter.source = source;
+    }
+
+    const aliases = await ProductAlias.find(filter)
+      .populate('product', 'name catalogueId isActive')
+      .populate('lastConfirmedBy', 'displayName email')
+      .sort({ confirmations: -1, updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .select('-__v');
+
+    const total = await ProductAlias.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product aliases retrieved successfully',
+      data: {
+        aliases,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalAliases: total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product aliases error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving product aliases',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Teach the matcher that a text means a product (admin only).
+ * An existing alias for the same text is pointed at the product.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProductAlias = async (req, res) => {
+  try {
+    const { text, productId } = req.body;
+
+    if (!text || !productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'text and a valid productId are required'
+      });
+    }
+
+    const alias = await learnAlias({ text, productId, source: 'admin', user: req.user });
+
+    if (!alias) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product not found, or the text is already the product name'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Product alias saved successfully',
+      data: {
+        alias
+      }
+    });
+
+  } catch (error) {
+    console.error('Create product alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving product alias',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Point an alias at another product or correct its text (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProductAlias = async (req, res) => {
+  try {
+    const { text, productId } = req.body;
+    const alias = await ProductAlias.findById(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product alias not found'
+      });
+    }
+
+    if (productId !== undefined) {
+      const product = mongoose.Types.ObjectId.isValid(productId) ? await Product.findById(productId).select('_id') : null;
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+      if (!alias.product.equals(product._id)) {
+        alias.product = product._id;
+        alias.confirmations = 1;
+        alias.confirmedBy = [req.user._id];
+        alias.challenger = undefined;
+      }
+    }
+
+    if (text !== undefined) {
+      const key = normalizeAliasText(text);
+      if (!key) {
+        return res.status(400).json({
+          success: false,
+          message: 'text must not be empty'
+        });
+      }
+      alias.alias = key;
+      alias.text = String(text).trim();
+    }
+
+    alias.source = 'admin';
+    alias.lastConfirmedBy = req.user._id;
+    alias.lastConfirmedAt = new Date();
+    await alias.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Product alias updated successfully',
+      data: {
+        alias
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Another alias already has this text'
+      });
+    }
+
+    console.error('Update product alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error updating product alias',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Forget a learned alias (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProductAlias = async (req, res) => {
+  try {
+    const alias = await ProductAlias.findByIdAndDelete(req.params.id);
+
+    if (!alias) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product alias not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Product alias deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete product alias error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error deleting product alias',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProductAliases,
+  createProductAlias,
+  updateProductAlias,
+  deleteProductAlias
+};
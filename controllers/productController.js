@@ -1,6 +1,7 @@
 const path = require('path');
 const Product = require('../models/Product');
 const { parseFile, validateProducts, cleanupFile } = require('../services/importService');
+const { rebuildProductIndex, updateIndexedProducts, getProductIndexStats } = require('../services/productIndexService');
 
 /**
  * Import products from a CSV or XLSX file
@@ -75,6 +76,7 @@ const upsertProducts = async (products, userId) => {
     let created = 0;
     let updated = 0;
     const errors = [];
+    const saved = [];
 
     for (const productData of products) {
         try {
@@ -99,6 +101,7 @@ const upsertProducts = async (products, userId) => {
             };
 
             const result = await Product.findOneAndUpdate(query, update, options);
+            saved.push(result);
             
             // Check if the document was newly created or updated
             const wasJustCreated = Math.abs(result.createdAt.getTime() - result.updatedAt.getTime()) < 2000; // 2s threshold
@@ -117,6 +120,9 @@ const upsertProducts = async (products, userId) => {
         }
     }
 
+    // Matching sees the imported products without reloading the catalogue
+    await updateIndexedProducts(saved);
+
     return {
         totalProductsInFile: products.length,
         successfullyImported: created + updated,
@@ -170,7 +176,61 @@ const getProductsByUser = async (req, res) => {
 };
 
 
+/**
+ * Size, build time and use of the product search index used for matching (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSearchIndexStats = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Product search index stats retrieved successfully',
+      data: {
+        index: getProductIndexStats()
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product index stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving product search index stats',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rebuild the product search index from the database (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rebuildSearchIndex = async (req, res) => {
+  try {
+    await rebuildProductIndex();
+
+    res.status(200).json({
+      success: true,
+      message: 'Product search index rebuilt successfully',
+      data: {
+        index: getProductIndexStats()
+      }
+    });
+
+  } catch (error) {
+    console.error('Rebuild product index error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error rebuilding product search index',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   importProducts,
-  getProductsByUser
+  getProductsByUser,
+  getSearchIndexStats,
+  rebuildSearchIndex
 };
@@ -0,0 +1,180 @@
+const {
+  resolvePromptTemplate,
+  listPromptTemplates,
+  listTemplateVersions,
+  savePromptTemplate,
+  activatePromptTemplate
+} = require('../services/promptTemplateService');
+
+/**
+ * List the active prompt template of every document type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromptTemplates = async (req, res) => {
+  try {
+    const templates = await listPromptTemplates();
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt templates retrieved successfully',
+      data: {
+        templates
+      }
+    });
+
+  } catch (error) {
+    console.error('Get prompt templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving prompt templates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the active (or a specific) version of a document type's template with its version history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromptTemplate = async (req, res) => {
+  try {
+    const documentType = req.params.documentType.toLowerCase();
+    const version = req.query.version !== undefined ? parseInt(req.query.version, 10) : undefined;
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({
+        success: false,
+        message: 'version must be a number'
+      });
+    }
+
+    const template = await resolvePromptTemplate(documentType, version);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prompt template retrieved successfully',
+      data: {
+        template,
+        versions: await listTemplateVersions(documentType)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get prompt template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving prompt template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save a new version of a document type's template (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePromptTemplate = async (req, res) => {
+  try {
+    const documentType = req.params.documentType.toLowerCase();
+
+    if (!/^[a-z0-9_-]+$/.test(documentType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'documentType may only contain letters, digits, "_" and "-"'
+      });
+    }
+
+    const { name, description, prompt, outputSchema, parser, activate } = req.body;
+
+    const { template, errors } = await savePromptTemplate(
+      documentType,
+      { name, description, prompt, outputSchema, parser },
+      { user: req.user, activate: activate !== false && activate !== 'false' }
+    );
+
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prompt template',
+        errors
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Prompt template ${documentType} version ${template.version} saved`,
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Update prompt template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving prompt template',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Switch a document type to one of its saved versions, or back to the built-in with version 0 (admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const activatePromptTemplateVersion = async (req, res) => {
+  try {
+    const documentType = req.params.documentType.toLowerCase();
+    const version = parseInt(req.body.version, 10);
+
+    if (Number.isNaN(version) || version < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'version must be 0 or a saved version number'
+      });
+    }
+
+    const template = await activatePromptTemplate(documentType, version);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Prompt template version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Prompt template ${documentType} version ${version} is now active`,
+      data: {
+        template
+      }
+    });
+
+  } catch (error) {
+    console.error('Activate prompt template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error activating prompt template',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPromptTemplates,
+  getPromptTemplate,
+  updatePromptTemplate,
+  activatePromptTemplateVersion
+};
@@ -1,6 +1,20 @@
 const Quotation = require('../models/Quotation');
 const Product = require('../models/Product');
-const { generateQuotationNumber, calculateTotals } = require('../services/quotationService');
+const { calculateTotals, createQuotationRecord } = require('../services/quotationService');
+const { learnAliases } = require('../services/productAliasService');
+
+/**
+ * Remember the slip text of quotation lines as aliases of the products the user put on them
+ * @param {Array} items - Submitted quotation items
+ * @param {Object} user - User who confirmed the lines
+ * @returns {Promise<number>}
+ */
+const learnItemAliases = (items, user) => learnAliases(
+  items
+    .filter(item => item.sourceText && item.product)
+    .map(item => ({ text: item.sourceText, productId: item.product })),
+  { source: 'quotation', user }
+);
 
 /**
  * Get all quotations with pagination and filtering
@@ -127,47 +141,19 @@ const createQuotation = async (req, res) => {
       });
     }
 
-    // Fetch product details for all items in parallel
-    const productIds = items.map(item => item.product);
-    const products = await Product.find({ '_id': { $in: productIds } });
-
-    if (products.length !== productIds.length) {
-        return res.status(400).json({ success: false, message: 'One or more products are invalid.' });
-    }
-    
-    const productMap = new Map(products.map(p => [p._id.toString(), p]));
-
-    const itemsWithDetails = items.map(item => {
-        const product = productMap.get(item.product);
-        return {
-            ...item,
-            product: product._id,
-            productName: product.name,
-            price: product.price,
-            units: product.units,
-            discountPercentage: item.discountPercentage || product.defaultDiscount,
-            gstPercentage: product.gstPercentage,
-        };
-    });
-
-    const { processedItems, subtotal, totalDiscountAmount, totalGstAmount, grandTotal } = calculateTotals(itemsWithDetails);
-
-    const quotationNumber = await generateQuotationNumber();
-
-    const newQuotation = new Quotation({
-      quotationNumber,
+    const savedQuotation = await createQuotationRecord({
       customer,
-      items: processedItems,
-      subtotal,
-      totalDiscountAmount,
-      totalGstAmount,
-      grandTotal,
+      items,
       notes,
       validUntil,
       createdBy: req.user._id
     });
 
-    const savedQuotation = await newQuotation.save();
+    if (!savedQuotation) {
+        return res.status(400).json({ success: false, message: 'One or more products are invalid.' });
+    }
+
+    await learnItemAliases(items, req.user);
 
     res.status(201).json({
       success: true,
@@ -236,6 +222,10 @@ const updateQuotation = async (req, res) => {
 
     const updatedQuotation = await quotation.save();
 
+    if (items && Array.isArray(items)) {
+      await learnItemAliases(items, req.user);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Quotation updated successfully',
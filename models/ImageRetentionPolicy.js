@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const imageRetentionPolicySchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    trim: true,
+    required: true,
+    unique: true,
+  },
+  // Uploaded OCR images of the organisation's users are deleted this many days after upload
+  retentionDays: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('ImageRetentionPolicy', imageRetentionPolicySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const matchKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['name', 'description', 'catalogueId', 'brand', 'classification', 'units'],
+    required: true,
+  },
+  // Relative importance of the field; weights are compared with each other, not summed to 1
+  weight: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+}, { _id: false });
+
+const matchingSettingsSchema = new mongoose.Schema({
+  organization: {
+    type: String,
+    trim: true,
+    required: true,
+    unique: true,
+  },
+  // Settings left out fall back to the defaults (see matchingSettingsService)
+  // Fuse threshold: how different a product may be and still be found (0 exact, 1 anything)
+  threshold: {
+    type: Number,
+    required: false,
+    min: 0,
+    max: 1,
+  },
+  // Best results scoring below this are matched; the rest are only suggested
+  maxMatchScore: {
+    type: Number,
+    required: false,
+    min: 0,
+    max: 1,
+  },
+  keys: {
+    type: [matchKeySchema],
+    default: undefined,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, { timestamps: true });
+
+module.exports = mongoose.model('MatchingSettings', matchingSettingsSchema);
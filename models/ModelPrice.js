@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const modelPriceSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  model: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // USD per million tokens
+  inputPricePer1M: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  outputPricePer1M: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // The price applies to calls made from this moment until the next price of the same model
+  effectiveFrom: {
+    type: Date,
+    required: true,
+  },
+  note: {
+    type: String,
+    required: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, { timestamps: true });
+
+modelPriceSchema.index({ provider: 1, model: 1, effectiveFrom: -1 }, { unique: true });
+
+module.exports = mongoose.model('ModelPrice', modelPriceSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const ocrBudgetSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['user', 'organization'],
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  organization: {
+    type: String,
+    trim: true,
+    required: false,
+  },
+  // Limits per calendar month; leave one out to cap only the other
+  monthlyTokenLimit: {
+    type: Number,
+    required: false,
+    min: 0,
+  },
+  monthlyCostLimitUsd: {
+    type: Number,
+    required: false,
+    min: 0,
+  },
+  // block: refuse new OCR requests once a limit is reached; warn: process them and report the overrun
+  action: {
+    type: String,
+    enum: ['block', 'warn'],
+    default: 'block',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, { timestamps: true });
+
+ocrBudgetSchema.index({ scope: 1, user: 1 }, { unique: true, partialFilterExpression: { scope: 'user' } });
+ocrBudgetSchema.index({ scope: 1, organization: 1 }, { unique: true, partialFilterExpression: { scope: 'organization' } });
+
+module.exports = mongoose.model('OcrBudget', ocrBudgetSchema);
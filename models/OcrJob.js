@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+const ocrJobPageSchema = new mongoose.Schema({
+  page: { type: Number, required: true },
+  success: { type: Boolean, default: false },
+  rawText: { type: String, required: false },
+  productCount: { type: Number, default: 0 },
+  error: { type: String, required: false },
+  usageMetadata: {
+    promptTokenCount: { type: Number, default: 0 },
+    candidatesTokenCount: { type: Number, default: 0 },
+    totalTokenCount: { type: Number, default: 0 },
+  },
+}, { _id: false });
+
+// One call to the OCR provider; retries and calls skipped by an open circuit get their own entry
+const ocrJobAttemptSchema = new mongoose.Schema({
+  attempt: { type: Number, required: true },
+  page: { type: Number, required: false },
+  startedAt: { type: Date, required: true },
+  durationMs: { type: Number, default: 0 },
+  success: { type: Boolean, default: false },
+  error: { type: String, required: false },
+  statusCode: { type: Number, required: false },
+  retryable: { type: Boolean, required: false },
+  circuitOpen: { type: Boolean, required: false },
+  delayMs: { type: Number, required: false },
+  deadlineExceeded: { type: Boolean, required: false },
+}, { _id: false });
+
+// One save of a reviewer's corrections; changes are a diff against the model output
+const ocrJobReviewRevisionSchema = new mongoose.Schema({
+  revision: { type: Number, required: true },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
+  editedAt: { type: Date, default: Date.now },
+  note: { type: String, required: false },
+  changes: { type: [mongoose.Schema.Types.Mixed], default: [] },
+}, { _id: false });
+
+const ocrJobSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  file: {
+    originalName: { type: String, required: false },
+    mimeType: { type: String, required: false },
+    size: { type: Number, required: false },
+  },
+  batchId: {
+    type: String,
+    required: false,
+    index: true,
+  },
+  // SHA-256 of the uploaded file
+  contentHash: {
+    type: String,
+    required: false,
+  },
+  // Content hash combined with the provider and preprocessing steps, used for result caching
+  cacheKey: {
+    type: String,
+    required: false,
+  },
+  cacheHit: {
+    type: Boolean,
+    default: false,
+  },
+  cachedFromJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OcrJob',
+    required: false,
+  },
+  costSavedUsd: {
+    type: Number,
+    default: 0,
+  },
+  provider: {
+    type: String,
+    required: false,
+  },
+  model: {
+    type: String,
+    required: false,
+  },
+  mode: {
+    type: String,
+    enum: ['sync', 'async'],
+    default: 'sync',
+  },
+  // Prompt template the document was extracted with
+  documentType: {
+    type: String,
+    required: false,
+  },
+  templateVersion: {
+    type: Number,
+    required: false,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    required: true,
+  },
+  // Uploaded file kept until an async job has been processed
+  input: {
+    data: { type: Buffer, select: false },
+  },
+  options: {
+    preprocess: { type: mongoose.Schema.Types.Mixed, required: false },
+    documentType: { type: String, required: false },
+    templateVersion: { type: Number, required: false },
+  },
+  preprocessing: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  // Uploaded file as received, kept in image storage until the retention period ends
+  originalImage: {
+    storage: { type: String, required: false },
+    key: { type: String, required: false },
+    mimeType: { type: String, required: false },
+    size: { type: Number, required: false },
+    storedAt: { type: Date, required: false },
+    purgedAt: { type: Date, required: false },
+  },
+  // Image the provider saw, kept when the result has source regions to crop
+  sourceImage: {
+    data: { type: Buffer, select: false },
+    mimeType: { type: String, required: false },
+  },
+  confidence: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  lockedAt: {
+    type: Date,
+    required: false,
+  },
+  queueAttempts: {
+    type: Number,
+    default: 0,
+  },
+  callback: {
+    url: { type: String, required: false },
+    status: { type: String, enum: ['pending', 'delivered', 'failed'], required: false },
+    attempts: { type: Number, default: 0 },
+    lastError: { type: String, required: false },
+    deliveredAt: { type: Date, required: false },
+  },
+  rawText: {
+    type: String,
+    required: false,
+  },
+  products: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  // Document-level sections outside the products list, e.g. invoice header and totals
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    required: false,
+  },
+  parseSuccess: {
+    type: Boolean,
+    default: false,
+  },
+  pages: [ocrJobPageSchema],
+  repairs: {
+    type: [String],
+    default: [],
+  },
+  validationErrors: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  rejectedProducts: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  error: {
+    type: String,
+    required: false,
+  },
+  attempts: [ocrJobAttemptSchema],
+  // Human review of the extracted lines; `products` above always keeps the model output
+  review: {
+    status: { type: String, enum: ['pending', 'in_review', 'approved'], default: 'pending' },
+    products: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    changes: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    revisions: { type: [ocrJobReviewRevisionSchema], default: undefined },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
+    updatedAt: { type: Date, required: false },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: false },
+    approvedAt: { type: Date, required: false },
+  },
+  usageMetadata: {
+    promptTokenCount: { type: Number, default: 0 },
+    candidatesTokenCount: { type: Number, default: 0 },
+    totalTokenCount: { type: Number, default: 0 },
+  },
+  // Priced with the pricing table entry in effect when the call started
+  costEstimate: {
+    input_cost_usd: { type: Number, default: 0 },
+    output_cost_usd: { type: Number, default: 0 },
+    total_cost_usd: { type: Number, default: 0 },
+    input_price_per_1m: { type: Number, required: false },
+    output_price_per_1m: { type: Number, required: false },
+    priced: { type: Boolean, required: false },
+  },
+  startedAt: {
+    type: Date,
+    required: false,
+  },
+  completedAt: {
+    type: Date,
+    required: false,
+  },
+  processingTimeMs: {
+    type: Number,
+    default: 0,
+  },
+}, { timestamps: true });
+
+// Index for faster history queries
+ocrJobSchema.index({ user: 1, createdAt: -1 });
+ocrJobSchema.index({ status: 1, createdAt: 1 });
+ocrJobSchema.index({ createdAt: -1 });
+ocrJobSchema.index({ user: 1, cacheKey: 1, createdAt: -1 });
+ocrJobSchema.index({ 'review.status': 1, createdAt: -1 });
+ocrJobSchema.index({ 'originalImage.storedAt': 1 });
+
+module.exports = mongoose.model('OcrJob', ocrJobSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const ocrLedgerEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  // Copied from the user when the call was made, so reports survive later moves
+  organization: {
+    type: String,
+    required: false,
+  },
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OcrJob',
+    required: false,
+  },
+  provider: {
+    type: String,
+    required: false,
+  },
+  model: {
+    type: String,
+    required: false,
+  },
+  documentType: {
+    type: String,
+    required: false,
+  },
+  success: {
+    type: Boolean,
+    default: false,
+  },
+  promptTokens: {
+    type: Number,
+    default: 0,
+  },
+  outputTokens: {
+    type: Number,
+    default: 0,
+  },
+  totalTokens: {
+    type: Number,
+    default: 0,
+  },
+  costUsd: {
+    type: Number,
+    default: 0,
+  },
+  // Prices the cost was calculated with, so later price changes do not alter past entries
+  inputPricePer1M: {
+    type: Number,
+    required: false,
+  },
+  outputPricePer1M: {
+    type: Number,
+    required: false,
+  },
+  // False when the model had no price and the call was recorded at zero cost
+  priced: {
+    type: Boolean,
+    default: true,
+  },
+  // When the call was made; decides which price applies
+  calledAt: {
+    type: Date,
+    required: false,
+  },
+  // Calendar month (UTC) the spend counts towards, e.g. "2024-06"
+  month: {
+    type: String,
+    required: true,
+  },
+}, { timestamps: true });
+
+ocrLedgerEntrySchema.index({ user: 1, month: 1 });
+ocrLedgerEntrySchema.index({ organization: 1, month: 1 });
+ocrLedgerEntrySchema.index({ month: 1, model: 1 });
+ocrLedgerEntrySchema.index({ provider: 1, model: 1, calledAt: 1 });
+
+module.exports = mongoose.model('OcrLedgerEntry', ocrLedgerEntrySchema);
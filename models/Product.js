@@ -79,5 +79,7 @@ productSchema.pre('save', function(next) {
 // Index for faster searches
 productSchema.index({ name: 1 });
 productSchema.index({ classification: 1 });
+// Lets the search index find products changed by other instances
+productSchema.index({ updatedAt: -1 });
 
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const productAliasSchema = new mongoose.Schema({
+  // Extracted text after normalization (see productAliasService.normalizeAliasText)
+  alias: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // The text as it was last written on a slip, for display
+  text: {
+    type: String,
+    required: true,
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ['suggestion', 'quotation', 'admin'],
+    required: true,
+  },
+  // Number of users who have confirmed that the text means this product
+  confirmations: {
+    type: Number,
+    default: 1,
+  },
+  confirmedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  // Another product users have picked for the text since; the alias moves to it once
+  // enough users agree (see productAliasService.learnAlias)
+  challenger: {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    confirmations: {
+      type: Number,
+    },
+    confirmedBy: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: undefined,
+    },
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  lastConfirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+  lastConfirmedAt: {
+    type: Date,
+    required: false,
+  },
+}, { timestamps: true });
+
+productAliasSchema.index({ product: 1 });
+
+module.exports = mongoose.model('ProductAlias', productAliasSchema);
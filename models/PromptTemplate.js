@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const promptTemplateSchema = new mongoose.Schema({
+  // Value clients pass as documentType, e.g. "invoice"
+  documentType: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z0-9_-]+$/,
+  },
+  // Increases with every edit; older versions are kept so they can be reactivated
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+    required: false,
+  },
+  prompt: {
+    type: String,
+    required: true,
+  },
+  // JSON Schema the parsed model output is validated against
+  outputSchema: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  parser: {
+    type: String,
+    required: true,
+  },
+  isActive: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false,
+  },
+}, { timestamps: true, minimize: false });
+
+promptTemplateSchema.index({ documentType: 1, version: -1 }, { unique: true });
+promptTemplateSchema.index({ documentType: 1, isActive: 1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -15,6 +15,8 @@ const quotationItemSchema = new mongoose.Schema({
   netPrice: { type: Number, required: true },
   taxAmount: { type: Number, required: true },
   itemTotal: { type: Number, required: true },
+  // Product text as written on the order slip the line came from
+  sourceText: { type: String, required: false },
 });
 
 const quotationSchema = new mongoose.Schema({
@@ -29,6 +29,13 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // Organisation the user belongs to, used for shared OCR budgets and reporting
+  organization: {
+    type: String,
+    trim: true,
+    required: false,
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true
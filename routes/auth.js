@@ -1,5 +1,5 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const {
   verifyToken,
   getProfile,
@@ -7,7 +7,8 @@ const {
   deleteAccount,
   refreshToken,
   sendOtp,
-  verifyOtp
+  verifyOtp,
+  updateUserOrganization
 } = require('../controllers/authController');
 
 const router = express.Router();
@@ -107,6 +108,43 @@ router.put('/profile', authenticateToken, updateProfile);
  */
 router.delete('/profile', authenticateToken, deleteAccount);
 
+/**
+ * @swagger
+ * /api/auth/users/{id}/organization:
+ *   put:
+ *     summary: Assign a user to an organisation (admin only)
+ *     description: The organisation groups users for shared OCR budgets and spend reports. Send an empty value to remove the user from their organisation.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               organization:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User organization updated successfully
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/users/:id/organization', authenticateToken, authorizeRoles('admin'), updateUserOrganization);
+
 /**
  * @swagger
  * /api/auth/refresh:
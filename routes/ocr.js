@@ -1,15 +1,68 @@
 const express = require('express');
 const multer = require('multer');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, optionalAuth } = require('../middleware/auth');
 const {
   processImageOCR,
+  processImageOCRStream,
+  processBatchOCR,
   processOCRData,
+  createQuotationFromImage,
   getOCRHistory,
+  getOCRJobById,
+  getOCRJobStatus,
+  getOCRJobCrop,
+  getOCRJobImage,
   getOCRStats
 } = require('../controllers/ocrController');
+const {
+  getPromptTemplates,
+  getPromptTemplate,
+  updatePromptTemplate,
+  activatePromptTemplateVersion
+} = require('../controllers/promptTemplateController');
+const {
+  getOCRSpend,
+  getBudgetStatus,
+  getBudgets,
+  upsertBudget,
+  deleteBudget
+} = require('../controllers/ocrSpendController');
+const {
+  getPrices,
+  createPrice,
+  updatePrice,
+  deletePrice
+} = require('../controllers/pricingController');
+const {
+  getReviewQueue,
+  getReview,
+  updateReview,
+  approveOCRReview,
+  exportReviewDataset
+} = require('../controllers/ocrReviewController');
+const {
+  getRetentionPolicies,
+  upsertRetentionPolicy,
+  deleteRetentionPolicy,
+  purgeImages
+} = require('../controllers/imageRetentionController');
+const {
+  getProductAliases,
+  createProductAlias,
+  updateProductAlias,
+  deleteProductAlias
+} = require('../controllers/productAliasController');
+const {
+  getMatchingSettings,
+  upsertMatchingSettings,
+  deleteMatchingSettings
+} = require('../controllers/matchingSettingsController');
 
 const router = express.Router();
 
+// Maximum number of photos accepted by the batch endpoint
+const MAX_BATCH_FILES = parseInt(process.env.OCR_BATCH_MAX_FILES, 10) || 10;
+
 // Configure multer for file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -17,10 +70,10 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new Error('Only image and PDF files are allowed'), false);
     }
   }
 });
@@ -39,7 +92,8 @@ const upload = multer({
  * @swagger
  * /api/ocr/process:
  *   post:
- *     summary: Process image with OCR
+ *     summary: Process image or PDF with OCR
+ *     description: Multi-page PDFs are split and every page is processed. A repeat upload of the same file with the same provider, model and preprocessing, within OCR_CACHE_TTL_HOURS, returns the stored result with cached=true unless force=true. Item numbers continue across pages and each product carries the page it came from. With async=true (or a callbackUrl) the file is queued and a job ID is returned immediately; poll /api/ocr/jobs/{id} or wait for the callback.
  *     tags: [OCR]
  *     security:
  *       - bearerAuth: []
@@ -55,7 +109,27 @@ const upload = multer({
  *               image:
  *                 type: string
  *                 format: binary
- *                 description: Image file to process
+ *                 description: Image or PDF file to process
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, tesseract, fixture]
+ *                 description: OCR engine to use. Defaults to the OCR_PROVIDER setting, then gemini.
+ *               documentType:
+ *                 type: string
+ *                 description: Prompt template to extract with, e.g. item_list, invoice, purchase_order, delivery_challan. Defaults to the OCR_DEFAULT_DOCUMENT_TYPE setting, then item_list. See /api/ocr/templates.
+ *               preprocess:
+ *                 type: string
+ *                 description: 'Image preprocessing. "false" disables it, or pass a JSON object of steps to switch individually, e.g. {"deskew":false,"grayscale":true}. Steps: autoOrient, resize, crop, deskew (on by default), grayscale, contrast (off by default).'
+ *               force:
+ *                 type: boolean
+ *                 description: Run OCR again even if the same image was processed recently
+ *               async:
+ *                 type: boolean
+ *                 description: Queue the file for background processing and return a job ID right away
+ *               callbackUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: URL that receives a POST with the job status and parsed result when the job finishes. Implies async. Requires OCR_CALLBACK_SECRET; deliveries are signed with X-OCR-Signature. Hosts resolving to private, loopback or link-local addresses are refused.
  *     responses:
  *       200:
  *         description: OCR processing completed successfully
@@ -71,6 +145,9 @@ const upload = multer({
  *                 data:
  *                   type: object
  *                   properties:
+ *                     document:
+ *                       type: object
+ *                       description: Header details. Item lists return customer_name, customer_phone, customer_address, date and reference.
  *                     products:
  *                       type: array
  *                       items:
@@ -79,24 +156,232 @@ const upload = multer({
  *                 success: true
  *                 message: "OCR processing completed successfully"
  *                 data:
+ *                   document:
+ *                     customer_name: "Sharma Electricals"
+ *                     customer_phone: "9876543210"
+ *                     customer_address: null
+ *                     date: "2024-06-01"
+ *                     reference: "42"
  *                   products:
  *                     - item_number: 1
  *                       product_name: "10 sq mm wire"
  *                       total_quantity: "20 Roll"
+ *                       confidence: 0.93
+ *                       low_confidence: false
+ *                       region:
+ *                         x: 0.08
+ *                         y: 0.12
+ *                         width: 0.61
+ *                         height: 0.05
  *                       sub_quantities:
  *                         - color: "Red"
  *                           quantity: "5"
+ *                           confidence: 0.48
+ *                           low_confidence: true
  *                         - color: "Yellow"
  *                           quantity: "5"
+ *                   provider: "gemini"
+ *                   model: "gemini-2.0-flash"
+ *                   documentType: "item_list"
+ *                   templateVersion: 0
+ *                   confidence:
+ *                     threshold: 0.6
+ *                     averageConfidence: 0.93
+ *                     lowConfidenceCount: 0
+ *                     withRegions: 1
+ *                   validation:
+ *                     repaired: true
+ *                     repairs:
+ *                       - "Removed markdown code fences"
+ *                       - "/products/0/sub_quantities/0/quantity: converted number to string"
+ *                     errors: []
+ *                     rejectedProducts: []
+ *                   preprocessing:
+ *                     applied: ["autoOrient", "resize", "deskew"]
+ *                     skewAngle: -2.5
+ *                     original:
+ *                       width: 4032
+ *                       height: 3024
+ *                       size: 3145728
+ *                     output:
+ *                       width: 2048
+ *                       height: 1536
+ *                       size: 412000
+ *                   cached: false
+ *                   jobId: "665f1c2e8b3e4a0012345678"
+ *       202:
+ *         description: OCR job queued (async mode)
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "OCR job queued"
+ *               data:
+ *                 jobId: "665f1c2e8b3e4a0012345678"
+ *                 status: "queued"
+ *                 statusUrl: "/api/ocr/jobs/665f1c2e8b3e4a0012345678"
  *       400:
- *         description: No image file provided
+ *         description: No image or PDF file provided, unknown provider or document type, invalid preprocess setting or invalid callback URL
  *       401:
  *         description: Unauthorized
+ *       402:
+ *         description: Monthly OCR budget exceeded, or a cost budget applies and the model has no price
  *       500:
  *         description: OCR processing failed
+ *       503:
+ *         description: OCR provider is unavailable after retries, or its circuit breaker is open; Retry-After gives the seconds to wait when known
  */
 router.post('/process', authenticateToken, upload.single('image'), processImageOCR);
 
+/**
+ * @swagger
+ * /api/ocr/process-stream:
+ *   post:
+ *     summary: Process image or PDF with OCR, streaming progress
+ *     description: 'Same processing as /api/ocr/process, answered as Server-Sent Events (text/event-stream) instead of one JSON body. "stage" events report uploaded, preprocessing, model_call (with page and totalPages for PDFs), parsing and matching. "product" events carry provisional product lines (index, page, product) as soon as the model has written them; they are not validated yet. The stream ends with a "done" event holding the same data as /api/ocr/process plus matchedProducts with price, discount and parsed quantities, or with an "error" event holding statusCode, message and error. Invalid requests are rejected with a JSON error before the stream starts.'
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image or PDF file to process
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, tesseract, fixture]
+ *                 description: OCR engine to use. Defaults to the OCR_PROVIDER setting, then gemini.
+ *               documentType:
+ *                 type: string
+ *                 description: Prompt template to extract with. Defaults to the OCR_DEFAULT_DOCUMENT_TYPE setting, then item_list.
+ *               preprocess:
+ *                 type: string
+ *                 description: Image preprocessing, as for /api/ocr/process
+ *               force:
+ *                 type: boolean
+ *                 description: Run OCR again even if the same image was processed recently
+ *     responses:
+ *       200:
+ *         description: Event stream of the processing
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               event: stage
+ *               data: {"stage":"uploaded","file":{"originalName":"order.jpg","mimeType":"image/jpeg","size":482113},"documentType":"item_list","templateVersion":0}
+ *
+ *               event: stage
+ *               data: {"stage":"preprocessing"}
+ *
+ *               event: stage
+ *               data: {"stage":"model_call"}
+ *
+ *               event: product
+ *               data: {"index":0,"product":{"item_number":1,"product_name":"10 sq mm wire","total_quantity":"20 Roll","sub_quantities":[]}}
+ *
+ *               event: stage
+ *               data: {"stage":"parsing"}
+ *
+ *               event: stage
+ *               data: {"stage":"matching"}
+ *
+ *               event: done
+ *               data: {"products":[...],"matchedProducts":[...],"provider":"gemini","cached":false,"jobId":"665f1c2e8b3e4a0012345678"}
+ *       400:
+ *         description: No image or PDF file provided, unknown provider or document type, or invalid preprocess setting
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Monthly OCR budget exceeded, or a cost budget applies and the model has no price
+ */
+router.post('/process-stream', authenticateToken, upload.single('image'), processImageOCRStream);
+
+/**
+ * @swagger
+ * /api/ocr/process-batch:
+ *   post:
+ *     summary: Process several photos of one order and merge the results
+ *     description: Images are processed with bounded concurrency (OCR_BATCH_CONCURRENCY, default 3). Lines that appear on overlapping photos with the same product name and quantity are returned once.
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - images
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: Image files to process (up to OCR_BATCH_MAX_FILES, default 10)
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, tesseract, fixture]
+ *                 description: OCR engine to use for every image
+ *               documentType:
+ *                 type: string
+ *                 description: Prompt template applied to every image (same values as /api/ocr/process)
+ *               preprocess:
+ *                 type: string
+ *                 description: Image preprocessing setting applied to every image (same format as /api/ocr/process)
+ *     responses:
+ *       200:
+ *         description: At least one image was processed successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Batch OCR processing completed for 2 of 2 images"
+ *               data:
+ *                 batchId: "3f0c7a52-1d7e-4f4e-9d55-4f1b8c2f6a10"
+ *                 products:
+ *                   - item_number: 1
+ *                     product_name: "10 sq mm wire"
+ *                     total_quantity: "20 Roll"
+ *                     sub_quantities: []
+ *                     source_image: 1
+ *                     source_images: [1, 2]
+ *                 images:
+ *                   - image: 1
+ *                     originalName: "order-1.jpg"
+ *                     success: true
+ *                     productCount: 1
+ *                     cost:
+ *                       total_cost_usd: 0.00012
+ *                     jobId: "665f1c2e8b3e4a0012345678"
+ *                 summary:
+ *                   totalImages: 2
+ *                   succeeded: 2
+ *                   failed: 0
+ *                   totalProducts: 1
+ *                   duplicatesRemoved: 1
+ *                   total_cost_usd: 0.00024
+ *       400:
+ *         description: No image files provided, unknown provider or document type
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Monthly OCR budget exceeded, or a cost budget applies and the model has no price
+ *       500:
+ *         description: Every image failed
+ *       503:
+ *         description: Every image failed because the OCR provider is unavailable; Retry-After gives the seconds to wait when known
+ */
+router.post('/process-batch', authenticateToken, upload.array('images', MAX_BATCH_FILES), processBatchOCR);
+
 /**
  * @swagger
  * /api/ocr/process-data:
@@ -118,8 +403,35 @@ router.post('/process', authenticateToken, upload.single('image'), processImageO
  *                 type: array
  *                 items:
  *                   type: object
- *                 description: User-verified product data from OCR.
+ *                 description: User-verified product data from OCR. A line may carry product_id, the catalogue product the user picked for it; its text is then remembered as an alias of that product.
+ *               jobId:
+ *                 type: string
+ *                 description: OCR job the data came from. The lines are saved as that job's review corrections and the job moves to in_review. A job whose review is approved is left as it is (review.correctionsSaved is false); reopen it with PUT /api/ocr/jobs/{id}/review.
+ *               document:
+ *                 type: object
+ *                 description: Header details (customer_name, customer_phone, customer_address). Defaults to the header read into the job given by jobId.
+ *               matching:
+ *                 type: object
+ *                 description: Matching settings for this request only, over those of your organisation (see /api/ocr/matching-settings).
+ *                 properties:
+ *                   threshold:
+ *                     type: number
+ *                   maxMatchScore:
+ *                     type: number
+ *                   keys:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                           enum: [name, description, catalogueId, brand, classification, units]
+ *                         weight:
+ *                           type: number
  *           example:
+ *             document:
+ *               customer_name: "Sharma Electricals"
+ *               customer_phone: "98765 43210"
  *             data:
  *               - item_number: 1
  *                 product_name: "10 sq mm wire"
@@ -130,6 +442,7 @@ router.post('/process', authenticateToken, upload.single('image'), processImageO
  *               - item_number: 2
  *                 product_name: "6 sq mm wire"
  *                 total_quantity: "12 Roll"
+ *                 product_id: "64f1c2a98b3e4a0012345678"
  *     responses:
  *       200:
  *         description: Product matching completed successfully
@@ -146,62 +459,1605 @@ router.post('/process', authenticateToken, upload.single('image'), processImageO
  *                   type: array
  *                   items:
  *                     type: object
+ *                 matching:
+ *                   type: object
+ *                   description: Matching settings used for the request
+ *                 customer:
+ *                   type: object
+ *                   description: Present when a header names a customer. match is a known customer with the same phone number or a close name; details are ready for a new quotation.
  *               example:
  *                 success: true
  *                 message: "Product matching completed successfully."
+ *                 customer:
+ *                   extracted:
+ *                     name: "Sharma Electricals"
+ *                     phone: "98765 43210"
+ *                   match:
+ *                     customer:
+ *                       name: "Sharma Electricals"
+ *                       email: "orders@sharmaelectricals.in"
+ *                       phone: "+91 9876543210"
+ *                       address: "12 Market Road, Jaipur"
+ *                     quotations: 4
+ *                     lastQuotedAt: "2024-05-20T10:12:00.000Z"
+ *                     matchType: "phone"
+ *                     score: 0
+ *                   suggestions: []
+ *                   details:
+ *                     name: "Sharma Electricals"
+ *                     email: "orders@sharmaelectricals.in"
+ *                     phone: "+91 9876543210"
+ *                     address: "12 Market Road, Jaipur"
  *                 data:
  *                   - item_number: 1
  *                     product_name: "10 sq mm wire"
  *                     total_quantity: "20 Roll"
+ *                     normalized_quantity:
+ *                       value: 20
+ *                       unit: "roll"
+ *                       rawText: "20 Roll"
  *                     price: 2500
  *                     defaultDiscount: 5
  *                     sub_quantities:
  *                       - color: "Red"
  *                         quantity: "5"
+ *                         normalized_quantity:
+ *                           value: 5
+ *                           unit: null
+ *                           rawText: "5"
  *                   - item_number: 2
  *                     product_name: "Unmatched Product"
- *                     total_quantity: "10 units"
+ *                     total_quantity: "2 dozen"
+ *                     normalized_quantity:
+ *                       value: 24
+ *                       unit: "pcs"
+ *                       rawText: "2 dozen"
  *                     price: null
  *                     defaultDiscount: null
  *       400:
- *         description: Valid OCR data is required
+ *         description: Valid OCR data is required, the matching settings are invalid, or the lines are invalid as corrections of the job
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Completed OCR job not found (when jobId is given)
  *       500:
  *         description: Server error during OCR data processing
  */
 router.post('/process-data', authenticateToken, processOCRData);
 
+/**
+ * @swagger
+ * /api/ocr/draft-quotation:
+ *   post:
+ *     summary: Create a draft quotation straight from an image or PDF
+ *     description: Runs OCR and product matching, adds the lines matched with confidence to a new draft quotation priced like POST /api/quotations, and returns the other lines for the user to resolve. A line is added only when its match score (for alias hits, the score the search alone gives the product) is at most DRAFT_QUOTATION_MAX_MATCH_SCORE, it was not flagged low_confidence, it has a quantity that is not a range and the product has a price.
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *               - customer
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *                 description: Image or PDF file to process
+ *               customer:
+ *                 type: string
+ *                 description: 'Customer as JSON, e.g. {"name":"Sharma Electricals","phone":"9876543210"}'
+ *               notes:
+ *                 type: string
+ *               validUntil:
+ *                 type: string
+ *                 format: date
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, tesseract, fixture]
+ *                 description: OCR engine to use. Defaults to the OCR_PROVIDER setting, then gemini.
+ *               documentType:
+ *                 type: string
+ *                 description: Prompt template to extract with. Defaults to the OCR_DEFAULT_DOCUMENT_TYPE setting, then item_list.
+ *               preprocess:
+ *                 type: string
+ *                 description: Image preprocessing, as for /api/ocr/process
+ *               force:
+ *                 type: boolean
+ *                 description: Run OCR again even if the same image was processed recently
+ *     responses:
+ *       201:
+ *         description: Draft quotation created
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Draft quotation created; 1 line(s) need attention"
+ *               data:
+ *                 quotation:
+ *                   _id: "6660a1b28b3e4a0012345690"
+ *                   quotationNumber: "QT-20240601-0003"
+ *                   status: "draft"
+ *                   customer:
+ *                     name: "Sharma Electricals"
+ *                   items:
+ *                     - product: "665f0a118b3e4a0012345601"
+ *                       productName: "10 sq mm wire"
+ *                       quantity: 20
+ *                       price: 2500
+ *                       discountPercentage: 5
+ *                       gstPercentage: 18
+ *                       netPrice: 47500
+ *                       taxAmount: 8550
+ *                       itemTotal: 56050
+ *                   grandTotal: 56050
+ *                 selected:
+ *                   - line:
+ *                       item_number: 1
+ *                       product_name: "10 sq mm wire"
+ *                       total_quantity: "20 Roll"
+ *                     product:
+ *                       _id: "665f0a118b3e4a0012345601"
+ *                       name: "10 sq mm wire"
+ *                       price: 2500
+ *                     quantity: 20
+ *                     matchType: "fuzzy_name"
+ *                     score: 0.01
+ *                 unresolved:
+ *                   - line:
+ *                       item_number: 2
+ *                       product_name: "Imaginary Product XYZ"
+ *                       total_quantity: "2 box"
+ *                     reason: "unmatched"
+ *                     quantity: 2
+ *                     candidates: []
+ *                 ocr:
+ *                   jobId: "665f1c2e8b3e4a0012345678"
+ *                   cached: false
+ *                   provider: "gemini"
+ *                   documentType: "item_list"
+ *       400:
+ *         description: No file, missing customer name, unknown provider or document type, or invalid preprocess setting
+ *       401:
+ *         description: Unauthorized
+ *       402:
+ *         description: Monthly OCR budget exceeded, or a cost budget applies and the model has no price
+ *       422:
+ *         description: No product lines were read, or none could be matched with confidence; the lines are returned as unresolved
+ *       500:
+ *         description: OCR processing failed
+ *       503:
+ *         description: OCR provider is unavailable after retries, or its circuit breaker is open
+ */
+router.post('/draft-quotation', authenticateToken, upload.single('image'), createQuotationFromImage);
+
 /**
  * @swagger
  * /api/ocr/history:
  *   get:
  *     summary: Get OCR processing history
+ *     description: Lists recorded OCR jobs, newest first. Regular users see only their own jobs; admins see all jobs and may filter by user.
  *     tags: [OCR]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Items per page
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, processing, completed, failed]
+ *         description: Filter by job status
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *         description: Filter by OCR provider
+ *       - in: query
+ *         name: batchId
+ *         schema:
+ *           type: string
+ *         description: Only include jobs from one batch upload
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *         description: Filter by document type
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include jobs created on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include jobs created on or before this date
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter by user (admin only)
  *     responses:
  *       200:
  *         description: OCR history retrieved successfully
+ *       400:
+ *         description: userId is not a valid ID, or startDate or endDate is not a date
  *       401:
  *         description: Unauthorized
  */
 router.get('/history', authenticateToken, getOCRHistory);
 
+/**
+ * @swagger
+ * /api/ocr/history/{id}:
+ *   get:
+ *     summary: Get a single OCR job, including the raw model output
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OCR job ID
+ *     responses:
+ *       200:
+ *         description: OCR job retrieved successfully
+ *       404:
+ *         description: OCR job not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/history/:id', authenticateToken, getOCRJobById);
+
+/**
+ * @swagger
+ * /api/ocr/jobs/{id}:
+ *   get:
+ *     summary: Poll the status of an OCR job
+ *     description: Returns queued, processing, completed or failed. Once the job has finished the parsed result is included.
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OCR job ID
+ *     responses:
+ *       200:
+ *         description: OCR job status retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "OCR job status retrieved successfully"
+ *               data:
+ *                 jobId: "665f1c2e8b3e4a0012345678"
+ *                 status: "completed"
+ *                 provider: "gemini"
+ *                 model: "gemini-2.0-flash"
+ *                 processingTimeMs: 8421
+ *                 result:
+ *                   parseSuccess: true
+ *                   products:
+ *                     - item_number: 1
+ *                       product_name: "10 sq mm wire"
+ *                       total_quantity: "20 Roll"
+ *                       sub_quantities: []
+ *                 attempts:
+ *                   - attempt: 1
+ *                     startedAt: "2024-06-04T10:15:02.113Z"
+ *                     durationMs: 1204
+ *                     success: false
+ *                     error: "[503 Service Unavailable] The model is overloaded"
+ *                     statusCode: 503
+ *                     retryable: true
+ *                     delayMs: 640
+ *                   - attempt: 2
+ *                     startedAt: "2024-06-04T10:15:03.957Z"
+ *                     durationMs: 7210
+ *                     success: true
+ *       404:
+ *         description: OCR job not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/jobs/:id', authenticateToken, getOCRJobStatus);
+
+/**
+ * @swagger
+ * /api/ocr/jobs/{id}/crop:
+ *   get:
+ *     summary: Crop the source image to one extracted line
+ *     description: Returns a JPEG of the region the model read a product or sub-quantity from, so it can be checked against the handwriting. Only available for image uploads whose result carries regions.
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OCR job ID
+ *       - in: query
+ *         name: item
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: item_number of the product
+ *       - in: query
+ *         name: sub
+ *         schema:
+ *           type: integer
+ *         description: Index of a sub-quantity within the product. Omit to crop the product line.
+ *       - in: query
+ *         name: padding
+ *         schema:
+ *           type: number
+ *           default: 0.02
+ *         description: Extra margin around the region as a fraction of the image size (0 to 0.5)
+ *     responses:
+ *       200:
+ *         description: Cropped region
+ *         content:
+ *           image/jpeg:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: The line has no source region
+ *       404:
+ *         description: OCR job, line or source image not found
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/jobs/:id/crop', authenticateToken, getOCRJobCrop);
+
+/**
+ * @swagger
+ * /api/ocr/jobs/{id}/image:
+ *   get:
+ *     summary: Download the original file uploaded for an OCR job
+ *     description: Served from image storage until the retention period of the uploader's organisation (or the default) ends. Owners see their own jobs; admins see every job.
+ *     tags: [OCR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OCR job ID
+ *     responses:
+ *       200:
+ *         description: The uploaded image or PDF
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: OCR job not found, or no original was stored for it
+ *       410:
+ *         description: The original was deleted at the end of its retention period
+ */
+router.get('/jobs/:id/image', authenticateToken, getOCRJobImage);
+
 /**
  * @swagger
  * /api/ocr/stats:
  *   get:
  *     summary: Get OCR processing statistics
+ *     description: Aggregates recorded OCR jobs into totals, a per-user breakdown and a per-day or per-week breakdown. Regular users only see their own usage.
  *     tags: [OCR]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include jobs created on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only include jobs created on or before this date
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *         description: Period used for the time-series breakdown
  *     responses:
  *       200:
  *         description: OCR statistics retrieved successfully
+ *       400:
+ *         description: Invalid groupBy value, or startDate or endDate is not a date
  *       401:
  *         description: Unauthorized
  */
 router.get('/stats', authenticateToken, getOCRStats);
 
+/**
+ * @swagger
+ * /api/ocr/spend:
+ *   get:
+ *     summary: Report OCR spend by user, month and model
+ *     description: Every OCR call is written to a cost ledger. Regular users see only their own spend; admins see everyone and may filter by user or organisation.
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startMonth
+ *         schema:
+ *           type: string
+ *           example: "2024-04"
+ *         description: First month to include (YYYY-MM)
+ *       - in: query
+ *         name: endMonth
+ *         schema:
+ *           type: string
+ *           example: "2024-06"
+ *         description: Last month to include (YYYY-MM)
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Filter by model
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: Filter by user (admin only)
+ *       - in: query
+ *         name: organization
+ *         schema:
+ *           type: string
+ *         description: Filter by organisation (admin only)
+ *     responses:
+ *       200:
+ *         description: OCR spend retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "OCR spend retrieved successfully"
+ *               data:
+ *                 rows:
+ *                   - userId: "665f1c2e8b3e4a0012345678"
+ *                     email: "user@example.com"
+ *                     displayName: "Sales Desk"
+ *                     organization: "acme-electricals"
+ *                     month: "2024-06"
+ *                     model: "gemini-2.0-flash"
+ *                     calls: 412
+ *                     promptTokens: 1030000
+ *                     outputTokens: 164800
+ *                     totalTokens: 1194800
+ *                     costUsd: 0.1267
+ *                 totals:
+ *                   calls: 412
+ *                   promptTokens: 1030000
+ *                   outputTokens: 164800
+ *                   totalTokens: 1194800
+ *                   costUsd: 0.1267
+ *       400:
+ *         description: Invalid month or user filter
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/spend', authenticateToken, getOCRSpend);
+
+/**
+ * @swagger
+ * /api/ocr/budgets/status:
+ *   get:
+ *     summary: Current month's usage of the budgets that apply to you
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OCR budget status retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "OCR budget status retrieved successfully"
+ *               data:
+ *                 allowed: true
+ *                 month: "2024-06"
+ *                 budgets:
+ *                   - budgetId: "6660a1b28b3e4a0012345678"
+ *                     scope: "organization"
+ *                     organization: "acme-electricals"
+ *                     action: "block"
+ *                     exceeded: false
+ *                     limits:
+ *                       - metric: "costUsd"
+ *                         limit: 5
+ *                         used: 4.1
+ *                         percentUsed: 82
+ *                 warnings:
+ *                   - 'Organisation "acme-electricals" monthly cost budget is 82% used'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/budgets/status', authenticateToken, getBudgetStatus);
+
+/**
+ * @swagger
+ * /api/ocr/budgets:
+ *   get:
+ *     summary: List OCR budgets (admin only)
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OCR budgets retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *   put:
+ *     summary: Set the monthly OCR budget of a user or an organisation (admin only)
+ *     description: Replaces any existing budget for the same user or organisation. With action "block", /api/ocr/process and /api/ocr/process-batch answer 402 once a limit is reached; with "warn" requests go through and the response carries budgetWarnings. Warnings also appear once OCR_BUDGET_WARN_PERCENT (default 80) of a limit is used.
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: User the budget applies to (or use organization)
+ *               organization:
+ *                 type: string
+ *                 description: Organisation the budget applies to (or use userId)
+ *               monthlyTokenLimit:
+ *                 type: number
+ *               monthlyCostLimitUsd:
+ *                 type: number
+ *               action:
+ *                 type: string
+ *                 enum: [block, warn]
+ *                 default: block
+ *           example:
+ *             organization: "acme-electricals"
+ *             monthlyCostLimitUsd: 5
+ *             action: "block"
+ *     responses:
+ *       200:
+ *         description: OCR budget saved successfully
+ *       400:
+ *         description: Invalid budget
+ *       404:
+ *         description: User not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/budgets', authenticateToken, authorizeRoles('admin'), getBudgets);
+router.put('/budgets', authenticateToken, authorizeRoles('admin'), upsertBudget);
+
+/**
+ * @swagger
+ * /api/ocr/budgets/{id}:
+ *   delete:
+ *     summary: Remove an OCR budget (admin only)
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Budget ID
+ *     responses:
+ *       200:
+ *         description: OCR budget deleted successfully
+ *       404:
+ *         description: OCR budget not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.delete('/budgets/:id', authenticateToken, authorizeRoles('admin'), deleteBudget);
+
+/**
+ * @swagger
+ * /api/ocr/prices:
+ *   get:
+ *     summary: List the model pricing table
+ *     description: Prices per million tokens by provider and model, each with the date it took effect. A call is priced with the latest entry that took effect before it started; models without an entry use the built-in prices.
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Model prices retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Model prices retrieved successfully"
+ *               data:
+ *                 prices:
+ *                   - _id: "6661b3c48b3e4a0012345678"
+ *                     provider: "gemini"
+ *                     model: "gemini-2.0-flash"
+ *                     inputPricePer1M: 0.1
+ *                     outputPricePer1M: 0.4
+ *                     effectiveFrom: "2025-02-01T00:00:00.000Z"
+ *                     note: "Price list update"
+ *                     builtIn: false
+ *                   - provider: "gemini"
+ *                     model: "gemini-2.0-flash"
+ *                     inputPricePer1M: 0.075
+ *                     outputPricePer1M: 0.3
+ *                     effectiveFrom: "1970-01-01T00:00:00.000Z"
+ *                     builtIn: true
+ *       401:
+ *         description: Unauthorized
+ *   post:
+ *     summary: Add a model price (admin only)
+ *     description: The price applies to calls made from effectiveFrom (default now) until the next price of the same model. Costs already recorded are never changed.
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *               - model
+ *               - inputPricePer1M
+ *               - outputPricePer1M
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               inputPricePer1M:
+ *                 type: number
+ *                 description: USD per million input tokens
+ *               outputPricePer1M:
+ *                 type: number
+ *                 description: USD per million output tokens
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *           example:
+ *             provider: "gemini"
+ *             model: "gemini-2.0-flash"
+ *             inputPricePer1M: 0.1
+ *             outputPricePer1M: 0.4
+ *             effectiveFrom: "2025-02-01T00:00:00Z"
+ *     responses:
+ *       201:
+ *         description: Model price added successfully
+ *       400:
+ *         description: Invalid price, or the model already has a price starting at that time
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/prices', authenticateToken, getPrices);
+router.post('/prices', authenticateToken, authorizeRoles('admin'), createPrice);
+
+/**
+ * @swagger
+ * /api/ocr/prices/{id}:
+ *   put:
+ *     summary: Correct a model price (admin only)
+ *     description: Updates inputPricePer1M, outputPricePer1M, effectiveFrom or note. Only calls recorded after the change use the corrected price.
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               inputPricePer1M:
+ *                 type: number
+ *               outputPricePer1M:
+ *                 type: number
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Model price updated successfully
+ *       400:
+ *         description: Invalid price
+ *       404:
+ *         description: Model price not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *   delete:
+ *     summary: Remove a model price (admin only)
+ *     description: Later calls fall back to the price before it. Costs already recorded are not changed.
+ *     tags: [OCR Spend]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Model price deleted successfully
+ *       404:
+ *         description: Model price not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/prices/:id', authenticateToken, authorizeRoles('admin'), updatePrice);
+router.delete('/prices/:id', authenticateToken, authorizeRoles('admin'), deletePrice);
+
+/**
+ * @swagger
+ * /api/ocr/templates:
+ *   get:
+ *     summary: List prompt templates
+ *     description: Returns the active template of every document type. Built-in templates are version 0 and stay active until an admin saves a version of their own.
+ *     tags: [OCR Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Prompt templates retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Prompt templates retrieved successfully"
+ *               data:
+ *                 templates:
+ *                   - documentType: "invoice"
+ *                     version: 2
+ *                     builtIn: false
+ *                     name: "Supplier invoice"
+ *                     description: "Printed tax invoices with rates, HSN codes, GST and totals"
+ *                     parser: "priced_products"
+ *                   - documentType: "item_list"
+ *                     version: 0
+ *                     builtIn: true
+ *                     name: "Handwritten item list"
+ *                     parser: "products"
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/templates', authenticateToken, getPromptTemplates);
+
+/**
+ * @swagger
+ * /api/ocr/templates/{documentType}:
+ *   get:
+ *     summary: Get a prompt template with its version history
+ *     tags: [OCR Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document type, e.g. invoice
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Specific version to return (0 is the built-in). Defaults to the active version.
+ *     responses:
+ *       200:
+ *         description: Prompt template retrieved successfully
+ *       404:
+ *         description: Prompt template not found
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     summary: Save a new version of a prompt template (admin only)
+ *     description: Creates the next version of the document type and makes it active unless activate is false. Fields that are left out are copied from the current template, so the prompt can be edited on its own. New document types can be added the same way.
+ *     tags: [OCR Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document type (letters, digits, "_" and "-")
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               prompt:
+ *                 type: string
+ *                 description: Instructions sent to the model with the image
+ *               outputSchema:
+ *                 type: object
+ *                 description: JSON Schema the parsed output must match. It must define a "products" array.
+ *               parser:
+ *                 type: string
+ *                 enum: [products, priced_products]
+ *                 description: products for free-text quantity lists; priced_products also turns printed rates, amounts and totals into numbers
+ *               activate:
+ *                 type: boolean
+ *                 default: true
+ *           example:
+ *             prompt: "This image is a printed supplier tax invoice. Extract ..."
+ *     responses:
+ *       201:
+ *         description: Prompt template version saved
+ *       400:
+ *         description: Invalid prompt template
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/templates/:documentType', authenticateToken, getPromptTemplate);
+router.put('/templates/:documentType', authenticateToken, authorizeRoles('admin'), updatePromptTemplate);
+
+/**
+ * @swagger
+ * /api/ocr/templates/{documentType}/activate:
+ *   post:
+ *     summary: Activate a saved version of a prompt template (admin only)
+ *     description: Use version 0 to switch back to the built-in template.
+ *     tags: [OCR Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - version
+ *             properties:
+ *               version:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Prompt template version activated
+ *       400:
+ *         description: Invalid version
+ *       404:
+ *         description: Prompt template version not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.post('/templates/:documentType/activate', authenticateToken, authorizeRoles('admin'), activatePromptTemplateVersion);
+
+/**
+ * @swagger
+ * /api/ocr/reviews:
+ *   get:
+ *     summary: List completed OCR jobs by review status
+ *     description: Regular users see their own jobs; admins see everyone's. Newest first.
+ *     tags: [OCR Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, in_review, approved]
+ *           default: pending
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: OCR review queue retrieved successfully
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/reviews', authenticateToken, getReviewQueue);
+
+/**
+ * @swagger
+ * /api/ocr/reviews/export:
+ *   get:
+ *     summary: Export approved corrections as a labeled dataset (admin only)
+ *     description: Each record pairs the lines the model extracted with the approved lines, the diff between them and line accuracy metrics. format=jsonl downloads one record per line.
+ *     tags: [OCR Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, jsonl]
+ *           default: json
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Approved on or after
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Approved on or before
+ *       - in: query
+ *         name: documentType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OCR correction dataset exported successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "OCR correction dataset exported successfully"
+ *               data:
+ *                 summary:
+ *                   jobs: 1
+ *                   lines: 2
+ *                   correctLines: 1
+ *                   addedLines: 0
+ *                   removedLines: 0
+ *                   fieldChanges: 1
+ *                   lineAccuracy: 0.5
+ *                 records:
+ *                   - jobId: "665f1c2e8b3e4a0012345678"
+ *                     documentType: "item_list"
+ *                     model: "gemini-2.0-flash"
+ *                     extracted:
+ *                       - item_number: 1
+ *                         product_name: "10 sq mm wire"
+ *                         total_quantity: "20 Roll"
+ *                         sub_quantities: []
+ *                     corrected:
+ *                       - item_number: 1
+ *                         product_name: "10 sq mm wire"
+ *                         total_quantity: "25 Roll"
+ *                         sub_quantities: []
+ *                     changes:
+ *                       - op: "replace"
+ *                         item_number: 1
+ *                         field: "total_quantity"
+ *                         from: "20 Roll"
+ *                         to: "25 Roll"
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/reviews/export', authenticateToken, authorizeRoles('admin'), exportReviewDataset);
+
+/**
+ * @swagger
+ * /api/ocr/jobs/{id}/review:
+ *   get:
+ *     summary: Get the review of an OCR job
+ *     description: Returns the lines the model extracted, the current corrections, their diff against the model output and every saved revision.
+ *     tags: [OCR Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OCR review retrieved successfully
+ *       400:
+ *         description: The job has not completed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: OCR job not found
+ *   put:
+ *     summary: Save corrected lines for an OCR job
+ *     description: Send the full list of corrected lines. They are checked against the job's output schema, diffed against the model output and stored as a new revision. The review moves to in_review; editing an approved job reopens it.
+ *     tags: [OCR Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - products
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               note:
+ *                 type: string
+ *           example:
+ *             note: "Quantity misread"
+ *             products:
+ *               - item_number: 1
+ *                 product_name: "10 sq mm wire"
+ *                 total_quantity: "25 Roll"
+ *                 sub_quantities: []
+ *     responses:
+ *       200:
+ *         description: OCR corrections saved successfully
+ *       400:
+ *         description: The job has not completed, or the corrected lines are invalid
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: OCR job not found
+ */
+router.get('/jobs/:id/review', authenticateToken, getReview);
+router.put('/jobs/:id/review', authenticateToken, updateReview);
+
+/**
+ * @swagger
+ * /api/ocr/jobs/{id}/review/approve:
+ *   post:
+ *     summary: Approve the reviewed lines of an OCR job (admin only)
+ *     description: Approves the saved corrections, or the model output if nothing was corrected. Pass products to save a final set of corrections and approve in one step. Only admins approve, so owners never sign off their own corrections.
+ *     tags: [OCR Review]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: OCR review approved successfully
+ *       400:
+ *         description: The job has not completed, or the corrected lines are invalid
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: OCR job not found
+ */
+router.post('/jobs/:id/review/approve', authenticateToken, authorizeRoles('admin'), approveOCRReview);
+
+/**
+ * @swagger
+ * /api/ocr/retention:
+ *   get:
+ *     summary: List image retention periods (admin only)
+ *     description: The default period (OCR_IMAGE_RETENTION_DAYS, null when images are kept indefinitely) and the policies of organisations that override it.
+ *     tags: [OCR Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Image retention policies retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Image retention policies retrieved successfully"
+ *               data:
+ *                 defaultRetentionDays: 90
+ *                 policies:
+ *                   - _id: "665f1c2e8b3e4a0012345678"
+ *                     organization: "Acme Traders"
+ *                     retentionDays: 30
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *   put:
+ *     summary: Set the image retention period of an organisation (admin only)
+ *     tags: [OCR Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - organization
+ *               - retentionDays
+ *             properties:
+ *               organization:
+ *                 type: string
+ *               retentionDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Days after upload before the organisation's images are deleted
+ *     responses:
+ *       200:
+ *         description: Image retention policy saved successfully
+ *       400:
+ *         description: Missing organization or invalid retentionDays
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/retention', authenticateToken, authorizeRoles('admin'), getRetentionPolicies);
+router.put('/retention', authenticateToken, authorizeRoles('admin'), upsertRetentionPolicy);
+
+/**
+ * @swagger
+ * /api/ocr/retention/purge:
+ *   post:
+ *     summary: Delete expired OCR images now (admin only)
+ *     description: Runs the scheduled purge straight away and reports how many jobs had their images deleted, per organisation and for the default period.
+ *     tags: [OCR Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Expired OCR images purged successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *       409:
+ *         description: A purge is already running
+ */
+router.post('/retention/purge', authenticateToken, authorizeRoles('admin'), purgeImages);
+
+/**
+ * @swagger
+ * /api/ocr/retention/{id}:
+ *   delete:
+ *     summary: Remove an organisation's image retention policy (admin only)
+ *     description: The organisation's images fall back to the default retention period.
+ *     tags: [OCR Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image retention policy deleted successfully
+ *       404:
+ *         description: Image retention policy not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.delete('/retention/:id', authenticateToken, authorizeRoles('admin'), deleteRetentionPolicy);
+
+/**
+ * @swagger
+ * /api/ocr/matching-settings:
+ *   get:
+ *     summary: List product matching settings (admin only)
+ *     description: The defaults and the settings of organisations that override them. Settings an organisation leaves out use the defaults.
+ *     tags: [OCR Matching]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Matching settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Matching settings retrieved successfully"
+ *               data:
+ *                 defaults:
+ *                   threshold: 0.4
+ *                   maxMatchScore: 0.3
+ *                   keys:
+ *                     - name: "name"
+ *                       weight: 1
+ *                     - name: "description"
+ *                       weight: 1
+ *                     - name: "catalogueId"
+ *                       weight: 1
+ *                 settings:
+ *                   - _id: "6663c2a18b3e4a0012345678"
+ *                     organization: "Acme Traders"
+ *                     maxMatchScore: 0.2
+ *                     keys:
+ *                       - name: "name"
+ *                         weight: 3
+ *                       - name: "brand"
+ *                         weight: 1
+ *                       - name: "catalogueId"
+ *                         weight: 2
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *   put:
+ *     summary: Set the product matching settings of an organisation (admin only)
+ *     description: Replaces the organisation's settings; any left out fall back to the defaults.
+ *     tags: [OCR Matching]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - organization
+ *             properties:
+ *               organization:
+ *                 type: string
+ *               threshold:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 description: How different a product may be and still be found (0 exact, 1 anything)
+ *               maxMatchScore:
+ *                 type: number
+ *                 minimum: 0
+ *                 maximum: 1
+ *                 description: Best results scoring below this are matched; the rest are only suggested
+ *               keys:
+ *                 type: array
+ *                 description: Product fields to search with their relative weights. A field name alone is weighted 1.
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       enum: [name, description, catalogueId, brand, classification, units]
+ *                     weight:
+ *                       type: number
+ *           example:
+ *             organization: "Acme Traders"
+ *             maxMatchScore: 0.2
+ *             keys:
+ *               - name: "name"
+ *                 weight: 3
+ *               - name: "brand"
+ *                 weight: 1
+ *               - name: "catalogueId"
+ *                 weight: 2
+ *     responses:
+ *       200:
+ *         description: Matching settings saved successfully
+ *       400:
+ *         description: Missing organization or invalid settings
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/matching-settings', authenticateToken, authorizeRoles('admin'), getMatchingSettings);
+router.put('/matching-settings', authenticateToken, authorizeRoles('admin'), upsertMatchingSettings);
+
+/**
+ * @swagger
+ * /api/ocr/matching-settings/{id}:
+ *   delete:
+ *     summary: Remove an organisation's product matching settings (admin only)
+ *     description: The organisation falls back to the default settings.
+ *     tags: [OCR Matching]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Matching settings deleted successfully
+ *       404:
+ *         description: Matching settings not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.delete('/matching-settings/:id', authenticateToken, authorizeRoles('admin'), deleteMatchingSettings);
+
+/**
+ * @swagger
+ * /api/ocr/aliases:
+ *   get:
+ *     summary: List learned product aliases (admin only)
+ *     description: Aliases map text read from order slips to catalogue products. They are learned when a user picks a product for a line in /process-data or saves a quotation line with sourceText, and are checked before fuzzy matching.
+ *     tags: [OCR Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the alias text
+ *       - in: query
+ *         name: product
+ *         schema:
+ *           type: string
+ *         description: Only aliases of this product id
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [suggestion, quotation, admin]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Product aliases retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Product aliases retrieved successfully"
+ *               data:
+ *                 aliases:
+ *                   - _id: "6662a1f08b3e4a0012345678"
+ *                     alias: "10sq lal tar"
+ *                     text: "10sq lal tar"
+ *                     product:
+ *                       _id: "64f1c2a98b3e4a0012345678"
+ *                       name: "10 sq mm Wire Red"
+ *                       catalogueId: "W-10-RED"
+ *                       isActive: true
+ *                     source: "suggestion"
+ *                     confirmations: 3
+ *                     lastConfirmedAt: "2024-06-01T09:30:00.000Z"
+ *                 pagination:
+ *                   currentPage: 1
+ *                   totalPages: 1
+ *                   totalAliases: 1
+ *                   hasNext: false
+ *                   hasPrev: false
+ *       400:
+ *         description: Invalid product id
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *   post:
+ *     summary: Add a product alias (admin only)
+ *     description: An existing alias with the same text is pointed at the product instead.
+ *     tags: [OCR Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *               - productId
+ *             properties:
+ *               text:
+ *                 type: string
+ *               productId:
+ *                 type: string
+ *           example:
+ *             text: "10sq lal tar"
+ *             productId: "64f1c2a98b3e4a0012345678"
+ *     responses:
+ *       201:
+ *         description: Product alias saved successfully
+ *       400:
+ *         description: Text or product missing, product not found, or the text is already the product name
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/aliases', authenticateToken, authorizeRoles('admin'), getProductAliases);
+router.post('/aliases', authenticateToken, authorizeRoles('admin'), createProductAlias);
+
+/**
+ * @swagger
+ * /api/ocr/aliases/{id}:
+ *   put:
+ *     summary: Correct a product alias (admin only)
+ *     description: Points the alias at another product or changes its text. Moving it to another product resets its confirmations.
+ *     tags: [OCR Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               productId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Product alias updated successfully
+ *       400:
+ *         description: Product not found, empty text, or another alias already has the text
+ *       404:
+ *         description: Product alias not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ *   delete:
+ *     summary: Delete a product alias (admin only)
+ *     tags: [OCR Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product alias deleted successfully
+ *       404:
+ *         description: Product alias not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admin role required
+ */
+router.put('/aliases/:id', authenticateToken, authorizeRoles('admin'), updateProductAlias);
+router.delete('/aliases/:id', authenticateToken, authorizeRoles('admin'), deleteProductAlias);
+
 module.exports = router;
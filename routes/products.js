@@ -3,7 +3,7 @@ const multer = require('multer');
 const path = require('path');
 const firebaseAuth = require('../middleware/firebaseAuth'); // Import Firebase auth
 const { authorizeRoles } = require('../middleware/auth'); // Keep role authorization
-const { importProducts, getProductsByUser } = require('../controllers/productController');
+const { importProducts, getProductsByUser, getSearchIndexStats, rebuildSearchIndex } = require('../controllers/productController');
 
 // Configure multer for file uploads
 const upload = multer({
@@ -104,4 +104,67 @@ router.post('/import', firebaseAuth, upload.single('importFile'), importProducts
  */
 router.get('/my-products', firebaseAuth, getProductsByUser);
 
+/**
+ * @swagger
+ * /api/products/search-index:
+ *   get:
+ *     summary: Get product search index stats (admin only)
+ *     description: Matching searches an in-memory index of active products. It is built on first use, updated when products are imported and rebuilt from the database every PRODUCT_INDEX_REFRESH_MINUTES.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Product search index stats retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Product search index stats retrieved successfully"
+ *               data:
+ *                 index:
+ *                   built: true
+ *                   building: false
+ *                   size: 1840
+ *                   searchers: 2
+ *                   builtAt: "2024-06-01T09:00:00.000Z"
+ *                   buildDurationMs: 412
+ *                   builds: 3
+ *                   incrementalUpdates: 12
+ *                   lastUpdatedAt: "2024-06-01T09:42:10.000Z"
+ *                   refreshMinutes: 60
+ *                   stale: false
+ *                   checkSeconds: 10
+ *                   checkedAt: "2024-06-01T09:44:55.000Z"
+ *                   externalChanges: 4
+ *                   searches: 230
+ *                   averageSearchMs: 6.4
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Admin role required.
+ */
+router.get('/search-index', firebaseAuth, authorizeRoles('admin'), getSearchIndexStats);
+
+/**
+ * @swagger
+ * /api/products/search-index/rebuild:
+ *   post:
+ *     summary: Rebuild the product search index (admin only)
+ *     description: Reloads the active products from the database, e.g. after editing the catalogue outside the API.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Product search index rebuilt; data.index holds the new stats.
+ *       401:
+ *         description: Unauthorized.
+ *       403:
+ *         description: Admin role required.
+ *       500:
+ *         description: Server error.
+ */
+router.post('/search-index/rebuild', firebaseAuth, authorizeRoles('admin'), rebuildSearchIndex);
+
 module.exports = router;
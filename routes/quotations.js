@@ -174,6 +174,9 @@ router.get('/:id', authenticateToken, getQuotationById);
  *                     notes:
  *                       type: string
  *                       description: Item notes
+ *                     sourceText:
+ *                       type: string
+ *                       description: Product text as read from the order slip. Saved as an alias of the product so the next slip matches it directly.
  *               taxRate:
  *                 type: number
  *                 default: 0
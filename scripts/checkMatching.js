@@ -0,0 +1,76 @@
+/**
+ * Catalogue matching regression check.
+ *
+ * Searches a fixed catalogue with the searcher matching builds for the default settings
+ * and with the Fuse setup matching used before settings were configurable, and fails
+ * when any query is ranked, scored or decided (match, suggestions, unmatched) differently.
+ * Needs no database.
+ *
+ * Usage: node scripts/checkMatching.js [--file <path>]
+ *   --file <path>   Catalogue and queries (default evaluation/matching/catalogue.json)
+ */
+const fs = require('fs');
+const path = require('path');
+const Fuse = require('fuse.js');
+const { createSearcher } = require('../services/productIndexService');
+const { DEFAULT_MATCHING_SETTINGS } = require('../services/matchingSettingsService');
+
+const ROOT = path.join(__dirname, '..');
+
+// Matching before per-organisation settings: these options, and a match below 0.3
+const BASELINE_FUSE_OPTIONS = {
+  keys: ['name', 'description', 'catalogueId'],
+  includeScore: true,
+  threshold: 0.4
+};
+const BASELINE_MAX_MATCH_SCORE = 0.3;
+
+/**
+ * Search one query and sum up what matching would do with the results
+ * @param {Fuse} fuse - Searcher
+ * @param {string} query - Product name as read
+ * @param {number} maxMatchScore - Best results scoring below this are matched
+ * @returns {Object} - { decision, results: [{ catalogueId, score }] }
+ */
+const describeSearch = (fuse, query, maxMatchScore) => {
+  const results = fuse.search(query).slice(0, 5).map(({ item, score }) => ({
+    catalogueId: item.catalogueId,
+    score: Math.round(score * 1e6) / 1e6
+  }));
+
+  let decision = 'unmatched';
+  if (results.length > 0) decision = results[0].score < maxMatchScore ? 'matched' : 'suggestions';
+
+  return { decision, results };
+};
+
+const runCheck = () => {
+  const fileIndex = process.argv.indexOf('--file');
+  const file = path.resolve(ROOT, fileIndex > -1 ? process.argv[fileIndex + 1] : 'evaluation/matching/catalogue.json');
+  const { products, queries } = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const baseline = new Fuse(products, BASELINE_FUSE_OPTIONS);
+  const current = createSearcher(products, DEFAULT_MATCHING_SETTINGS);
+
+  let differences = 0;
+  queries.forEach(query => {
+    const expected = describeSearch(baseline, query, BASELINE_MAX_MATCH_SCORE);
+    const actual = describeSearch(current, query, DEFAULT_MATCHING_SETTINGS.maxMatchScore);
+    const best = actual.results[0];
+    const summary = `${actual.decision}${best ? ` ${best.catalogueId} (${best.score})` : ''}`;
+
+    if (JSON.stringify(expected) === JSON.stringify(actual)) {
+      console.log(`✅ "${query}": ${summary}`);
+    } else {
+      differences++;
+      console.log(`❌ "${query}": ${summary}`);
+      console.log(`   expected ${JSON.stringify(expected)}`);
+      console.log(`   got      ${JSON.stringify(actual)}`);
+    }
+  });
+
+  console.log(`\n${queries.length - differences}/${queries.length} queries match the baseline`);
+  if (differences > 0) process.exitCode = 1;
+};
+
+runCheck();
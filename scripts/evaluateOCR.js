@@ -0,0 +1,253 @@
+/**
+ * OCR accuracy evaluation.
+ *
+ * Runs every labeled sample in a folder through an OCR provider, compares the parsed
+ * output with the ground truth and saves the metrics so runs can be compared over time.
+ * A sample is a ground-truth file <name>.json next to an image or PDF <name>.jpg|jpeg|png|webp|pdf,
+ * or naming its file in "image" (relative to the folder).
+ *
+ * Usage: node scripts/evaluateOCR.js [options]
+ *   --dir <path>                Samples folder (default evaluation/samples)
+ *   --provider <name>           OCR provider (default OCR_PROVIDER, then gemini)
+ *   --document-type <type>      Prompt template document type (default item_list)
+ *   --template-version <n>      Template version, or "active" for the version in use (default 0, the built-in)
+ *   --preprocess <setting>      true, false or a JSON object of steps (default true)
+ *   --match                     Also evaluate catalogue matching (connects to MongoDB)
+ *   --out <path>                Results folder (default evaluation/results)
+ *   --label <text>              Note stored with the run, e.g. "prompt v3"
+ *   --compare <file>            Earlier run to compare with (default the latest run in the results folder)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const { processDocument } = require('../services/ocrService');
+const { getProvider } = require('../services/ocrProviders');
+const { resolveSteps } = require('../services/imagePreprocessService');
+const { resolvePromptTemplate } = require('../services/promptTemplateService');
+const { matchProducts } = require('../services/matchingService');
+const { compareSample, summarizeComparisons, headlineMetrics } = require('../services/ocrEvaluationService');
+
+const ROOT = path.join(__dirname, '..');
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Read --name value pairs and --flags from the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object}
+ */
+const parseArgs = (argv) => {
+  const args = {};
+  for (let index = 0; index < argv.length; index++) {
+    const name = argv[index].replace(/^--/, '');
+    const next = argv[index + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      index++;
+    }
+  }
+  return args;
+};
+
+/**
+ * Labeled samples in a folder
+ * @param {string} dir - Samples folder
+ * @returns {Array<Object>} - [{ name, imagePath, mimeType, truth }]
+ */
+const loadSamples = (dir) => fs.readdirSync(dir)
+  .filter(file => path.extname(file) === '.json')
+  .sort()
+  .map(file => {
+    const name = path.basename(file, '.json');
+    const truth = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    const imagePath = truth.image
+      ? path.resolve(dir, truth.image)
+      : Object.keys(MIME_TYPES).map(ext => path.join(dir, `${name}${ext}`)).find(candidate => fs.existsSync(candidate));
+
+    if (!imagePath || !fs.existsSync(imagePath)) {
+      throw new Error(`No image found for sample "${name}"`);
+    }
+
+    return {
+      name,
+      imagePath,
+      mimeType: MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/jpeg',
+      truth
+    };
+  });
+
+/**
+ * Latest saved run in the results folder, other than the given file
+ * @param {string} outDir - Results folder
+ * @param {string} exclude - File to skip
+ * @returns {string|null}
+ */
+const findPreviousRun = (outDir, exclude) => {
+  const runs = fs.readdirSync(outDir)
+    .filter(file => file.endsWith('.json') && path.join(outDir, file) !== exclude)
+    .sort();
+  return runs.length > 0 ? path.join(outDir, runs[runs.length - 1]) : null;
+};
+
+/**
+ * Format a rate for the console
+ * @param {number|null} value - Rate from 0 to 1
+ * @returns {string}
+ */
+const formatRate = (value) => (value === null || value === undefined ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+/**
+ * Print a run's metrics, with the change from an earlier run when there is one
+ * @param {Object} run - Saved run
+ * @param {Object|null} previous - Earlier run
+ */
+const printReport = (run, previous) => {
+  const { summary } = run;
+
+  console.log('\n📊 Per field');
+  Object.entries(summary.fields).forEach(([field, metrics]) => {
+    console.log(`   ${field.padEnd(28)} precision ${formatRate(metrics.precision)}  recall ${formatRate(metrics.recall)}  (${metrics.correct}/${metrics.expected})`);
+  });
+
+  console.log(`\n📈 Summary (${run.samples.length} samples, ${run.failedSamples} failed)`);
+  const before = previous ? previous.headline : {};
+  Object.entries(run.headline).forEach(([metric, value]) => {
+    const change = typeof before[metric] === 'number' && typeof value === 'number'
+      ? `  ${value >= before[metric] ? '+' : ''}${((value - before[metric]) * 100).toFixed(1)} pts`
+      : '';
+    console.log(`   ${metric.padEnd(28)} ${formatRate(value)}${change}`);
+  });
+
+  if (previous) {
+    console.log(`\n   Compared with ${previous.startedAt} (${previous.config.provider}/${previous.config.model || '-'}, template ${previous.config.documentType}@${previous.config.templateVersion}${previous.label ? `, "${previous.label}"` : ''})`);
+  }
+};
+
+const runEvaluation = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const dir = path.resolve(ROOT, args.dir || 'evaluation/samples');
+  const outDir = path.resolve(ROOT, args.out || 'evaluation/results');
+  const versionArg = args['template-version'];
+  const templateVersion = versionArg === 'active' ? undefined : (versionArg === undefined ? 0 : parseInt(versionArg, 10));
+  const needsDatabase = Boolean(args.match) || templateVersion !== 0;
+
+  let connected = false;
+  try {
+    console.log('🚀 Starting OCR evaluation...');
+    const provider = getProvider(typeof args.provider === 'string' ? args.provider : undefined).name;
+    const preprocess = resolveSteps(args.preprocess === undefined ? true : String(args.preprocess));
+    if (needsDatabase) {
+      await connectDB();
+      connected = true;
+    }
+
+    const template = await resolvePromptTemplate(args['document-type'], templateVersion);
+    if (!template) {
+      throw new Error(`No template found for ${args['document-type'] || 'the default document type'} version ${versionArg}`);
+    }
+
+    const samples = loadSamples(dir);
+    if (samples.length === 0) {
+      throw new Error(`No labeled samples (*.json) found in ${dir}`);
+    }
+    console.log(`   ${samples.length} samples, provider ${provider}, template ${template.documentType}@${template.version}`);
+
+    const startedAt = new Date();
+    const results = [];
+    const comparisons = [];
+    let model;
+
+    for (const sample of samples) {
+      const sampleStartedAt = Date.now();
+      const buffer = fs.readFileSync(sample.imagePath);
+      const { ocrResult, parsedResult } = await processDocument(buffer, sample.mimeType, { provider, preprocess, template });
+      const durationMs = Date.now() - sampleStartedAt;
+      model = model || ocrResult.model;
+
+      // A sample that could not be read counts as extracting nothing
+      const success = Boolean(ocrResult.success && parsedResult && parsedResult.success);
+      const extracted = success ? parsedResult.data : { products: [] };
+
+      let matches;
+      if (args.match && extracted.products.length > 0) {
+        const matchingResult = await matchProducts(extracted.products);
+        matches = new Map(matchingResult.matchedProducts.map(match => [match.extracted, match.matched]));
+      } else if (args.match) {
+        matches = new Map();
+      }
+
+      const comparison = compareSample(sample.truth, extracted, matches);
+      comparisons.push(comparison);
+
+      const sampleSummary = summarizeComparisons([comparison]);
+      console.log(`${success ? '✅' : '❌'} ${sample.name}: lines ${comparison.lines.correct}/${comparison.lines.expected}, fields ${formatRate(sampleSummary.overall.recall).trim()} recall, ${durationMs} ms`);
+
+      results.push({
+        name: sample.name,
+        image: path.relative(ROOT, sample.imagePath),
+        success,
+        error: success ? undefined : (ocrResult.error || (parsedResult && parsedResult.error)),
+        durationMs,
+        usageMetadata: ocrResult.usageMetadata || undefined,
+        metrics: headlineMetrics(sampleSummary),
+        unpairedExpected: comparison.unpairedExpected,
+        unpairedExtracted: comparison.unpairedExtracted,
+        extracted
+      });
+    }
+
+    const summary = summarizeComparisons(comparisons);
+    const run = {
+      label: typeof args.label === 'string' ? args.label : undefined,
+      startedAt: startedAt.toISOString(),
+      completedAt: new Date().toISOString(),
+      config: {
+        provider,
+        model,
+        documentType: template.documentType,
+        templateVersion: template.version,
+        // Tells prompt edits apart even when the version number was reused
+        promptHash: crypto.createHash('sha256').update(template.prompt).digest('hex').slice(0, 12),
+        preprocess,
+        matching: Boolean(args.match),
+        samplesDir: path.relative(ROOT, dir)
+      },
+      headline: headlineMetrics(summary),
+      summary,
+      failedSamples: results.filter(result => !result.success).length,
+      samples: results
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    const outFile = path.join(outDir, `${startedAt.toISOString().replace(/[:.]/g, '-')}-${provider}.json`);
+    fs.writeFileSync(outFile, `${JSON.stringify(run, null, 2)}\n`);
+
+    const previousFile = typeof args.compare === 'string'
+      ? path.resolve(ROOT, args.compare)
+      : findPreviousRun(outDir, outFile);
+    const previous = previousFile ? JSON.parse(fs.readFileSync(previousFile, 'utf8')) : null;
+
+    printReport(run, previous);
+    console.log(`\n💾 Results saved to ${path.relative(ROOT, outFile)}`);
+
+  } catch (error) {
+    console.error('❌ OCR evaluation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    if (connected) {
+      await mongoose.connection.close();
+    }
+  }
+};
+
+runEvaluation();
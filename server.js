@@ -9,6 +9,10 @@ const swaggerUi = require('swagger-ui-express');
 const admin = require('./config/firebase');
 
 const connectDB = require('./config/database');
+const { startOCRWorker } = require('./services/ocrWorkerService');
+const { getCircuitStates } = require('./services/providerResilienceService');
+const { startImagePurge } = require('./services/imageRetentionService');
+const { checkImageStorageConfig } = require('./services/imageStorage');
 const authRoutes = require('./routes/auth');
 const ocrRoutes = require('./routes/ocr');
 const productRoutes = require('./routes/products');
@@ -50,6 +54,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from the 'public' directory or root
 app.use(express.static('public'));
+// Stored OCR images and uploaded imports are only reachable through authenticated routes
+app.use(['/storage', '/uploads'], (req, res) => res.status(404).end());
 app.use(express.static(__dirname)); // Serves files from the project root
 
 // Swagger configuration
@@ -113,6 +119,8 @@ app.get('/health', (req, res) => {
       database: mongoose.connection.readyState === 1 ? '✅ Connected' : '❌ Disconnected',
       firebase: admin.apps.length > 0 ? '✅ Configured' : '⚠️  Not configured'
     },
+    // Circuit breaker state of OCR providers called since startup; an open circuit does not fail the check
+    ocrProviders: getCircuitStates(),
     environment: process.env.NODE_ENV || 'development',
     port: PORT
   };
@@ -181,11 +189,24 @@ const PORT = process.env.PORT || 8080;
 const HOST = '0.0.0.0';
 
 const startServer = async () => {
+  const storageProblem = checkImageStorageConfig();
+  if (storageProblem) {
+    console.error(`\n❌ Image storage is not configured: ${storageProblem}`);
+    console.error('🔧 Set OCR_IMAGE_STORAGE_DIR or OCR_IMAGE_BUCKET, or OCR_IMAGE_STORAGE=none to keep no originals');
+    process.exit(1);
+  }
+
   try {
     // Connect to database
     await connectDB();
     console.log('📊 Database connected successfully');
 
+    // Process queued async OCR jobs in this process
+    startOCRWorker();
+
+    // Delete uploaded OCR images past their retention period
+    startImagePurge();
+
     // Start listening
     app.listen(PORT, HOST, () => {
       console.log('\n' + '='.repeat(60));
@@ -0,0 +1,118 @@
+const Fuse = require('fuse.js');
+const Quotation = require('../models/Quotation');
+const { transliterate, normalizeName } = require('./transliterationService');
+
+// Name scores below this are taken as the same customer; others are only suggested
+const NAME_MATCH_SCORE = 0.2;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Compare phone numbers on their last ten digits, so "+91 98765-43210" equals "09876543210"
+ * @param {string} phone - Phone number as written
+ * @returns {string|null}
+ */
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 6 ? digits.slice(-10) : null;
+};
+
+/**
+ * Customer details in quotation form from an extracted document header.
+ * Order slips name the customer; invoices and purchase orders name the buyer.
+ * @param {Object} document - Header section of the OCR result
+ * @returns {Object|null} - { name, phone, address }, or null when the header names nobody
+ */
+const customerFromHeader = (document) => {
+  if (!document || typeof document !== 'object') return null;
+
+  const customer = {
+    name: document.customer_name || document.buyer_name || undefined,
+    phone: document.customer_phone || undefined,
+    address: document.customer_address || undefined
+  };
+
+  return customer.name || customer.phone ? customer : null;
+};
+
+/**
+ * Customers from earlier quotations, one entry per name and phone, most recent details first
+ * @returns {Promise<Array<Object>>} - [{ customer, quotations, lastQuotedAt }]
+ */
+const findKnownCustomers = async () => {
+  const groups = await Quotation.aggregate([
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { name: { $toLower: '$customer.name' }, phone: '$customer.phone' },
+        customer: { $first: '$customer' },
+        quotations: { $sum: 1 },
+        lastQuotedAt: { $first: '$createdAt' }
+      }
+    }
+  ]);
+
+  return groups.map(({ customer, quotations, lastQuotedAt }) => ({
+    customer: {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      address: customer.address
+    },
+    quotations,
+    lastQuotedAt
+  }));
+};
+
+/**
+ * Look up the customer an order was written for among customers of earlier quotations.
+ * A phone number match is taken as the customer; otherwise names are compared,
+ * including a Latin transliteration of names written in Devanagari.
+ * @param {Object} document - Header section of the OCR result
+ * @returns {Promise<Object|null>} - { extracted, match, suggestions, details }, or null when the header names nobody
+ */
+const matchCustomer = async (document) => {
+  const extracted = customerFromHeader(document);
+  if (!extracted) return null;
+
+  const known = await findKnownCustomers();
+  const phone = normalizePhone(extracted.phone);
+  const byPhone = phone ? known.find(entry => normalizePhone(entry.customer.phone) === phone) : null;
+
+  let match = byPhone ? { ...byPhone, matchType: 'phone', score: 0 } : null;
+  let suggestions = [];
+
+  if (!match && extracted.name) {
+    const fuse = new Fuse(known, { keys: ['customer.name'], includeScore: true, threshold: 0.4 });
+    const queries = [...new Set([extracted.name, normalizeName(transliterate(extracted.name))])];
+    const results = queries
+      .flatMap(query => fuse.search(query))
+      .sort((a, b) => a.score - b.score)
+      .filter((result, index, all) => all.findIndex(other => other.item === result.item) === index);
+
+    if (results.length > 0 && results[0].score < NAME_MATCH_SCORE) {
+      match = { ...results[0].item, matchType: 'name', score: results[0].score };
+    }
+    suggestions = results
+      .filter(result => !match || result.item.customer !== match.customer)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(result => ({ ...result.item, score: result.score }));
+  }
+
+  return {
+    extracted,
+    match,
+    suggestions,
+    // Ready for a new quotation: the known customer, completed with anything only the slip has
+    details: match
+      ? {
+        ...match.customer,
+        phone: match.customer.phone || extracted.phone,
+        address: match.customer.address || extracted.address
+      }
+      : extracted
+  };
+};
+
+module.exports = {
+  matchCustomer
+};
@@ -0,0 +1,109 @@
+// Numeric fields of priced line items and document totals
+const LINE_AMOUNT_FIELDS = ['rate', 'discount', 'gst_rate', 'amount'];
+const TOTAL_FIELDS = ['subtotal', 'discount', 'tax', 'round_off', 'grand_total'];
+
+// Currency markers, percent signs, thousands separators and spaces around printed amounts
+const AMOUNT_NOISE_REGEX = /rs\.?|inr|\u20B9|\$|%|,|\s/gi;
+
+/**
+ * Convert a printed amount such as "Rs. 1,250.00" or "18%" to a number
+ * @param {*} value - Amount as returned by the model
+ * @returns {number|null|undefined} - Number, null when unreadable, undefined when absent
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null || typeof value === 'number') return value;
+
+  const cleaned = String(value).replace(AMOUNT_NOISE_REGEX, '');
+  if (cleaned === '' || cleaned === '-') return null;
+
+  const amount = Number(cleaned);
+  return Number.isNaN(amount) ? null : amount;
+};
+
+/**
+ * Convert the given fields of an object to numbers in place
+ * @param {Object} target - Object holding the fields
+ * @param {Array<string>} fields - Field names
+ * @param {string} path - JSON pointer of the object, used in repair messages
+ * @param {Array<string>} repairs - Repair log
+ */
+const normalizeAmounts = (target, fields, path, repairs) => {
+  fields.forEach(field => {
+    if (target[field] === undefined || target[field] === null || typeof target[field] === 'number') return;
+
+    const amount = parseAmount(target[field]);
+    repairs.push(amount === null
+      ? `${path}/${field}: removed unreadable value "${target[field]}"`
+      : `${path}/${field}: converted "${target[field]}" to a number`);
+    target[field] = amount;
+  });
+};
+
+/**
+ * Turn printed rates, amounts and totals into numbers and HSN codes into strings
+ * @param {*} data - Parsed OCR output
+ * @returns {Object} - { data, repairs }
+ */
+const normalizePricedDocument = (data) => {
+  const repairs = [];
+  if (!data || typeof data !== 'object' || !Array.isArray(data.products)) {
+    return { data, repairs };
+  }
+
+  const products = data.products.map((product, index) => {
+    if (!product || typeof product !== 'object') return product;
+
+    const fixed = { ...product };
+    const path = `/products/${index}`;
+
+    normalizeAmounts(fixed, LINE_AMOUNT_FIELDS, path, repairs);
+    if (typeof fixed.hsn_code === 'number') {
+      fixed.hsn_code = String(fixed.hsn_code);
+      repairs.push(`${path}/hsn_code: converted number to string`);
+    }
+
+    return fixed;
+  });
+
+  const normalized = { ...data, products };
+  if (data.totals && typeof data.totals === 'object') {
+    normalized.totals = { ...data.totals };
+    normalizeAmounts(normalized.totals, TOTAL_FIELDS, '/totals', repairs);
+  }
+
+  return { data: normalized, repairs };
+};
+
+/**
+ * Parsers a prompt template can use for its output, keyed by name.
+ * `normalize(data)` runs before schema validation and resolves to `{ data, repairs }`.
+ */
+const PARSERS = {
+  products: {
+    description: 'Products with free-text quantities and optional colour sub-quantities',
+    normalize: (data) => ({ data, repairs: [] })
+  },
+  priced_products: {
+    description: 'Printed line items with rates, HSN codes and amounts, plus document totals',
+    normalize: normalizePricedDocument
+  }
+};
+
+/**
+ * Look up a parser by name
+ * @param {string} name - Parser name
+ * @returns {Object|null}
+ */
+const getParser = (name) => (Object.prototype.hasOwnProperty.call(PARSERS, name) ? PARSERS[name] : null);
+
+/**
+ * List parser names
+ * @returns {Array<string>}
+ */
+const listParsers = () => Object.keys(PARSERS);
+
+module.exports = {
+  getParser,
+  listParsers,
+  parseAmount
+};
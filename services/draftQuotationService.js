@@ -0,0 +1,162 @@
+const { matchProducts } = require('./matchingService');
+const { parseQuantity } = require('./quantityService');
+const { createQuotationRecord } = require('./quotationService');
+const { resolveMatchingSettings } = require('./matchingSettingsService');
+require('dotenv').config();
+
+// Only matches scoring below this are added without asking (Fuse scores: 0 is exact)
+const DEFAULT_AUTO_SELECT_SCORE = 0.15;
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Highest match score a line may have to be added to the draft without review
+ * @returns {number}
+ */
+const getAutoSelectScore = () => {
+  const score = parseFloat(process.env.DRAFT_QUOTATION_MAX_MATCH_SCORE);
+  return Number.isNaN(score) ? DEFAULT_AUTO_SELECT_SCORE : score;
+};
+
+/**
+ * Quantity to quote for a line: its total, or the sum of its sub-quantities when no total is written
+ * @param {Object} line - Extracted product line
+ * @returns {number|null}
+ */
+const getLineQuantity = (line) => {
+  const total = parseQuantity(line.total_quantity);
+  if (total.value > 0) return total.value;
+
+  const subTotal = (line.sub_quantities || [])
+    .map(sub => parseQuantity(sub.quantity).value)
+    .filter(value => value > 0)
+    .reduce((sum, value) => sum + value, 0);
+
+  return subTotal > 0 ? subTotal : null;
+};
+
+/**
+ * Score a match is held against DRAFT_QUOTATION_MAX_MATCH_SCORE. An alias hit is judged by
+ * how close the search alone came to its product, so one user's confirmation cannot put a
+ * product into drafts by itself.
+ * @param {Object} match - Entry of matchedProducts
+ * @returns {number|null} - null when the search did not find the alias's product at all
+ */
+const getAutoSelectMatchScore = (match) => (match.matchType === 'alias' ? match.fuzzyScore : match.score);
+
+/**
+ * Whether a line's quantity is a range ("2-3 pcs") the user has to settle
+ * @param {Object} line - Extracted product line
+ * @returns {boolean}
+ */
+const hasAmbiguousQuantity = (line) => [line.total_quantity, ...(line.sub_quantities || []).map(sub => sub.quantity)]
+  .some(text => parseQuantity(text).ambiguous === true);
+
+/**
+ * Catalogue product summary offered for a line the user has to resolve
+ * @param {Object} product - Product document
+ * @returns {Object}
+ */
+const toCandidate = (product) => ({
+  _id: product._id,
+  name: product.name,
+  catalogueId: product.catalogueId,
+  price: product.price,
+  units: product.units
+});
+
+/**
+ * Split extracted lines into quotation items and lines the user has to resolve.
+ * A line is added only when its match is close, the line was read confidently,
+ * it has a quantity and the product has a price.
+ * @param {Array<Object>} lines - Extracted product lines
+ * @param {Object} matchingResult - Result of matchProducts
+ * @returns {Object} - { items, selected, unresolved }
+ */
+const selectLines = (lines, matchingResult) => {
+  const maxScore = getAutoSelectScore();
+  const matches = new Map(matchingResult.matchedProducts.map(match => [match.extracted, match]));
+  const suggestions = new Map(matchingResult.suggestions.map(entry => [entry.extracted, entry.suggestions]));
+
+  const items = [];
+  const selected = [];
+  const unresolved = [];
+
+  lines.forEach(line => {
+    const match = matches.get(line);
+    const quantity = getLineQuantity(line);
+    const score = match ? getAutoSelectMatchScore(match) : null;
+    let reason = null;
+
+    if (!match) {
+      reason = suggestions.has(line) ? 'suggestions_only' : 'unmatched';
+    } else if (score === null || score > maxScore) {
+      reason = 'weak_match';
+    } else if (line.low_confidence) {
+      reason = 'low_confidence';
+    } else if (hasAmbiguousQuantity(line)) {
+      reason = 'ambiguous_quantity';
+    } else if (!quantity) {
+      reason = 'no_quantity';
+    } else if (typeof match.matched.price !== 'number') {
+      reason = 'no_price';
+    }
+
+    if (reason) {
+      const candidates = match ? [match.matched] : (suggestions.get(line) || []);
+      unresolved.push({
+        line,
+        reason,
+        quantity,
+        candidates: candidates.slice(0, MAX_SUGGESTIONS).map(toCandidate)
+      });
+      return;
+    }
+
+    // Lines read as the same product become one item
+    const item = items.find(existing => existing.product.equals(match.matched._id));
+    if (item) {
+      item.quantity += quantity;
+    } else {
+      items.push({ product: match.matched._id, quantity, sourceText: line.product_name });
+    }
+    selected.push({
+      line,
+      product: toCandidate(match.matched),
+      quantity,
+      matchType: match.matchType,
+      score: match.score
+    });
+  });
+
+  return { items, selected, unresolved };
+};
+
+/**
+ * Create a draft quotation from extracted lines, matched with the user's organisation settings.
+ * Confident matches become items, priced the same way as quotations created by hand;
+ * everything else is returned unresolved.
+ * @param {Object} params - Draft details
+ * @param {Array<Object>} params.products - Extracted product lines
+ * @param {Object} params.customer - Customer name and contact details
+ * @param {string} [params.notes] - Quotation notes
+ * @param {Date} [params.validUntil] - Quotation expiry date
+ * @param {Object} params.user - User creating the quotation
+ * @returns {Promise<Object>} - { quotation, selected, unresolved }; quotation is null when no line could be added
+ */
+const createDraftQuotation = async ({ products, customer, notes, validUntil, user }) => {
+  const matchingResult = await matchProducts(products, await resolveMatchingSettings(user));
+  if (!matchingResult.success) {
+    throw new Error(`Product matching failed: ${matchingResult.error}`);
+  }
+
+  const { items, selected, unresolved } = selectLines(products, matchingResult);
+  const quotation = items.length > 0
+    ? await createQuotationRecord({ customer, items, notes, validUntil, status: 'draft', createdBy: user._id })
+    : null;
+
+  return { quotation, selected, unresolved };
+};
+
+module.exports = {
+  createDraftQuotation
+};
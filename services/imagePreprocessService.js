@@ -0,0 +1,184 @@
+const sharp = require('sharp');
+require('dotenv').config();
+
+const DEFAULT_MAX_DIMENSION = 2048;
+const DESKEW_SAMPLE_WIDTH = 400;
+const DESKEW_MAX_ANGLE = 15;
+const DESKEW_STEP = 0.5;
+const CROP_THRESHOLD = 40;
+
+/**
+ * Preprocessing steps and whether each runs by default
+ */
+const DEFAULT_STEPS = {
+  autoOrient: true,
+  resize: true,
+  crop: true,
+  deskew: true,
+  grayscale: false,
+  contrast: false
+};
+
+/**
+ * Resolve which steps to run from a per-request setting.
+ * Accepts false/"false" (no preprocessing), true/"true" (defaults),
+ * or an object / JSON string overriding individual steps, e.g. { "grayscale": true }.
+ * @param {*} setting - Per-request preprocess setting
+ * @returns {Object} - Step name -> enabled
+ */
+const resolveSteps = (setting) => {
+  let overrides = setting;
+
+  if (typeof overrides === 'string') {
+    if (overrides === 'false') return Object.fromEntries(Object.keys(DEFAULT_STEPS).map(step => [step, false]));
+    if (overrides === 'true' || overrides === '') return { ...DEFAULT_STEPS };
+    overrides = JSON.parse(overrides);
+  }
+
+  if (overrides === false) return Object.fromEntries(Object.keys(DEFAULT_STEPS).map(step => [step, false]));
+  if (!overrides || typeof overrides !== 'object') return { ...DEFAULT_STEPS };
+
+  const steps = { ...DEFAULT_STEPS };
+  Object.keys(DEFAULT_STEPS).forEach(step => {
+    if (overrides[step] !== undefined) {
+      steps[step] = overrides[step] === true || overrides[step] === 'true';
+    }
+  });
+
+  return steps;
+};
+
+/**
+ * Estimate how far text lines are tilted, using a projection profile:
+ * the angle at which dark pixels line up into the sharpest rows wins.
+ * @param {Buffer} imageBuffer - Image buffer
+ * @returns {Promise<number>} - Angle in degrees to rotate by to straighten the page
+ */
+const estimateSkewAngle = async (imageBuffer) => {
+  const { data, info } = await sharp(imageBuffer)
+    .grayscale()
+    .resize({ width: DESKEW_SAMPLE_WIDTH, withoutEnlargement: true })
+    .normalise()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const darkPixels = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[y * info.width + x] < 128) darkPixels.push([x, y]);
+    }
+  }
+
+  if (darkPixels.length === 0) return 0;
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  const rowCount = info.width + info.height;
+
+  for (let angle = -DESKEW_MAX_ANGLE; angle <= DESKEW_MAX_ANGLE; angle += DESKEW_STEP) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Float64Array(rowCount * 2);
+
+    darkPixels.forEach(([x, y]) => {
+      rows[Math.round(y * cos + x * sin) + rowCount]++;
+    });
+
+    const score = rows.reduce((sum, count) => sum + count * count, 0);
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+};
+
+/**
+ * Prepare a phone photo for OCR: apply EXIF orientation, downsize, crop to the document,
+ * straighten, and optionally convert to grayscale and boost contrast.
+ * Each step can be switched on or off per request.
+ * @param {Buffer} imageBuffer - Original image buffer
+ * @param {string} mimeType - Original MIME type
+ * @param {*} [setting] - Per-request preprocess setting (see resolveSteps)
+ * @returns {Promise<Object>} - { buffer, mimeType, metadata }
+ */
+const preprocessImage = async (imageBuffer, mimeType, setting) => {
+  const steps = resolveSteps(setting);
+  const applied = [];
+  const metadata = { steps, applied };
+
+  if (!Object.values(steps).some(Boolean)) {
+    return { buffer: imageBuffer, mimeType, metadata };
+  }
+
+  try {
+    const original = await sharp(imageBuffer).metadata();
+    metadata.original = { width: original.width, height: original.height, size: imageBuffer.length };
+
+    let buffer = imageBuffer;
+
+    if (steps.autoOrient) {
+      buffer = await sharp(buffer).rotate().toBuffer();
+      if (original.orientation && original.orientation !== 1) {
+        applied.push('autoOrient');
+      }
+    }
+
+    if (steps.resize) {
+      const maxDimension = parseInt(process.env.OCR_MAX_IMAGE_DIMENSION, 10) || DEFAULT_MAX_DIMENSION;
+      const { width, height } = await sharp(buffer).metadata();
+      if (Math.max(width, height) > maxDimension) {
+        buffer = await sharp(buffer)
+          .resize({ width: maxDimension, height: maxDimension, fit: 'inside' })
+          .toBuffer();
+        applied.push('resize');
+      }
+    }
+
+    if (steps.crop) {
+      const before = await sharp(buffer).metadata();
+      const cropped = await sharp(buffer).trim({ threshold: CROP_THRESHOLD }).toBuffer({ resolveWithObject: true });
+      if (cropped.info.width < before.width || cropped.info.height < before.height) {
+        buffer = cropped.data;
+        applied.push('crop');
+      }
+    }
+
+    if (steps.deskew) {
+      const angle = await estimateSkewAngle(buffer);
+      metadata.skewAngle = angle;
+      if (Math.abs(angle) >= DESKEW_STEP) {
+        buffer = await sharp(buffer).rotate(angle, { background: '#ffffff' }).toBuffer();
+        applied.push('deskew');
+      }
+    }
+
+    let pipeline = sharp(buffer);
+    if (steps.grayscale) {
+      pipeline = pipeline.grayscale();
+      applied.push('grayscale');
+    }
+    if (steps.contrast) {
+      pipeline = pipeline.normalise();
+      applied.push('contrast');
+    }
+
+    const output = await pipeline.jpeg({ quality: 90 }).toBuffer({ resolveWithObject: true });
+    metadata.output = { width: output.info.width, height: output.info.height, size: output.data.length };
+
+    return { buffer: output.data, mimeType: 'image/jpeg', metadata };
+
+  } catch (error) {
+    // Unsupported or corrupt images go to the provider untouched
+    console.error('Image preprocessing error:', error);
+    metadata.error = error.message;
+    return { buffer: imageBuffer, mimeType, metadata };
+  }
+};
+
+module.exports = {
+  preprocessImage,
+  resolveSteps
+};
@@ -0,0 +1,229 @@
+const path = require('path');
+const OcrJob = require('../models/OcrJob');
+const User = require('../models/User');
+const ImageRetentionPolicy = require('../models/ImageRetentionPolicy');
+const { getStorageAdapter, isImageStorageEnabled } = require('./imageStorage');
+require('dotenv').config();
+
+const DEFAULT_RETENTION_DAYS = 90;
+const DEFAULT_PURGE_INTERVAL_MINUTES = 360;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/tiff': '.tiff',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+let purgeTimer = null;
+let purging = false;
+
+/**
+ * Days images are kept for users outside any organisation with a policy.
+ * OCR_IMAGE_RETENTION_DAYS=0 keeps them indefinitely.
+ * @returns {number}
+ */
+const getDefaultRetentionDays = () => {
+  const days = parseInt(process.env.OCR_IMAGE_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Storage key of a job's original: grouped by upload month, named after the job
+ * @param {Object} job - OcrJob document (not necessarily saved yet)
+ * @param {Object} file - Uploaded file (multer file object)
+ * @returns {string} - e.g. "2024/06/665f1c2e8b3e4a0012345678.jpg"
+ */
+const buildStorageKey = (job, file) => {
+  const month = (job.createdAt || new Date()).toISOString().slice(0, 7).replace('-', '/');
+  const extension = FILE_EXTENSIONS[file.mimetype] || path.extname(file.originalname || '').toLowerCase();
+  return `${month}/${job._id}${extension}`;
+};
+
+/**
+ * Save the uploaded original through the storage adapter and link it to the job.
+ * The job itself is not saved here. Storage errors are logged and never fail the OCR request.
+ * @param {Object} job - OcrJob document
+ * @param {Object} file - Uploaded file (multer file object)
+ * @returns {Promise<boolean>} - Whether the image was stored
+ */
+const storeOriginalImage = async (job, file) => {
+  if (!isImageStorageEnabled() || !file || !file.buffer) return false;
+
+  try {
+    const storage = getStorageAdapter();
+    const key = buildStorageKey(job, file);
+
+    await storage.save(key, file.buffer, { mimeType: file.mimetype });
+    job.set('originalImage', {
+      storage: storage.name,
+      key,
+      mimeType: file.mimetype,
+      size: file.buffer.length,
+      storedAt: new Date()
+    });
+    return true;
+  } catch (error) {
+    console.error('Error storing original OCR image:', error);
+    return false;
+  }
+};
+
+/**
+ * Load a job's original image from storage
+ * @param {Object} job - OcrJob document
+ * @returns {Promise<Object|null>} - { buffer, mimeType }, or null if none is stored
+ */
+const readOriginalImage = async (job) => {
+  const image = job.originalImage;
+  if (!image || !image.key) return null;
+
+  const buffer = await getStorageAdapter(image.storage).read(image.key);
+  return buffer ? { buffer, mimeType: image.mimeType } : null;
+};
+
+/**
+ * Delete the stored images of matching jobs uploaded before the retention period.
+ * Also drops the preprocessed copy kept in the job for region crops.
+ * @param {Object} match - Job filter, e.g. { user: { $in: [...] } }
+ * @param {number} retentionDays - Retention period
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>} - { purged, failed }
+ */
+const purgeJobImages = async (match, retentionDays, now) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const cursor = OcrJob.find({
+    ...match,
+    createdAt: { $lt: cutoff },
+    $or: [
+      { 'originalImage.key': { $exists: true } },
+      { 'sourceImage.data': { $exists: true } }
+    ]
+  }).select('originalImage').lean().cursor();
+
+  let purged = 0;
+  let failed = 0;
+
+  for await (const job of cursor) {
+    try {
+      if (job.originalImage && job.originalImage.key) {
+        await getStorageAdapter(job.originalImage.storage).remove(job.originalImage.key);
+      }
+      await OcrJob.updateOne(
+        { _id: job._id },
+        {
+          $set: { 'originalImage.purgedAt': now },
+          $unset: { 'originalImage.key': '', sourceImage: '' }
+        }
+      );
+      purged++;
+    } catch (error) {
+      // Left for the next run
+      console.error(`Error purging images of OCR job ${job._id}:`, error);
+      failed++;
+    }
+  }
+
+  return { purged, failed };
+};
+
+/**
+ * Delete images older than the retention period of their uploader's organisation,
+ * or the default period for everyone else
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @returns {Promise<Object>} - { purged, failed, organizations: [{ organization, retentionDays, purged, failed }], default }
+ */
+const purgeExpiredImages = async (now = new Date()) => {
+  const policies = await ImageRetentionPolicy.find().lean();
+  const coveredUsers = [];
+  const organizations = [];
+
+  for (const policy of policies) {
+    const userIds = await User.find({ organization: policy.organization }).distinct('_id');
+    coveredUsers.push(...userIds);
+
+    const result = await purgeJobImages({ user: { $in: userIds } }, policy.retentionDays, now);
+    organizations.push({ organization: policy.organization, retentionDays: policy.retentionDays, ...result });
+  }
+
+  const defaultDays = getDefaultRetentionDays();
+  const defaultResult = defaultDays > 0
+    ? await purgeJobImages({ user: { $nin: coveredUsers } }, defaultDays, now)
+    : { purged: 0, failed: 0 };
+
+  const results = [...organizations, defaultResult];
+
+  return {
+    purged: results.reduce((sum, result) => sum + result.purged, 0),
+    failed: results.reduce((sum, result) => sum + result.failed, 0),
+    organizations,
+    default: { retentionDays: defaultDays || null, ...defaultResult }
+  };
+};
+
+/**
+ * Run a purge unless one is already running in this process
+ * @returns {Promise<Object|null>} - Purge result, or null if skipped
+ */
+const runImagePurge = async () => {
+  if (purging) return null;
+  purging = true;
+
+  try {
+    const result = await purgeExpiredImages();
+    if (result.purged > 0 || result.failed > 0) {
+      console.log(`🧹 OCR image purge: ${result.purged} jobs purged, ${result.failed} failed`);
+    }
+    return result;
+  } finally {
+    purging = false;
+  }
+};
+
+/**
+ * Retention periods in force: organisation policies and the default
+ * @returns {Promise<Object>} - { defaultRetentionDays, policies }
+ */
+const listRetentionPolicies = async () => ({
+  defaultRetentionDays: getDefaultRetentionDays() || null,
+  policies: await ImageRetentionPolicy.find().sort({ organization: 1 })
+});
+
+/**
+ * Start purging expired images on a schedule in this process
+ */
+const startImagePurge = () => {
+  if (purgeTimer || process.env.OCR_IMAGE_PURGE_ENABLED === 'false') return;
+
+  const intervalMinutes = parseInt(process.env.OCR_IMAGE_PURGE_INTERVAL_MINUTES, 10) || DEFAULT_PURGE_INTERVAL_MINUTES;
+  const purge = () => runImagePurge().catch(error => console.error('OCR image purge error:', error));
+
+  purgeTimer = setInterval(purge, intervalMinutes * 60 * 1000);
+  purge();
+
+  console.log(`🧹 OCR image purge scheduled every ${intervalMinutes} minutes`);
+};
+
+/**
+ * Stop the scheduled purge
+ */
+const stopImagePurge = () => {
+  if (purgeTimer) {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+};
+
+module.exports = {
+  storeOriginalImage,
+  readOriginalImage,
+  purgeExpiredImages,
+  runImagePurge,
+  listRetentionPolicies,
+  startImagePurge,
+  stopImagePurge
+};
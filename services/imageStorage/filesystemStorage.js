@@ -0,0 +1,91 @@
+const fs = require('fs/promises');
+const path = require('path');
+require('dotenv').config();
+
+// Served as static files by server.js, so images must never be stored under it
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Why the configured storage directory cannot be used: it must be set, since there is no
+ * safe default (temporary directories do not survive restarts), and lie outside the project
+ * @returns {string|null} - Problem, or null when the directory can be used
+ */
+const checkConfig = () => {
+  if (!process.env.OCR_IMAGE_STORAGE_DIR) {
+    return 'OCR_IMAGE_STORAGE_DIR must be set to a persistent directory for OCR_IMAGE_STORAGE=local';
+  }
+
+  const relative = path.relative(PROJECT_ROOT, path.resolve(process.env.OCR_IMAGE_STORAGE_DIR));
+  if (!relative.startsWith('..') && !path.isAbsolute(relative)) {
+    return 'OCR_IMAGE_STORAGE_DIR must be outside the project directory, which is served as static files';
+  }
+  return null;
+};
+
+/**
+ * Directory images are stored under
+ * @returns {string} - Absolute path
+ */
+const getBaseDir = () => {
+  const problem = checkConfig();
+  if (problem) throw new Error(problem);
+  return path.resolve(process.env.OCR_IMAGE_STORAGE_DIR);
+};
+
+/**
+ * Absolute path of a stored image, refusing keys that point outside the storage directory
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+const resolveKey = (key) => {
+  const baseDir = getBaseDir();
+  const filePath = path.resolve(baseDir, key);
+
+  if (!filePath.startsWith(baseDir + path.sep)) {
+    throw new Error(`Invalid image storage key "${key}"`);
+  }
+  return filePath;
+};
+
+/**
+ * Write an image to the local filesystem
+ * @param {string} key - Storage key, e.g. "2024/06/665f1c2e8b3e4a0012345678.jpg"
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<void>}
+ */
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+/**
+ * Read a stored image
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer|null>} - Image data, or null if it does not exist
+ */
+const read = async (key) => {
+  try {
+    return await fs.readFile(resolveKey(key));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete a stored image; deleting one that is already gone is not an error
+ * @param {string} key - Storage key
+ * @returns {Promise<void>}
+ */
+const remove = async (key) => {
+  await fs.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+  name: 'local',
+  checkConfig,
+  save,
+  read,
+  remove
+};
@@ -0,0 +1,66 @@
+require('dotenv').config();
+
+/**
+ * Why the bucket cannot be used
+ * @returns {string|null} - Problem, or null when a bucket is configured
+ */
+const checkConfig = () => (process.env.OCR_IMAGE_BUCKET ? null : 'OCR_IMAGE_BUCKET is not configured');
+
+/**
+ * Cloud Storage bucket images are kept in, through the Firebase Admin SDK
+ * @returns {Object} - Bucket
+ */
+const getBucket = () => {
+  const problem = checkConfig();
+  if (problem) throw new Error(problem);
+
+  // Required lazily so the filesystem adapter works without Firebase credentials
+  const admin = require('../../config/firebase');
+  return admin.storage().bucket(process.env.OCR_IMAGE_BUCKET);
+};
+
+/**
+ * Upload an image to the bucket
+ * @param {string} key - Object name
+ * @param {Buffer} buffer - Image data
+ * @param {Object} [options] - { mimeType }
+ * @returns {Promise<void>}
+ */
+const save = async (key, buffer, { mimeType } = {}) => {
+  await getBucket().file(key).save(buffer, {
+    resumable: false,
+    ...(mimeType && { contentType: mimeType })
+  });
+};
+
+/**
+ * Download an image from the bucket
+ * @param {string} key - Object name
+ * @returns {Promise<Buffer|null>} - Image data, or null if it does not exist
+ */
+const read = async (key) => {
+  try {
+    const [buffer] = await getBucket().file(key).download();
+    return buffer;
+  } catch (error) {
+    if (error.code === 404) return null;
+    throw error;
+  }
+};
+
+/**
+ * Delete an image from the bucket; deleting one that is already gone is not an error
+ * @param {string} key - Object name
+ * @returns {Promise<void>}
+ */
+const remove = async (key) => {
+  await getBucket().file(key).delete({ ignoreNotFound: true });
+};
+
+module.exports = {
+  name: 'gcs',
+  checkConfig,
+  save,
+  read,
+  remove
+};
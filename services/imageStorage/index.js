@@ -0,0 +1,72 @@
+require('dotenv').config();
+const filesystemStorage = require('./filesystemStorage');
+const gcsStorage = require('./gcsStorage');
+
+const DEFAULT_ADAPTER = 'local';
+
+/**
+ * Registered image storage adapters, keyed by name.
+ * An adapter exposes `name`, `save(key, buffer, { mimeType })`, `read(key)`, which resolves
+ * to the image or null when it does not exist, and `remove(key)`, and optionally
+ * `checkConfig()`, which returns what is wrong with its configuration or null.
+ */
+const adapters = new Map([
+  [filesystemStorage.name, filesystemStorage],
+  [gcsStorage.name, gcsStorage]
+]);
+
+/**
+ * Register an additional image storage adapter, e.g. for another cloud bucket
+ * @param {Object} adapter - Adapter with a name and save, read and remove functions
+ */
+const registerStorageAdapter = (adapter) => {
+  if (!adapter || !adapter.name || ['save', 'read', 'remove'].some(fn => typeof adapter[fn] !== 'function')) {
+    throw new Error('An image storage adapter needs a name and save, read and remove functions');
+  }
+  adapters.set(adapter.name, adapter);
+};
+
+/**
+ * Resolve a storage adapter by name, falling back to OCR_IMAGE_STORAGE and then the local filesystem
+ * @param {string} [name] - Adapter name
+ * @returns {Object} - Adapter
+ */
+const getStorageAdapter = (name) => {
+  const adapterName = name || process.env.OCR_IMAGE_STORAGE || DEFAULT_ADAPTER;
+  const adapter = adapters.get(adapterName);
+
+  if (!adapter) {
+    throw new Error(`Unknown image storage "${adapterName}". Available storages: ${Array.from(adapters.keys()).join(', ')}`);
+  }
+
+  return adapter;
+};
+
+/**
+ * Whether uploaded originals are kept at all (OCR_IMAGE_STORAGE=none turns it off)
+ * @returns {boolean}
+ */
+const isImageStorageEnabled = () => process.env.OCR_IMAGE_STORAGE !== 'none';
+
+/**
+ * Check the configuration of the image storage in use, so the server can refuse to start
+ * rather than lose or expose uploads
+ * @returns {string|null} - Problem, or null when images can be stored (or storage is off)
+ */
+const checkImageStorageConfig = () => {
+  if (!isImageStorageEnabled()) return null;
+
+  try {
+    const adapter = getStorageAdapter();
+    return typeof adapter.checkConfig === 'function' ? adapter.checkConfig() : null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+module.exports = {
+  checkImageStorageConfig,
+  getStorageAdapter,
+  registerStorageAdapter,
+  isImageStorageEnabled
+};
@@ -1,48 +1,77 @@
-const Fuse = require('fuse.js');
 const Product = require('../models/Product');
+const { getSearchNames } = require('./transliterationService');
+const { findAliasMatches } = require('./productAliasService');
+const { getProductIndex, updateIndexedProducts, recordSearch } = require('./productIndexService');
+const { DEFAULT_MATCHING_SETTINGS } = require('./matchingSettingsService');
 
 /**
  * Match OCR extracted products with database products
  * @param {Array} extractedProducts - Products from OCR
+ * @param {Object} [settings] - Match keys, threshold and maxMatchScore (see matchingSettingsService)
  * @returns {Promise<Object>} - Matched products and suggestions
  */
-const matchProducts = async (extractedProducts) => {
+const matchProducts = async (extractedProducts, settings = DEFAULT_MATCHING_SETTINGS) => {
   try {
-    const allProducts = await Product.find({ isActive: true });
-
-    const fuse = new Fuse(allProducts, {
-      keys: ['name', 'description', 'catalogueId'],
-      includeScore: true,
-      threshold: 0.4, 
-    });
+    const fuse = await getProductIndex(settings);
 
     const matchedProducts = [];
     const unmatchedProducts = [];
     const suggestions = [];
 
-    for (const extractedProduct of extractedProducts) {
-      const results = fuse.search(extractedProduct.product_name);
+    // Texts users have already confirmed are matched to their product
+    const aliasMatches = await findAliasMatches(extractedProducts);
 
-      if (results.length > 0) {
-        const bestMatch = results[0];
-        // You can adjust the score threshold to fine-tune matching accuracy
-        if (bestMatch.score < 0.3) { 
+    const searchStartedAt = Date.now();
+    for (const extractedProduct of extractedProducts) {
+      // Search with the name as read and its Latin forms, keeping the closest hit
+      const searches = getSearchNames(extractedProduct)
+        .map(name => ({ ...name, results: fuse.search(name.query) }))
+        .filter(search => search.results.length > 0);
+
+      const alias = aliasMatches.get(extractedProduct);
+      if (alias) {
+        // How close the search alone gets to the alias's product, for callers that must not rely on aliases alone
+        const fuzzyScores = searches
+          .map(search => search.results.find(result => result.item._id.equals(alias.product._id)))
+          .filter(Boolean)
+          .map(result => result.score);
+        matchedProducts.push({
+          extracted: extractedProduct,
+          matched: alias.product,
+          matchType: 'alias',
+          matchedOn: alias.text,
+          score: 0,
+          fuzzyScore: fuzzyScores.length > 0 ? Math.min(...fuzzyScores) : null,
+        });
+        continue;
+      }
+      const best = searches.reduce(
+        (closest, search) => (!closest || search.results[0].score < closest.results[0].score ? search : closest),
+        null
+      );
+
+      if (best) {
+        const bestMatch = best.results[0];
+        // Closer than maxMatchScore is a match; anything else the index found is a suggestion
+        if (bestMatch.score < settings.maxMatchScore) {
           matchedProducts.push({
             extracted: extractedProduct,
             matched: bestMatch.item,
-            matchType: 'fuzzy_name',
+            matchType: best.transliterated ? 'transliterated' : 'fuzzy_name',
+            matchedOn: best.query,
             score: bestMatch.score,
           });
         } else {
           suggestions.push({
             extracted: extractedProduct,
-            suggestions: results.slice(0, 5).map(res => res.item), 
+            suggestions: best.results.slice(0, 5).map(res => res.item), 
           });
         }
       } else {
         unmatchedProducts.push(extractedProduct);
       }
     }
+    recordSearch(Date.now() - searchStartedAt);
 
     return {
       success: true,
@@ -90,6 +119,7 @@ const createNewProducts = async (unmatchedProducts, userId) => {
       const savedProduct = await newProduct.save();
       newProducts.push(savedProduct);
     }
+    await updateIndexedProducts(newProducts);
 
     return {
       success: true,
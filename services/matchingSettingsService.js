@@ -0,0 +1,127 @@
+const MatchingSettings = require('../models/MatchingSettings');
+
+// Product fields catalogue matching can search
+const MATCH_KEYS = ['name', 'description', 'catalogueId', 'brand', 'classification', 'units'];
+
+// Used for organisations without settings of their own, and for anything their settings leave out
+const DEFAULT_MATCHING_SETTINGS = Object.freeze({
+  threshold: 0.4,
+  maxMatchScore: 0.3,
+  keys: Object.freeze([
+    Object.freeze({ name: 'name', weight: 1 }),
+    Object.freeze({ name: 'description', weight: 1 }),
+    Object.freeze({ name: 'catalogueId', weight: 1 })
+  ])
+});
+
+/**
+ * Read a score between 0 and 1
+ * @param {*} value - Submitted value
+ * @param {string} field - Field name, for the error message
+ * @returns {Object} - { value, error }
+ */
+const readScore = (value, field) => {
+  const score = Number(value);
+  if (value === null || value === '' || Number.isNaN(score) || score < 0 || score > 1) {
+    return { error: `${field} must be a number from 0 to 1` };
+  }
+  return { value: score };
+};
+
+/**
+ * Read weighted match keys: [{ name, weight }], or field names weighted 1
+ * @param {*} value - Submitted keys
+ * @returns {Object} - { value, error }
+ */
+const readKeys = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return { error: 'keys must be a non-empty array' };
+  }
+
+  const keys = [];
+  for (const entry of value) {
+    const key = typeof entry === 'string' ? { name: entry, weight: 1 } : entry || {};
+    const weight = key.weight === undefined ? 1 : Number(key.weight);
+
+    if (!MATCH_KEYS.includes(key.name)) {
+      return { error: `keys may only name ${MATCH_KEYS.join(', ')}` };
+    }
+    if (keys.some(existing => existing.name === key.name)) {
+      return { error: `${key.name} is listed more than once in keys` };
+    }
+    if (Number.isNaN(weight) || weight <= 0) {
+      return { error: `The weight of ${key.name} must be a positive number` };
+    }
+    keys.push({ name: key.name, weight });
+  }
+
+  return { value: keys };
+};
+
+/**
+ * Read and check matching settings from a request. Every setting is optional.
+ * @param {Object} input - { threshold, maxMatchScore, keys }
+ * @returns {Object} - { fields, error }
+ */
+const readMatchingSettings = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Matching settings must be an object' };
+  }
+
+  const fields = {};
+  for (const field of ['threshold', 'maxMatchScore']) {
+    if (input[field] === undefined) continue;
+    const { value, error } = readScore(input[field], field);
+    if (error) return { error };
+    fields[field] = value;
+  }
+
+  if (input.keys !== undefined) {
+    const { value, error } = readKeys(input.keys);
+    if (error) return { error };
+    fields.keys = value;
+  }
+
+  return { fields };
+};
+
+/**
+ * Matching settings in force for a user: the defaults, overlaid with the settings of the
+ * user's organisation, overlaid with any settings sent with the request
+ * @param {Object} [user] - User the matching is for
+ * @param {Object} [overrides] - Checked settings from the request (see readMatchingSettings)
+ * @returns {Promise<Object>} - { threshold, maxMatchScore, keys }
+ */
+const resolveMatchingSettings = async (user, overrides = {}) => {
+  const saved = user && user.organization
+    ? await MatchingSettings.findOne({ organization: user.organization }).lean()
+    : null;
+
+  const settings = { ...DEFAULT_MATCHING_SETTINGS };
+  [saved || {}, overrides].forEach(layer => {
+    ['threshold', 'maxMatchScore'].forEach(field => {
+      if (typeof layer[field] === 'number') settings[field] = layer[field];
+    });
+    if (Array.isArray(layer.keys) && layer.keys.length > 0) {
+      settings.keys = layer.keys.map(({ name, weight }) => ({ name, weight }));
+    }
+  });
+
+  return settings;
+};
+
+/**
+ * Matching settings in force: the defaults and each organisation's settings
+ * @returns {Promise<Object>} - { defaults, settings }
+ */
+const listMatchingSettings = async () => ({
+  defaults: DEFAULT_MATCHING_SETTINGS,
+  settings: await MatchingSettings.find().sort({ organization: 1 })
+});
+
+module.exports = {
+  DEFAULT_MATCHING_SETTINGS,
+  readMatchingSettings,
+  resolveMatchingSettings,
+  listMatchingSettings
+};
@@ -0,0 +1,88 @@
+require('dotenv').config();
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Run an async task for every item with at most `concurrency` tasks in flight
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of parallel tasks
+ * @param {Function} task - async (item, index) => result
+ * @returns {Promise<Array>} - Results in input order
+ */
+const mapWithConcurrency = async (items, concurrency, task) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+};
+
+/**
+ * Batch concurrency from OCR_BATCH_CONCURRENCY
+ * @returns {number}
+ */
+const getBatchConcurrency = () => parseInt(process.env.OCR_BATCH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+/**
+ * Normalize text for duplicate detection: case, spacing and punctuation are ignored
+ * @param {*} value - Text to normalize
+ * @returns {string}
+ */
+const normalizeForComparison = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\u0900-\u097F.]+/g, ' ')
+  .trim();
+
+/**
+ * Merge the product lists of several images into one list.
+ * A line that appears on overlapping photos (same product name and quantity) is kept once,
+ * with every image it was seen on listed under `source_images`.
+ * @param {Array<Object>} imageResults - [{ image, products }] with 1-based image numbers
+ * @returns {Object} - { products, duplicatesRemoved }
+ */
+const mergeBatchProducts = (imageResults) => {
+  const merged = [];
+  const seen = new Map();
+  let duplicatesRemoved = 0;
+
+  imageResults.forEach(({ image, products }) => {
+    products.forEach(product => {
+      const key = `${normalizeForComparison(product.product_name)}|${normalizeForComparison(product.total_quantity)}`;
+      const existing = seen.get(key);
+
+      if (existing) {
+        if (!existing.source_images.includes(image)) {
+          existing.source_images.push(image);
+        }
+        duplicatesRemoved++;
+        return;
+      }
+
+      const mergedProduct = {
+        ...product,
+        item_number: merged.length + 1,
+        source_image: image,
+        source_images: [image]
+      };
+      seen.set(key, mergedProduct);
+      merged.push(mergedProduct);
+    });
+  });
+
+  return { products: merged, duplicatesRemoved };
+};
+
+module.exports = {
+  mapWithConcurrency,
+  getBatchConcurrency,
+  mergeBatchProducts
+};
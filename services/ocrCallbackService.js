@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+require('dotenv').config();
+
+/**
+ * Addresses a callback must never reach: loopback, private, link-local (cloud metadata),
+ * carrier-grade NAT, multicast and reserved ranges
+ */
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Hosts allowed as callback targets even when they resolve to internal addresses
+ * @returns {Array<string>}
+ */
+const getAllowedHosts = () => (process.env.OCR_CALLBACK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Secret callbacks are signed with
+ * @returns {string|undefined}
+ */
+const getCallbackSecret = () => process.env.OCR_CALLBACK_SECRET || undefined;
+
+/**
+ * Split an IPv6 address into its eight 16-bit groups
+ * @param {string} address - IPv6 address, possibly with a dotted IPv4 tail
+ * @returns {Array<number>}
+ */
+const toIPv6Groups = (address) => {
+  let text = address.replace(/%.*$/, '');
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const fill = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+  return [...headGroups, ...fill, ...tailGroups].map(group => parseInt(group, 16));
+};
+
+/**
+ * IPv4 address carried inside an IPv6 one, which the network delivers to that IPv4 address:
+ * IPv4-mapped (::ffff:0:0/96), NAT64 (64:ff9b::/96) and 6to4 (2002::/16)
+ * @param {string} address - IPv6 address
+ * @returns {string|null} - Embedded IPv4 address, or null when there is none
+ */
+const getEmbeddedIPv4 = (address) => {
+  const groups = toIPv6Groups(address);
+  const toIPv4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+
+  const mapped = groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff;
+  const nat64 = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0);
+  if (mapped || nat64) return toIPv4(groups[6], groups[7]);
+  if (groups[0] === 0x2002) return toIPv4(groups[1], groups[2]);
+  return null;
+};
+
+/**
+ * Whether an IP address is internal
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => {
+  if (!net.isIPv6(address)) return blockedAddresses.check(address, 'ipv4');
+
+  const embedded = getEmbeddedIPv4(address);
+  if (embedded) return blockedAddresses.check(embedded, 'ipv4');
+  return blockedAddresses.check(address.replace(/%.*$/, ''), 'ipv6');
+};
+
+/**
+ * Resolve a callback URL and check that it is an http(s) URL whose host resolves only to
+ * public addresses, or is listed in OCR_CALLBACK_ALLOWED_HOSTS
+ * @param {string} value - Callback URL
+ * @returns {Promise<Object>} - { refused } with the reason, or { url, addresses } with the
+ *   checked addresses (null for allowed hosts, which are resolved as usual)
+ */
+const resolveCallbackUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return { refused: 'callbackUrl must be an absolute http or https URL' };
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { refused: 'callbackUrl must be an absolute http or https URL' };
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().includes(host)) return { url, addresses: null };
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host, family: net.isIP(host) }]
+      : await dns.lookup(host, { all: true });
+  } catch (error) {
+    return { refused: `callbackUrl host ${host} could not be resolved` };
+  }
+
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    return { refused: 'callbackUrl must not point to a private, loopback or link-local address' };
+  }
+  return { url, addresses };
+};
+
+/**
+ * Check that a callback URL may be called
+ * @param {string} value - Callback URL
+ * @returns {Promise<string|null>} - Why the URL is refused, or null when it may be called
+ */
+const checkCallbackUrl = async (value) => (await resolveCallbackUrl(value)).refused || null;
+
+/**
+ * POST a callback to the addresses its host was checked against. Resolving the host again
+ * when connecting would let it answer with an internal address the second time (DNS rebinding).
+ * Redirects are not followed, since they could lead to an internal address.
+ * @param {string} value - Callback URL
+ * @param {string} payload - JSON body
+ * @param {Object} options - { headers, timeoutMs }
+ * @returns {Promise<number>} - Response status code
+ */
+const sendCallback = async (value, payload, { headers, timeoutMs }) => {
+  const { refused, url, addresses } = await resolveCallbackUrl(value);
+  if (refused) throw new Error(refused);
+
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload), ...headers },
+      ...(addresses && { lookup }),
+      signal: AbortSignal.timeout(timeoutMs)
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(payload);
+  });
+};
+
+/**
+ * Headers that let the receiver verify a callback: an HMAC-SHA256 of "<timestamp>.<body>"
+ * with OCR_CALLBACK_SECRET, and the timestamp so old deliveries can be refused
+ * @param {string} payload - JSON body
+ * @returns {Object} - { 'X-OCR-Timestamp', 'X-OCR-Signature' }
+ */
+const signCallback = (payload) => {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac('sha256', getCallbackSecret())
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+
+  return {
+    'X-OCR-Timestamp': timestamp,
+    'X-OCR-Signature': `sha256=${signature}`
+  };
+};
+
+module.exports = {
+  getCallbackSecret,
+  checkCallbackUrl,
+  sendCallback,
+  signCallback
+};
@@ -0,0 +1,326 @@
+const { parseQuantity } = require('./quantityService');
+const { normalizeName } = require('./transliterationService');
+
+// Lines whose names are less similar than this are not paired with each other
+const MIN_NAME_SIMILARITY = 0.5;
+
+const LINE_FIELDS = ['product_name', 'total_quantity'];
+const SUB_FIELDS = ['color', 'quantity'];
+
+/**
+ * Lower-case text with single spaces, numbers joined to their units
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const normalizeText = (value) => (value === undefined || value === null ? '' : normalizeName(String(value)));
+
+/**
+ * Similarity of two strings from 0 to 1 (1 - normalized Levenshtein distance)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number}
+ */
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+};
+
+/**
+ * Whether two quantities mean the same amount: same value and, when both name one, the same unit
+ * @param {string} expected - Ground-truth quantity text
+ * @param {string} actual - Extracted quantity text
+ * @returns {boolean}
+ */
+const isSameQuantity = (expected, actual) => {
+  const a = parseQuantity(expected);
+  const b = parseQuantity(actual);
+
+  if (a.value === null || b.value === null) {
+    return normalizeText(expected) === normalizeText(actual);
+  }
+  return a.value === b.value && (!a.unit || !b.unit || a.unit === b.unit);
+};
+
+/**
+ * Whether an extracted field value counts as correct
+ * @param {string} field - Field name
+ * @param {*} expected - Ground-truth value
+ * @param {*} actual - Extracted value
+ * @returns {boolean}
+ */
+const isSameValue = (field, expected, actual) => (
+  field === 'total_quantity' || field === 'quantity'
+    ? isSameQuantity(expected, actual)
+    : normalizeText(expected) === normalizeText(actual)
+);
+
+/**
+ * Pair items greedily, most similar first. Unpaired items are left out.
+ * @param {Array} expected - Ground-truth items
+ * @param {Array} actual - Extracted items
+ * @param {Function} score - (expected, actual) => similarity from 0 to 1
+ * @param {number} minScore - Lowest similarity that still pairs two items
+ * @returns {Array<Array>} - [[expected, actual]]
+ */
+const pairItems = (expected, actual, score, minScore) => {
+  const candidates = [];
+  expected.forEach((e, i) => actual.forEach((a, j) => {
+    const value = score(e, a);
+    if (value >= minScore) candidates.push({ i, j, value });
+  }));
+  candidates.sort((x, y) => y.value - x.value);
+
+  const usedExpected = new Set();
+  const usedActual = new Set();
+  const pairs = [];
+
+  candidates.forEach(({ i, j }) => {
+    if (usedExpected.has(i) || usedActual.has(j)) return;
+    usedExpected.add(i);
+    usedActual.add(j);
+    pairs.push([expected[i], actual[j]]);
+  });
+
+  return pairs;
+};
+
+/**
+ * Empty true-positive / expected / extracted counter
+ * @returns {Object}
+ */
+const emptyCount = () => ({ correct: 0, expected: 0, extracted: 0 });
+
+/**
+ * Count the fields present on a side of the comparison
+ * @param {Object} counts - Counters keyed by field path
+ * @param {Object} item - Line or sub-quantity
+ * @param {Array<string>} fields - Fields to count
+ * @param {string} prefix - Field path prefix
+ * @param {string} side - "expected" or "extracted"
+ */
+const countPresent = (counts, item, fields, prefix, side) => {
+  fields.forEach(field => {
+    if (normalizeText(item[field]) === '') return;
+    counts[`${prefix}${field}`] = counts[`${prefix}${field}`] || emptyCount();
+    counts[`${prefix}${field}`][side]++;
+  });
+};
+
+/**
+ * Count fields the extraction got right on a paired item
+ * @param {Object} counts - Counters keyed by field path
+ * @param {Object} expected - Ground-truth item
+ * @param {Object} actual - Extracted item
+ * @param {Array<string>} fields - Fields to compare
+ * @param {string} prefix - Field path prefix
+ */
+const countCorrect = (counts, expected, actual, fields, prefix) => {
+  fields.forEach(field => {
+    if (normalizeText(expected[field]) === '' || normalizeText(actual[field]) === '') return;
+    if (isSameValue(field, expected[field], actual[field])) {
+      counts[`${prefix}${field}`].correct++;
+    }
+  });
+};
+
+/**
+ * Precision and recall of a counter, rounded to three places
+ * @param {Object} count - { correct, expected, extracted }
+ * @returns {Object}
+ */
+const withRates = ({ correct, expected, extracted }) => ({
+  correct,
+  expected,
+  extracted,
+  precision: extracted > 0 ? Math.round((correct / extracted) * 1000) / 1000 : null,
+  recall: expected > 0 ? Math.round((correct / expected) * 1000) / 1000 : null
+});
+
+/**
+ * Share of correct answers, rounded to three places
+ * @param {Object} count - { correct, total }
+ * @returns {Object}
+ */
+const withAccuracy = ({ correct, total }) => ({
+  correct,
+  total,
+  accuracy: total > 0 ? Math.round((correct / total) * 1000) / 1000 : null
+});
+
+/**
+ * Compare the extracted output of one sample with its ground truth
+ * @param {Object} truth - Ground truth: { products, document?, ... }
+ * @param {Object} extracted - Parsed OCR output: { products, document? }
+ * @param {Map<Object, Object>} [matches] - Catalogue product matched to each extracted line, when matching is evaluated
+ * @returns {Object} - Raw counts: { lines, fields, quantities, matching, unpairedExpected, unpairedExtracted }
+ */
+const compareSample = (truth, extracted, matches) => {
+  const expectedLines = truth.products || [];
+  const extractedLines = extracted.products || [];
+  const fields = {};
+
+  expectedLines.forEach(line => {
+    countPresent(fields, line, LINE_FIELDS, '', 'expected');
+    (line.sub_quantities || []).forEach(sub => countPresent(fields, sub, SUB_FIELDS, 'sub_quantities.', 'expected'));
+  });
+  extractedLines.forEach(line => {
+    countPresent(fields, line, LINE_FIELDS, '', 'extracted');
+    (line.sub_quantities || []).forEach(sub => countPresent(fields, sub, SUB_FIELDS, 'sub_quantities.', 'extracted'));
+  });
+
+  const pairs = pairItems(
+    expectedLines,
+    extractedLines,
+    (e, a) => similarity(normalizeText(e.product_name), normalizeText(a.product_name)),
+    MIN_NAME_SIMILARITY
+  );
+
+  const quantities = { correct: 0, total: 0 };
+  pairs.forEach(([expected, actual]) => {
+    countCorrect(fields, expected, actual, LINE_FIELDS, '');
+
+    if (normalizeText(expected.total_quantity) !== '') {
+      quantities.total++;
+      if (isSameQuantity(expected.total_quantity, actual.total_quantity)) quantities.correct++;
+    }
+
+    // Sub-quantities pair by colour, falling back to position for lines without colours
+    const expectedSubs = expected.sub_quantities || [];
+    const actualSubs = actual.sub_quantities || [];
+    const subPairs = pairItems(
+      expectedSubs,
+      actualSubs,
+      (e, a) => (normalizeText(e.color) === normalizeText(a.color)
+        ? 1
+        : 0.5 - Math.abs(expectedSubs.indexOf(e) - actualSubs.indexOf(a)) / 100),
+      0.45
+    );
+    subPairs.forEach(([expectedSub, actualSub]) => {
+      countCorrect(fields, expectedSub, actualSub, SUB_FIELDS, 'sub_quantities.');
+      quantities.total++;
+      if (isSameQuantity(expectedSub.quantity, actualSub.quantity)) quantities.correct++;
+    });
+    quantities.total += expectedSubs.length - subPairs.length;
+  });
+  // Lines the extraction missed count against quantity accuracy too
+  expectedLines.forEach(line => {
+    if (pairs.some(([expected]) => expected === line)) return;
+    if (normalizeText(line.total_quantity) !== '') quantities.total++;
+    quantities.total += (line.sub_quantities || []).length;
+  });
+
+  Object.entries(truth.document || {}).forEach(([key, value]) => {
+    const field = `document.${key}`;
+    const actual = extracted.document ? extracted.document[key] : undefined;
+    if (normalizeText(value) === '' && normalizeText(actual) === '') return;
+
+    fields[field] = fields[field] || emptyCount();
+    if (normalizeText(value) !== '') fields[field].expected++;
+    if (normalizeText(actual) !== '') fields[field].extracted++;
+    if (normalizeText(value) !== '' && isSameValue(key, value, actual)) fields[field].correct++;
+  });
+
+  let matching = null;
+  if (matches) {
+    // Ground truth names the catalogue product by catalogueId or name; null means it should stay unmatched
+    const labeled = expectedLines.filter(line => line.matched_product !== undefined);
+    matching = { correct: 0, total: labeled.length };
+
+    labeled.forEach(line => {
+      const pair = pairs.find(([expected]) => expected === line);
+      const product = pair ? matches.get(pair[1]) : undefined;
+
+      const isCorrect = line.matched_product === null
+        ? Boolean(pair) && !product
+        : Boolean(product) && [product.catalogueId, product.name]
+          .some(value => value && normalizeText(value) === normalizeText(line.matched_product));
+      if (isCorrect) matching.correct++;
+    });
+  }
+
+  return {
+    lines: { correct: pairs.length, expected: expectedLines.length, extracted: extractedLines.length },
+    fields,
+    quantities,
+    matching,
+    unpairedExpected: expectedLines.filter(line => !pairs.some(([expected]) => expected === line)).map(line => line.product_name),
+    unpairedExtracted: extractedLines.filter(line => !pairs.some(([, actual]) => actual === line)).map(line => line.product_name)
+  };
+};
+
+/**
+ * Precision, recall and accuracy from the raw counts of one or more samples
+ * @param {Array<Object>} comparisons - Results of compareSample
+ * @returns {Object} - { lines, fields, overall, quantities, matching }
+ */
+const summarizeComparisons = (comparisons) => {
+  const lines = emptyCount();
+  const fields = {};
+  const overall = emptyCount();
+  const quantities = { correct: 0, total: 0 };
+  let matching = null;
+
+  comparisons.forEach(comparison => {
+    ['correct', 'expected', 'extracted'].forEach(key => { lines[key] += comparison.lines[key]; });
+
+    Object.entries(comparison.fields).forEach(([field, count]) => {
+      fields[field] = fields[field] || emptyCount();
+      ['correct', 'expected', 'extracted'].forEach(key => {
+        fields[field][key] += count[key];
+        overall[key] += count[key];
+      });
+    });
+
+    quantities.correct += comparison.quantities.correct;
+    quantities.total += comparison.quantities.total;
+
+    if (comparison.matching) {
+      matching = matching || { correct: 0, total: 0 };
+      matching.correct += comparison.matching.correct;
+      matching.total += comparison.matching.total;
+    }
+  });
+
+  return {
+    lines: withRates(lines),
+    fields: Object.fromEntries(Object.entries(fields).map(([field, count]) => [field, withRates(count)])),
+    overall: withRates(overall),
+    quantities: withAccuracy(quantities),
+    matching: matching ? withAccuracy(matching) : null
+  };
+};
+
+/**
+ * Headline metrics of a run, flattened for comparison with another run
+ * @param {Object} summary - Result of summarizeComparisons
+ * @returns {Object} - e.g. { "overall.precision": 0.91, "quantities.accuracy": 0.88 }
+ */
+const headlineMetrics = (summary) => ({
+  'lines.precision': summary.lines.precision,
+  'lines.recall': summary.lines.recall,
+  'fields.precision': summary.overall.precision,
+  'fields.recall': summary.overall.recall,
+  'quantities.accuracy': summary.quantities.accuracy,
+  ...(summary.matching && { 'matching.accuracy': summary.matching.accuracy })
+});
+
+module.exports = {
+  compareSample,
+  summarizeComparisons,
+  headlineMetrics
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const OcrJob = require('../models/OcrJob');
+const { estimateCost } = require('./pricingService');
+const { getProvider } = require('./ocrProviders');
+const { hasRegions } = require('./ocrRegionService');
+const { recordSpend } = require('./ocrSpendService');
+const { storeOriginalImage } = require('./imageRetentionService');
+require('dotenv').config();
+
+const DEFAULT_CACHE_TTL_HOURS = 24;
+
+/**
+ * Build the result fields of a job from a finished OCR run
+ * @param {Object} params - Run details
+ * @returns {Promise<Object>} - OcrJob fields
+ */
+const buildJobResult = async ({ ocrResult, parsedResult, pages = [], preprocessing, sourceImage, template, startedAt }) => {
+  const completedAt = new Date();
+  const parseSuccess = Boolean(parsedResult && parsedResult.success);
+  const costEstimate = await estimateCost(ocrResult.usageMetadata, {
+    provider: ocrResult.provider,
+    model: ocrResult.model,
+    at: startedAt
+  });
+  const keepImage = parseSuccess && sourceImage && hasRegions(parsedResult.data.products);
+  const { products = [], ...fields } = parseSuccess ? parsedResult.data : {};
+
+  return {
+    provider: ocrResult.provider,
+    model: ocrResult.model,
+    ...(template && { documentType: template.documentType, templateVersion: template.version }),
+    status: ocrResult.success && parseSuccess ? 'completed' : 'failed',
+    rawText: ocrResult.text,
+    products,
+    ...(Object.keys(fields).length > 0 && { fields }),
+    parseSuccess,
+    pages,
+    preprocessing,
+    confidence: parseSuccess ? parsedResult.confidence : undefined,
+    ...(keepImage && { sourceImage: { data: sourceImage.buffer, mimeType: sourceImage.mimeType } }),
+    repairs: (parsedResult && parsedResult.repairs) || [],
+    validationErrors: (parsedResult && parsedResult.validationErrors) || [],
+    rejectedProducts: (parsedResult && parsedResult.rejectedProducts) || [],
+    error: ocrResult.error || (parsedResult && parsedResult.error),
+    attempts: ocrResult.attempts || [],
+    usageMetadata: ocrResult.usageMetadata || undefined,
+    costEstimate: costEstimate || undefined,
+    startedAt,
+    completedAt,
+    processingTimeMs: completedAt.getTime() - startedAt.getTime(),
+  };
+};
+
+/**
+ * File metadata stored on a job
+ * @param {Object} file - Uploaded file (multer file object)
+ * @returns {Object}
+ */
+const describeFile = (file) => ({
+  originalName: file.originalname,
+  mimeType: file.mimetype,
+  size: file.size || (file.buffer ? file.buffer.length : 0),
+});
+
+/**
+ * Persist the outcome of a single OCR run, keep the uploaded original and write its spend to the ledger
+ * @param {Object} params - Job details
+ * @param {Object} params.user - User who requested the OCR run
+ * @param {Object} params.file - Uploaded file (multer file object)
+ * @param {Object} params.ocrResult - Result of extractTextFromImage
+ * @param {Object} params.parsedResult - Result of parseOCRResponse, if parsing was attempted
+ * @param {Array<Object>} [params.pages] - Per-page results for multi-page documents
+ * @param {Object} [params.preprocessing] - Image preprocessing metadata
+ * @param {Object} [params.sourceImage] - { buffer, mimeType } of the image sent to the provider
+ * @param {Object} [params.template] - Prompt template the document was extracted with
+ * @param {Object} [params.cache] - { contentHash, cacheKey } from computeCacheKey
+ * @param {string} [params.batchId] - Batch the job belongs to, if any
+ * @param {Date} params.startedAt - When processing started
+ * @returns {Promise<Object|null>} - Saved job, or null if it could not be stored
+ */
+const recordOCRJob = async ({ user, file, ocrResult, parsedResult, pages = [], preprocessing, sourceImage, template, cache = {}, batchId, startedAt }) => {
+  try {
+    const job = new OcrJob({
+      user: user ? user._id : undefined,
+      file: describeFile(file),
+      batchId,
+      contentHash: cache.contentHash,
+      cacheKey: cache.cacheKey,
+      ...(await buildJobResult({ ocrResult, parsedResult, pages, preprocessing, sourceImage, template, startedAt })),
+    });
+    await storeOriginalImage(job, file);
+
+    const saved = await job.save();
+    await recordSpend(saved, user);
+    return saved;
+  } catch (error) {
+    console.error('Error recording OCR job:', error);
+    return null;
+  }
+};
+
+/**
+ * Queue an OCR job for the background worker
+ * @param {Object} params - Job details
+ * @param {Object} params.user - User who requested the OCR run
+ * @param {Object} params.file - Uploaded file (multer file object)
+ * @param {string} [params.provider] - OCR provider to use
+ * @param {Object} [params.preprocess] - Image preprocessing steps to run
+ * @param {Object} [params.template] - Prompt template to extract with; the worker uses this exact version
+ * @param {Object} [params.cache] - { contentHash, cacheKey } from computeCacheKey
+ * @param {string} [params.callbackUrl] - URL that receives the result when the job finishes
+ * @returns {Promise<Object>} - Saved job
+ */
+const enqueueOCRJob = async ({ user, file, provider, preprocess, template, cache = {}, callbackUrl }) => {
+  const job = new OcrJob({
+    user: user ? user._id : undefined,
+    file: describeFile(file),
+    contentHash: cache.contentHash,
+    cacheKey: cache.cacheKey,
+    mode: 'async',
+    provider,
+    status: 'queued',
+    input: { data: file.buffer },
+    ...(template && { documentType: template.documentType, templateVersion: template.version }),
+    options: {
+      preprocess,
+      ...(template && { documentType: template.documentType, templateVersion: template.version }),
+    },
+    ...(callbackUrl && { callback: { url: callbackUrl, status: 'pending' } }),
+  });
+  await storeOriginalImage(job, file);
+
+  return job.save();
+};
+
+/**
+ * Store the outcome of a queued job, write its spend to the ledger and release its input file
+ * @param {Object} job - OcrJob document being processed
+ * @param {Object} run - { ocrResult, parsedResult, pages, preprocessing, sourceImage, template, startedAt }
+ * @returns {Promise<Object>} - Updated job
+ */
+const completeOCRJob = async (job, run) => {
+  job.set(await buildJobResult(run));
+  job.input = undefined;
+  job.lockedAt = undefined;
+
+  const saved = await job.save();
+  await recordSpend(saved);
+  return saved;
+};
+
+/**
+ * Hash an uploaded file and derive the key its OCR result is cached under.
+ * The key also covers the provider, the model it calls, preprocessing and prompt template version,
+ * since all of them change the result; a changed GEMINI_MODEL therefore misses the cache.
+ * @param {Buffer} buffer - Uploaded file buffer
+ * @param {string} [provider] - Requested provider name
+ * @param {Object} [preprocess] - Resolved preprocessing steps
+ * @param {Object} [template] - Resolved prompt template
+ * @returns {Object} - { contentHash, cacheKey }
+ */
+const computeCacheKey = (buffer, provider, preprocess, template) => {
+  const providerModule = getProvider(provider);
+  const model = providerModule.getModel ? providerModule.getModel() : '';
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const templateKey = template ? `${template.documentType}@${template.version}` : '';
+  const cacheKey = crypto.createHash('sha256')
+    .update(`${contentHash}|${providerModule.name}|${model}|${JSON.stringify(preprocess || {})}|${templateKey}`)
+    .digest('hex');
+
+  return { contentHash, cacheKey };
+};
+
+/**
+ * Find a recent successful run of the same image for this user
+ * @param {Object} user - Requesting user
+ * @param {string} cacheKey - Key from computeCacheKey
+ * @returns {Promise<Object|null>} - Source job, or null on a cache miss or when caching is disabled
+ */
+const findCachedOCRJob = async (user, cacheKey) => {
+  const ttlHours = process.env.OCR_CACHE_TTL_HOURS !== undefined
+    ? parseFloat(process.env.OCR_CACHE_TTL_HOURS)
+    : DEFAULT_CACHE_TTL_HOURS;
+
+  if (!ttlHours || ttlHours <= 0) return null;
+
+  return OcrJob.findOne({
+    user: user ? user._id : undefined,
+    cacheKey,
+    status: 'completed',
+    cacheHit: false,
+    createdAt: { $gte: new Date(Date.now() - ttlHours * 60 * 60 * 1000) }
+  }).sort({ createdAt: -1 });
+};
+
+/**
+ * Record a request that was answered from the cache.
+ * It costs nothing; the cost of the original run is counted as saved.
+ * @param {Object} params - Job details
+ * @param {Object} params.user - Requesting user
+ * @param {Object} params.file - Uploaded file (multer file object)
+ * @param {Object} params.sourceJob - Job whose result was reused
+ * @param {Object} params.cache - { contentHash, cacheKey }
+ * @param {Date} params.startedAt - When the request started
+ * @returns {Promise<Object|null>} - Saved job, or null if it could not be stored
+ */
+const recordCacheHit = async ({ user, file, sourceJob, cache, startedAt }) => {
+  try {
+    const completedAt = new Date();
+
+    const job = new OcrJob({
+      user: user ? user._id : undefined,
+      file: describeFile(file),
+      contentHash: cache.contentHash,
+      cacheKey: cache.cacheKey,
+      cacheHit: true,
+      cachedFromJob: sourceJob._id,
+      costSavedUsd: sourceJob.costEstimate ? sourceJob.costEstimate.total_cost_usd : 0,
+      provider: sourceJob.provider,
+      model: sourceJob.model,
+      documentType: sourceJob.documentType,
+      templateVersion: sourceJob.templateVersion,
+      status: sourceJob.status,
+      products: sourceJob.products,
+      fields: sourceJob.fields,
+      parseSuccess: sourceJob.parseSuccess,
+      repairs: sourceJob.repairs,
+      validationErrors: sourceJob.validationErrors,
+      rejectedProducts: sourceJob.rejectedProducts,
+      preprocessing: sourceJob.preprocessing,
+      confidence: sourceJob.confidence,
+      startedAt,
+      completedAt,
+      processingTimeMs: completedAt.getTime() - startedAt.getTime(),
+    });
+    await storeOriginalImage(job, file);
+
+    return await job.save();
+  } catch (error) {
+    console.error('Error recording OCR cache hit:', error);
+    return null;
+  }
+};
+
+/**
+ * Public view of a job, used for polling responses and completion callbacks
+ * @param {Object} job - OcrJob document
+ * @returns {Object}
+ */
+const toJobStatus = (job) => {
+  const finished = job.status === 'completed' || job.status === 'failed';
+
+  return {
+    jobId: job._id,
+    status: job.status,
+    file: job.file,
+    provider: job.provider,
+    model: job.model,
+    documentType: job.documentType,
+    templateVersion: job.templateVersion,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    processingTimeMs: finished ? job.processingTimeMs : undefined,
+    ...(finished && {
+      result: {
+        parseSuccess: job.parseSuccess,
+        ...job.fields,
+        products: job.products,
+        validation: {
+          repaired: job.repairs.length > 0,
+          repairs: job.repairs,
+          errors: job.validationErrors,
+          rejectedProducts: job.rejectedProducts
+        },
+        ...(job.pages && job.pages.length > 0 && {
+          pages: job.pages.map(({ page, success, productCount, error }) => ({ page, success, productCount, error }))
+        }),
+        confidence: job.confidence,
+        preprocessing: job.preprocessing,
+        costEstimate: job.costEstimate
+      }
+    }),
+    error: job.error,
+    attempts: job.attempts,
+    reviewStatus: job.review && job.review.status ? job.review.status : 'pending',
+    ...(job.callback && job.callback.url && {
+      callback: {
+        url: job.callback.url,
+        status: job.callback.status,
+        attempts: job.callback.attempts,
+        deliveredAt: job.callback.deliveredAt
+      }
+    })
+  };
+};
+
+module.exports = {
+  recordOCRJob,
+  computeCacheKey,
+  findCachedOCRJob,
+  recordCacheHit,
+  toJobStatus,
+  enqueueOCRJob,
+  completeOCRJob
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+// Returned when no fixture directory or matching file is configured
+const DEFAULT_RESPONSE = {
+  products: [
+    {
+      item_number: 1,
+      product_name: '10 sq mm wire',
+      total_quantity: '20 Roll',
+      confidence: 0.93,
+      box_2d: [120, 80, 170, 690],
+      sub_quantities: [
+        { color: 'Red', quantity: '5', confidence: 0.88, box_2d: [180, 120, 220, 400] },
+        { color: 'Yellow', quantity: '5', confidence: 0.52, box_2d: [230, 120, 270, 400] }
+      ]
+    },
+    {
+      item_number: 2,
+      product_name: '6 sq mm wire',
+      total_quantity: '12 Roll',
+      confidence: 0.81,
+      box_2d: [300, 80, 350, 690],
+      sub_quantities: []
+    }
+  ]
+};
+
+/**
+ * Find the canned response for an image.
+ * Looks in OCR_FIXTURE_DIR for "<sha256 of image>.json" (or ".txt"), then "default.json".
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {string} [fixtureDir] - Directory holding fixture files
+ * @returns {string} - Raw response text
+ */
+const loadFixture = (imageBuffer, fixtureDir) => {
+  if (fixtureDir) {
+    const hash = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+    const candidates = [`${hash}.json`, `${hash}.txt`, 'default.json'];
+
+    for (const candidate of candidates) {
+      const filePath = path.join(fixtureDir, candidate);
+      if (fs.existsSync(filePath)) {
+        return fs.readFileSync(filePath, 'utf8');
+      }
+    }
+  }
+
+  return JSON.stringify(DEFAULT_RESPONSE, null, 2);
+};
+
+/**
+ * Model name calls are recorded under
+ * @returns {string}
+ */
+const getModel = () => 'fixture';
+
+/**
+ * Return a deterministic, pre-recorded response for an image.
+ * Used to exercise the OCR pipeline offline and in tests.
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Provider options
+ * @param {string} [options.fixtureDir] - Directory holding fixture files
+ * @returns {Promise<Object>} - { text, usageMetadata, model }
+ */
+const extract = async (imageBuffer, mimeType, { fixtureDir } = {}) => {
+  const text = loadFixture(imageBuffer, fixtureDir || process.env.OCR_FIXTURE_DIR);
+
+  return {
+    text,
+    usageMetadata: {
+      promptTokenCount: 0,
+      candidatesTokenCount: 0,
+      totalTokenCount: 0
+    },
+    model: getModel()
+  };
+};
+
+module.exports = {
+  name: 'fixture',
+  getModel,
+  extract
+};
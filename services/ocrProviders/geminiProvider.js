@@ -0,0 +1,82 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+require('dotenv').config();
+
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+
+let genAI = null;
+
+/**
+ * Lazily create the Gemini client so the server can start without a key
+ * @returns {GoogleGenerativeAI}
+ */
+const getClient = () => {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error('GEMINI_API_KEY is not configured');
+  }
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+};
+
+/**
+ * Model calls are made with unless a request names another
+ * @returns {string}
+ */
+const getModel = () => process.env.GEMINI_MODEL || DEFAULT_MODEL;
+
+/**
+ * Extract text from an image with Google Gemini
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Provider options
+ * @param {string} options.prompt - Extraction prompt
+ * @param {string} [options.model] - Gemini model name
+ * @param {number} [options.timeoutMs] - Abort the request after this long
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.onText] - Receives the response text chunk by chunk as it is generated
+ * @returns {Promise<Object>} - { text, usageMetadata, model }
+ */
+const extract = async (imageBuffer, mimeType, { prompt, model: modelName, timeoutMs, signal, onText } = {}) => {
+  const resolvedModel = modelName || getModel();
+  const model = getClient().getGenerativeModel(
+    { model: resolvedModel },
+    timeoutMs ? { timeout: timeoutMs } : undefined
+  );
+
+  const imageData = {
+    inlineData: {
+      data: imageBuffer.toString('base64'),
+      mimeType: mimeType
+    }
+  };
+
+  const requestOptions = signal ? { signal } : {};
+  let response;
+  if (onText) {
+    const result = await model.generateContentStream([prompt, imageData], requestOptions);
+    for await (const chunk of result.stream) {
+      onText(chunk.text());
+    }
+    response = await result.response;
+  } else {
+    const result = await model.generateContent([prompt, imageData], requestOptions);
+    response = await result.response;
+  }
+
+  return {
+    text: response.text(),
+    usageMetadata: {
+      promptTokenCount: response.usageMetadata?.promptTokenCount || 0,
+      candidatesTokenCount: response.usageMetadata?.candidatesTokenCount || 0,
+      totalTokenCount: response.usageMetadata?.totalTokenCount || 0
+    },
+    model: resolvedModel
+  };
+};
+
+module.exports = {
+  name: 'gemini',
+  getModel,
+  extract
+};
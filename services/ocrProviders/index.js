@@ -0,0 +1,60 @@
+require('dotenv').config();
+const geminiProvider = require('./geminiProvider');
+const tesseractProvider = require('./tesseractProvider');
+const fixtureProvider = require('./fixtureProvider');
+
+const DEFAULT_PROVIDER = 'gemini';
+
+/**
+ * Registered OCR providers, keyed by name.
+ * A provider exposes `name` and `extract(imageBuffer, mimeType, options)`,
+ * which resolves to `{ text, usageMetadata, model }`, and may expose `getModel()`,
+ * the model it calls by default, so cost budgets can check the model has a price.
+ * Providers that can stream call `options.onText(chunk)` while the response is generated;
+ * the others ignore it. `options.signal` aborts when the call has timed out, and providers
+ * should stop the work it started.
+ */
+const providers = new Map([
+  [geminiProvider.name, geminiProvider],
+  [tesseractProvider.name, tesseractProvider],
+  [fixtureProvider.name, fixtureProvider]
+]);
+
+/**
+ * Register an additional OCR provider
+ * @param {Object} provider - Provider with a name and an extract function
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || typeof provider.extract !== 'function') {
+    throw new Error('An OCR provider needs a name and an extract function');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Resolve an OCR provider by name, falling back to OCR_PROVIDER and then Gemini
+ * @param {string} [name] - Provider name
+ * @returns {Object} - Provider
+ */
+const getProvider = (name) => {
+  const providerName = name || process.env.OCR_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers.get(providerName);
+
+  if (!provider) {
+    throw new Error(`Unknown OCR provider "${providerName}". Available providers: ${listProviders().join(', ')}`);
+  }
+
+  return provider;
+};
+
+/**
+ * List registered provider names
+ * @returns {Array<string>}
+ */
+const listProviders = () => Array.from(providers.keys());
+
+module.exports = {
+  getProvider,
+  registerProvider,
+  listProviders
+};
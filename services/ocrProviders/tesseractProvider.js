@@ -0,0 +1,100 @@
+require('dotenv').config();
+
+const DEFAULT_LANGUAGE = 'eng';
+
+// Leading item number ("1.", "2)") and trailing quantity ("20 Roll", "5 pcs")
+const ITEM_NUMBER_REGEX = /^\s*(\d+)\s*[.)-]\s*/;
+const QUANTITY_REGEX = /\s*[-:x]?\s*(\d+(?:\.\d+)?\s*[a-zA-Z]*)\s*$/;
+
+/**
+ * Turn plain recognised lines into the same products JSON the Gemini prompt asks for,
+ * so the rest of the pipeline does not care which engine produced it.
+ * @param {string} text - Plain text recognised by Tesseract
+ * @returns {Object} - { products: [...] }
+ */
+const linesToProducts = (text) => {
+  const products = [];
+
+  text.split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .forEach(line => {
+      let rest = line.replace(ITEM_NUMBER_REGEX, '');
+      let totalQuantity = '';
+
+      const quantityMatch = rest.match(QUANTITY_REGEX);
+      if (quantityMatch && quantityMatch.index > 0) {
+        totalQuantity = quantityMatch[1].trim();
+        rest = rest.slice(0, quantityMatch.index);
+      }
+
+      const productName = rest.trim();
+      if (!productName) return;
+
+      products.push({
+        item_number: products.length + 1,
+        product_name: productName,
+        total_quantity: totalQuantity,
+        sub_quantities: []
+      });
+    });
+
+  return { products };
+};
+
+/**
+ * Model name calls are recorded under
+ * @param {string} [language] - Tesseract language code(s)
+ * @returns {string}
+ */
+const getModel = (language) => `tesseract-${language || process.env.TESSERACT_LANG || DEFAULT_LANGUAGE}`;
+
+/**
+ * Extract text from an image with a local Tesseract engine
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {string} mimeType - Image MIME type
+ * @param {Object} options - Provider options
+ * @param {string} [options.language] - Tesseract language code(s), e.g. "eng+hin"
+ * @param {AbortSignal} [options.signal] - Stops the engine
+ * @returns {Promise<Object>} - { text, usageMetadata, model }
+ */
+const extract = async (imageBuffer, mimeType, { language, signal } = {}) => {
+  // Required lazily: the engine is optional and heavy to load
+  const { createWorker } = require('tesseract.js');
+
+  const lang = language || process.env.TESSERACT_LANG || DEFAULT_LANGUAGE;
+  const workerOptions = process.env.TESSERACT_LANG_PATH ? { langPath: process.env.TESSERACT_LANG_PATH } : {};
+  const worker = await createWorker(lang, 1, workerOptions);
+
+  // Terminating the worker rejects the recognition in progress
+  const stop = () => worker.terminate().catch(() => {});
+  if (signal) {
+    if (signal.aborted) await stop();
+    signal.addEventListener('abort', stop, { once: true });
+  }
+
+  try {
+    const { data } = await worker.recognize(imageBuffer);
+
+    return {
+      text: JSON.stringify(linesToProducts(data.text)),
+      // Local engine: no tokens are billed
+      usageMetadata: {
+        promptTokenCount: 0,
+        candidatesTokenCount: 0,
+        totalTokenCount: 0
+      },
+      model: getModel(lang)
+    };
+  } finally {
+    if (signal) signal.removeEventListener('abort', stop);
+    if (!signal || !signal.aborted) await worker.terminate();
+  }
+};
+
+module.exports = {
+  name: 'tesseract',
+  getModel,
+  extract,
+  linesToProducts
+};
@@ -0,0 +1,119 @@
+const sharp = require('sharp');
+require('dotenv').config();
+
+const DEFAULT_LOW_CONFIDENCE_THRESHOLD = 0.6;
+const BOX_SCALE = 1000;
+
+/**
+ * Confidence below which a line is flagged for review
+ * @returns {number}
+ */
+const getLowConfidenceThreshold = () => {
+  const threshold = parseFloat(process.env.OCR_LOW_CONFIDENCE_THRESHOLD);
+  return Number.isNaN(threshold) ? DEFAULT_LOW_CONFIDENCE_THRESHOLD : threshold;
+};
+
+/**
+ * Convert a model bounding box ([ymin, xmin, ymax, xmax] on a 0-1000 scale)
+ * into a region with fractions of the image size
+ * @param {Array<number>} box - Bounding box from the model
+ * @returns {Object|null} - { x, y, width, height } between 0 and 1, or null if the box is unusable
+ */
+const boxToRegion = (box) => {
+  if (!Array.isArray(box) || box.length !== 4 || box.some(value => typeof value !== 'number')) {
+    return null;
+  }
+
+  const [ymin, xmin, ymax, xmax] = box.map(value => Math.min(Math.max(value, 0), BOX_SCALE) / BOX_SCALE);
+  if (xmax <= xmin || ymax <= ymin) return null;
+
+  const round = (value) => Math.round(value * 10000) / 10000;
+  return { x: round(xmin), y: round(ymin), width: round(xmax - xmin), height: round(ymax - ymin) };
+};
+
+/**
+ * Replace raw model boxes with regions and flag low-confidence lines
+ * @param {Object} entry - Product or sub-quantity from the model
+ * @param {number} threshold - Low confidence threshold
+ * @returns {Object}
+ */
+const annotateEntry = (entry, threshold) => {
+  const { box_2d: box, ...rest } = entry;
+  const region = boxToRegion(box);
+
+  return {
+    ...rest,
+    ...(region && { region }),
+    ...(typeof rest.confidence === 'number' && { low_confidence: rest.confidence < threshold })
+  };
+};
+
+/**
+ * Attach source regions and low-confidence flags to extracted products and their sub-quantities
+ * @param {Array<Object>} products - Validated products
+ * @returns {Object} - { products, summary }
+ */
+const annotateProducts = (products) => {
+  const threshold = getLowConfidenceThreshold();
+
+  const annotated = products.map(product => {
+    const annotatedProduct = annotateEntry(product, threshold);
+    if (Array.isArray(product.sub_quantities)) {
+      annotatedProduct.sub_quantities = product.sub_quantities.map(sub => annotateEntry(sub, threshold));
+    }
+    return annotatedProduct;
+  });
+
+  const scores = annotated
+    .map(product => product.confidence)
+    .filter(confidence => typeof confidence === 'number');
+
+  return {
+    products: annotated,
+    summary: {
+      threshold,
+      averageConfidence: scores.length > 0
+        ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 1000) / 1000
+        : null,
+      lowConfidenceCount: annotated.reduce((count, product) =>
+        count + (product.low_confidence ? 1 : 0) +
+        (product.sub_quantities || []).filter(sub => sub.low_confidence).length, 0),
+      withRegions: annotated.filter(product => product.region).length
+    }
+  };
+};
+
+/**
+ * Check whether any product or sub-quantity carries a source region
+ * @param {Array<Object>} products - Annotated products
+ * @returns {boolean}
+ */
+const hasRegions = (products) => products.some(product =>
+  product.region || (Array.isArray(product.sub_quantities) && product.sub_quantities.some(sub => sub.region)));
+
+/**
+ * Cut a region out of the image the model saw
+ * @param {Buffer} imageBuffer - Image sent to the OCR provider
+ * @param {Object} region - { x, y, width, height } as fractions of the image size
+ * @param {number} [padding] - Extra margin around the region, as a fraction of the image size
+ * @returns {Promise<Buffer>} - JPEG crop
+ */
+const cropRegion = async (imageBuffer, region, padding = 0) => {
+  const { width, height } = await sharp(imageBuffer).metadata();
+
+  const left = Math.max(0, Math.floor((region.x - padding) * width));
+  const top = Math.max(0, Math.floor((region.y - padding) * height));
+  const right = Math.min(width, Math.ceil((region.x + region.width + padding) * width));
+  const bottom = Math.min(height, Math.ceil((region.y + region.height + padding) * height));
+
+  return sharp(imageBuffer)
+    .extract({ left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+};
+
+module.exports = {
+  annotateProducts,
+  hasRegions,
+  cropRegion
+};
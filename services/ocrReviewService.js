@@ -0,0 +1,360 @@
+const OcrJob = require('../models/OcrJob');
+const { validateOCRData } = require('./ocrValidationService');
+const { resolvePromptTemplate } = require('./promptTemplateService');
+
+const REVIEW_STATUSES = ['pending', 'in_review', 'approved'];
+
+// Annotations added by the pipeline, by /process-data or by the user picking a product; they are not part of what was read
+const ANNOTATION_FIELDS = [
+  'confidence',
+  'low_confidence',
+  'box_2d',
+  'region',
+  'page',
+  'source_images',
+  'normalized_quantity',
+  'price',
+  'defaultDiscount',
+  'product_id'
+];
+
+/**
+ * Copy of a value without pipeline annotations, keeping only what a reviewer can correct
+ * @param {Object} line - Product line or sub-quantity
+ * @returns {Object}
+ */
+const stripAnnotations = (line) => {
+  const clean = {};
+
+  Object.entries(line || {}).forEach(([key, value]) => {
+    if (ANNOTATION_FIELDS.includes(key)) return;
+    clean[key] = key === 'sub_quantities' && Array.isArray(value) ? value.map(stripAnnotations) : value;
+  });
+
+  return clean;
+};
+
+/**
+ * Compare two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level changes between two versions of an object
+ * @param {Object} from - Model output
+ * @param {Object} to - Corrected version
+ * @param {string} prefix - Path of the object inside its line, e.g. "sub_quantities[0]."
+ * @param {number} itemNumber - Line the object belongs to
+ * @returns {Array<Object>}
+ */
+const diffFields = (from, to, prefix, itemNumber) => {
+  const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = [];
+
+  keys.forEach(key => {
+    if (key === 'item_number' || key === 'sub_quantities' || isSameValue(from[key], to[key])) return;
+    changes.push({
+      op: 'replace',
+      item_number: itemNumber,
+      field: `${prefix}${key}`,
+      from: from[key] === undefined ? null : from[key],
+      to: to[key] === undefined ? null : to[key]
+    });
+  });
+
+  return changes;
+};
+
+/**
+ * Diff of corrected product lines against the model output.
+ * Lines are paired by item_number and sub-quantities by position.
+ * @param {Array<Object>} extracted - Lines as the model returned them
+ * @param {Array<Object>} corrected - Lines after review
+ * @returns {Array<Object>} - [{ op: "add"|"remove"|"replace", item_number, field, from, to }]
+ */
+const diffProducts = (extracted, corrected) => {
+  const original = new Map(extracted.map(line => [line.item_number, stripAnnotations(line)]));
+  const changes = [];
+
+  corrected.forEach(rawLine => {
+    const line = stripAnnotations(rawLine);
+    const before = original.get(line.item_number);
+
+    if (!before) {
+      changes.push({ op: 'add', item_number: line.item_number, to: line });
+      return;
+    }
+    original.delete(line.item_number);
+
+    changes.push(...diffFields(before, line, '', line.item_number));
+
+    const fromSubs = before.sub_quantities || [];
+    const toSubs = line.sub_quantities || [];
+    for (let index = 0; index < Math.max(fromSubs.length, toSubs.length); index++) {
+      const field = `sub_quantities[${index}]`;
+      if (index >= fromSubs.length) {
+        changes.push({ op: 'add', item_number: line.item_number, field, to: toSubs[index] });
+      } else if (index >= toSubs.length) {
+        changes.push({ op: 'remove', item_number: line.item_number, field, from: fromSubs[index] });
+      } else {
+        changes.push(...diffFields(fromSubs[index], toSubs[index], `${field}.`, line.item_number));
+      }
+    }
+  });
+
+  original.forEach(line => {
+    changes.push({ op: 'remove', item_number: line.item_number, from: line });
+  });
+
+  return changes;
+};
+
+/**
+ * Check corrected lines against the output schema the job was extracted with
+ * @param {Object} job - OcrJob document
+ * @param {Array<Object>} products - Corrected lines
+ * @returns {Promise<Array<Object>>} - Validation errors, empty when the lines are usable
+ */
+const validateCorrections = async (job, products) => {
+  if (!Array.isArray(products)) {
+    return [{ field: 'products', message: 'products must be an array' }];
+  }
+
+  const itemNumbers = products.map(line => line && line.item_number);
+  const duplicate = itemNumbers.find((itemNumber, index) => itemNumbers.indexOf(itemNumber) !== index);
+  if (duplicate !== undefined) {
+    return [{ field: 'item_number', message: `item_number ${duplicate} is used more than once` }];
+  }
+
+  const template = job.documentType
+    ? await resolvePromptTemplate(job.documentType, job.templateVersion)
+    : null;
+  const { errors } = template
+    ? validateOCRData({ products }, template.outputSchema)
+    : validateOCRData({ products });
+
+  return errors;
+};
+
+/**
+ * Store a reviewer's corrections of a job's lines and move it to in_review.
+ * Editing an approved job reopens its review.
+ * @param {Object} job - OcrJob document (completed)
+ * @param {Object} params - Correction details
+ * @param {Array<Object>} params.products - Full list of corrected lines
+ * @param {Object} params.user - Reviewer
+ * @param {string} [params.note] - Reviewer's note for this revision
+ * @param {string} [params.status] - Status to leave the review in ("in_review" or "approved")
+ * @returns {Promise<Object>} - { job, errors }; job is null when the corrections were rejected
+ */
+const saveCorrections = async (job, { products, user, note, status = 'in_review' }) => {
+  const errors = await validateCorrections(job, products);
+  if (errors.length > 0) {
+    return { job: null, errors };
+  }
+
+  const now = new Date();
+  const corrected = products.map(stripAnnotations);
+  const changes = diffProducts(job.products, corrected);
+  const revisions = job.review && job.review.revisions ? job.review.revisions : [];
+
+  job.set('review', {
+    status,
+    products: corrected,
+    changes,
+    revisions: [
+      ...revisions,
+      {
+        revision: revisions.length + 1,
+        editedBy: user ? user._id : undefined,
+        editedAt: now,
+        note,
+        changes
+      }
+    ],
+    updatedBy: user ? user._id : undefined,
+    updatedAt: now,
+    ...(status === 'approved' && {
+      approvedBy: user ? user._id : undefined,
+      approvedAt: now
+    })
+  });
+
+  return { job: await job.save(), errors: [] };
+};
+
+/**
+ * Approve a job's lines as reviewed. A job nobody edited is approved as the model read it.
+ * @param {Object} job - OcrJob document (completed)
+ * @param {Object} user - Reviewer
+ * @returns {Promise<Object>} - Saved job
+ */
+const approveReview = async (job, user) => {
+  const now = new Date();
+  const review = job.review || {};
+  const hasCorrections = Array.isArray(review.products);
+
+  job.set('review.status', 'approved');
+  job.set('review.approvedBy', user ? user._id : undefined);
+  job.set('review.approvedAt', now);
+  job.set('review.updatedBy', user ? user._id : undefined);
+  job.set('review.updatedAt', now);
+  if (!hasCorrections) {
+    job.set('review.products', job.products.map(stripAnnotations));
+    job.set('review.changes', []);
+  }
+
+  return job.save();
+};
+
+/**
+ * Review state of a job for the API
+ * @param {Object} job - OcrJob document
+ * @returns {Object}
+ */
+const toReviewView = (job) => {
+  const review = job.review || {};
+
+  return {
+    jobId: job._id,
+    status: review.status || 'pending',
+    file: job.file,
+    documentType: job.documentType,
+    templateVersion: job.templateVersion,
+    extracted: job.products,
+    corrected: review.products || null,
+    changes: review.changes || [],
+    revisions: review.revisions || [],
+    confidence: job.confidence,
+    updatedBy: review.updatedBy,
+    updatedAt: review.updatedAt,
+    approvedBy: review.approvedBy,
+    approvedAt: review.approvedAt
+  };
+};
+
+/**
+ * Filter for jobs in a review status; jobs from before reviews existed count as pending
+ * @param {string} status - Review status
+ * @returns {Object}
+ */
+const reviewStatusFilter = (status) => (
+  status === 'pending'
+    ? { 'review.status': { $in: ['pending', null] } }
+    : { 'review.status': status }
+);
+
+/**
+ * Accuracy of the model output measured against the approved lines
+ * @param {Array<Object>} corrected - Approved lines
+ * @param {Array<Object>} changes - Diff against the model output
+ * @returns {Object} - { lines, correctLines, addedLines, removedLines, fieldChanges, lineAccuracy }
+ */
+const measureAccuracy = (corrected, changes) => {
+  const changedLines = new Set(changes.map(change => change.item_number));
+  const correctLines = corrected.filter(line => !changedLines.has(line.item_number)).length;
+  const removedLines = changes.filter(change => change.op === 'remove' && !change.field).length;
+
+  return {
+    lines: corrected.length,
+    correctLines,
+    addedLines: changes.filter(change => change.op === 'add' && !change.field).length,
+    removedLines,
+    fieldChanges: changes.filter(change => change.field).length,
+    // Lines the model invented count against it as well as lines it got wrong
+    lineAccuracy: corrected.length + removedLines > 0
+      ? Math.round((correctLines / (corrected.length + removedLines)) * 1000) / 1000
+      : 1
+  };
+};
+
+/**
+ * One labeled example for the correction dataset
+ * @param {Object} job - Approved OcrJob (lean)
+ * @returns {Object}
+ */
+const toDatasetRecord = (job) => {
+  const corrected = job.review.products || [];
+  const changes = job.review.changes || [];
+
+  return {
+    jobId: job._id,
+    contentHash: job.contentHash,
+    file: job.file,
+    provider: job.provider,
+    model: job.model,
+    documentType: job.documentType,
+    templateVersion: job.templateVersion,
+    extractedAt: job.completedAt || job.createdAt,
+    approvedAt: job.review.approvedAt,
+    approvedBy: job.review.approvedBy,
+    extracted: (job.products || []).map(stripAnnotations),
+    corrected,
+    changes,
+    metrics: measureAccuracy(corrected, changes)
+  };
+};
+
+/**
+ * Query for the approved jobs that make up the correction dataset
+ * @param {Object} filters - Dataset filters
+ * @param {string} [filters.startDate] - Approved on or after
+ * @param {string} [filters.endDate] - Approved on or before
+ * @param {string} [filters.documentType] - Only this document type
+ * @param {string} [filters.model] - Only this model
+ * @returns {Object} - Mongoose query, oldest approval first
+ */
+const findApprovedReviews = ({ startDate, endDate, documentType, model } = {}) => {
+  const filter = { 'review.status': 'approved' };
+
+  if (documentType) filter.documentType = documentType;
+  if (model) filter.model = model;
+  if (startDate || endDate) {
+    filter['review.approvedAt'] = {};
+    if (startDate) filter['review.approvedAt'].$gte = new Date(startDate);
+    if (endDate) filter['review.approvedAt'].$lte = new Date(endDate);
+  }
+
+  return OcrJob.find(filter)
+    .select('contentHash file provider model documentType templateVersion products review completedAt createdAt')
+    .sort({ 'review.approvedAt': 1 })
+    .lean();
+};
+
+/**
+ * Totals over dataset records
+ * @param {Array<Object>} records - Results of toDatasetRecord
+ * @returns {Object}
+ */
+const summarizeDataset = (records) => {
+  const totals = records.reduce((sum, { metrics }) => ({
+    lines: sum.lines + metrics.lines,
+    correctLines: sum.correctLines + metrics.correctLines,
+    addedLines: sum.addedLines + metrics.addedLines,
+    removedLines: sum.removedLines + metrics.removedLines,
+    fieldChanges: sum.fieldChanges + metrics.fieldChanges
+  }), { lines: 0, correctLines: 0, addedLines: 0, removedLines: 0, fieldChanges: 0 });
+
+  const judgedLines = totals.lines + totals.removedLines;
+
+  return {
+    jobs: records.length,
+    ...totals,
+    lineAccuracy: judgedLines > 0 ? Math.round((totals.correctLines / judgedLines) * 1000) / 1000 : null
+  };
+};
+
+module.exports = {
+  REVIEW_STATUSES,
+  diffProducts,
+  saveCorrections,
+  approveReview,
+  toReviewView,
+  reviewStatusFilter,
+  toDatasetRecord,
+  findApprovedReviews,
+  summarizeDataset
+};
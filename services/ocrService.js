@@ -1,56 +1,54 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getProvider } = require('./ocrProviders');
+const { splitPdfPages } = require('./pdfService');
+const { preprocessImage } = require('./imagePreprocessService');
+const { validateOCRData, repairJSONText, repairOCRData } = require('./ocrValidationService');
+const { annotateProducts } = require('./ocrRegionService');
+const { getParser } = require('./documentParserService');
+const { getBuiltinTemplate, resolvePromptTemplate } = require('./promptTemplateService');
+const { callWithResilience } = require('./providerResilienceService');
+const { createProductStream } = require('./ocrStreamService');
 require('dotenv').config();
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const PDF_MIME_TYPE = 'application/pdf';
 
 /**
- * Extract text from image using Google Gemini API
+ * Extract text from image using the configured OCR provider.
+ * The call is timed out, retried on transient errors and skipped while the provider's circuit is open.
  * @param {Buffer} imageBuffer - Image buffer
  * @param {string} mimeType - Image MIME type
- * @returns {Promise<Object>} - Extracted text and metadata
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.provider] - Provider name (defaults to OCR_PROVIDER, then "gemini")
+ * @param {string} [options.model] - Model name for providers that support several
+ * @param {Object} [options.template] - Prompt template (defaults to the built-in item list)
+ * @param {Function} [options.onText] - (chunk, attempt) => void, called as a streaming provider generates text
+ * @returns {Promise<Object>} - Extracted text and metadata, with every provider attempt;
+ *   failures are flagged `unavailable` when the provider is down rather than the request being bad
  */
-const extractTextFromImage = async (imageBuffer, mimeType) => {
-  try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' });
+const extractTextFromImage = async (imageBuffer, mimeType, options = {}) => {
+  let providerName = options.provider;
 
-    const imageData = {
-      inlineData: {
-        data: imageBuffer.toString('base64'),
-        mimeType: mimeType
-      }
-    };
+  try {
+    const provider = getProvider(options.provider);
+    providerName = provider.name;
 
-    const prompt = `Extract all items and quantities from this image. Format the output as a JSON object with a 'products' array. Each object in the array should have fields for 'item_number', 'product_name', 'total_quantity', and an array named 'sub_quantities' for colors and their counts. If a product has no sub-quantities, the 'sub_quantities' array should be empty. Interpret any handwritten text and correct spelling based on context.
-
-Example of expected output structure:
-{
-  "products": [
-    {
-      "item_number": 1,
-      "product_name": "Product name here",
-      "total_quantity": "Quantity here",
-      "sub_quantities": [
-        { "color": "Color here", "quantity": "Quantity here" }
-      ]
-    }
-  ]
-}`;
-
-    const result = await model.generateContent([prompt, imageData]);
-    const response = await result.response;
-    const text = response.text();
-
-    // Extract usage metadata
-    const usageMetadata = {
-      promptTokenCount: response.usageMetadata?.promptTokenCount || 0,
-      candidatesTokenCount: response.usageMetadata?.candidatesTokenCount || 0,
-      totalTokenCount: response.usageMetadata?.totalTokenCount || 0
-    };
+    const template = options.template || getBuiltinTemplate('item_list');
+    const { result, attempts } = await callWithResilience(provider.name, ({ attempt, timeoutMs, signal }) =>
+      provider.extract(imageBuffer, mimeType, {
+        ...options,
+        prompt: template.prompt,
+        timeoutMs,
+        signal,
+        onText: options.onText && (chunk => options.onText(chunk, attempt))
+      })
+    );
 
     return {
       success: true,
-      text: text,
-      usageMetadata: usageMetadata
+      text: result.text,
+      usageMetadata: result.usageMetadata,
+      provider: provider.name,
+      model: result.model,
+      attempts
     };
 
   } catch (error) {
@@ -59,38 +57,89 @@ Example of expected output structure:
       success: false,
       error: error.message,
       text: null,
-      usageMetadata: null
+      usageMetadata: null,
+      provider: providerName,
+      attempts: error.attempts || [],
+      unavailable: Boolean(error.unavailable),
+      retryAfterMs: error.retryAfterMs
     };
   }
 };
 
 /**
- * Parse JSON response from OCR
+ * Parse JSON response from OCR.
+ * Output that is not clean JSON, or that fails the template's schema, goes through a repair pass;
+ * products that are still invalid afterwards are left out and reported.
+ * Boxes are turned into source regions and low-confidence lines are flagged.
  * @param {string} textResponse - Raw text response from OCR
- * @returns {Object} - Parsed JSON data or null
+ * @param {Object} [template] - Prompt template whose schema and parser apply (defaults to the built-in item list)
+ * @returns {Object} - { success, data, confidence, rawText, repairs, validationErrors, rejectedProducts }
  */
-const parseOCRResponse = (textResponse) => {
+const parseOCRResponse = (textResponse, template = getBuiltinTemplate('item_list')) => {
   try {
-    // Try to find JSON in the response
-    const jsonMatch = textResponse.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const jsonStr = jsonMatch[0];
-      const parsedData = JSON.parse(jsonStr);
-
-      // Validate structure
-      if (parsedData.products && Array.isArray(parsedData.products)) {
-        return {
-          success: true,
-          data: parsedData,
-          rawText: textResponse
-        };
-      }
+    const repairs = [];
+    let parsedData;
+
+    try {
+      parsedData = JSON.parse(String(textResponse).trim());
+    } catch (error) {
+      const repairedText = repairJSONText(textResponse);
+      repairs.push(...repairedText.repairs);
+      parsedData = repairedText.data;
     }
 
+    if (parsedData === undefined) {
+      return {
+        success: false,
+        error: 'No valid JSON found in OCR response',
+        rawText: textResponse,
+        repairs
+      };
+    }
+
+    const parser = getParser(template.parser) || getParser('products');
+    const normalize = (data) => {
+      const normalized = parser.normalize(data);
+      repairs.push(...normalized.repairs);
+      return normalized.data;
+    };
+
+    parsedData = normalize(parsedData);
+    let validation = validateOCRData(parsedData, template.outputSchema);
+
+    if (!validation.valid) {
+      const repairedData = repairOCRData(parsedData);
+      repairs.push(...repairedData.repairs);
+      parsedData = normalize(repairedData.data);
+      validation = validateOCRData(parsedData, template.outputSchema);
+    }
+
+    // Errors outside the products list mean the overall structure is unusable
+    const structuralErrors = validation.errors.filter(error => error.productIndex === null);
+    if (structuralErrors.length > 0) {
+      return {
+        success: false,
+        error: 'Invalid JSON structure in OCR response',
+        rawText: textResponse,
+        repairs,
+        validationErrors: structuralErrors
+      };
+    }
+
+    const invalidIndexes = new Set(validation.errors.map(error => error.productIndex));
+    const annotated = annotateProducts(parsedData.products.filter((product, index) => !invalidIndexes.has(index)));
+
     return {
-      success: false,
-      error: 'Invalid JSON structure in OCR response',
-      rawText: textResponse
+      success: true,
+      data: {
+        ...parsedData,
+        products: annotated.products
+      },
+      confidence: annotated.summary,
+      rawText: textResponse,
+      repairs,
+      validationErrors: validation.errors,
+      rejectedProducts: parsedData.products.filter((product, index) => invalidIndexes.has(index))
     };
 
   } catch (error) {
@@ -103,37 +152,221 @@ const parseOCRResponse = (textResponse) => {
 };
 
 /**
- * Calculate cost estimate based on token usage
- * @param {Object} usageMetadata - Token usage metadata
- * @returns {Object} - Cost analysis
+ * Add up token usage across several OCR calls
+ * @param {Array<Object>} usageList - usageMetadata objects (nulls are skipped)
+ * @returns {Object} - Combined usage metadata
+ */
+const sumUsageMetadata = (usageList) => usageList.reduce((total, usage) => {
+  if (!usage) return total;
+  return {
+    promptTokenCount: total.promptTokenCount + (usage.promptTokenCount || 0),
+    candidatesTokenCount: total.candidatesTokenCount + (usage.candidatesTokenCount || 0),
+    totalTokenCount: total.totalTokenCount + (usage.totalTokenCount || 0)
+  };
+}, { promptTokenCount: 0, candidatesTokenCount: 0, totalTokenCount: 0 });
+
+/**
+ * Merge document-level sections (e.g. invoice header and totals) across pages.
+ * A value printed on a later page replaces one from an earlier page.
+ * @param {Array<Object>} pages - [{ page, parsedResult }]
+ * @returns {Object} - Top-level fields other than products
+ */
+const mergeDocumentFields = (pages) => pages.reduce((fields, { parsedResult }) => {
+  if (!parsedResult || !parsedResult.success) return fields;
+
+  const { products, ...sections } = parsedResult.data;
+  Object.entries(sections).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      const filled = Object.entries(value).filter(([, fieldValue]) => fieldValue !== null && fieldValue !== undefined);
+      fields[key] = { ...fields[key], ...Object.fromEntries(filled) };
+    } else if (value !== null && value !== undefined) {
+      fields[key] = value;
+    }
+  });
+
+  return fields;
+}, {});
+
+/**
+ * Merge per-page OCR results into a single result.
+ * Item numbers continue across pages, every product is tagged with its source page
+ * and document-level sections are combined.
+ * @param {Array<Object>} pages - [{ page, ocrResult, parsedResult }]
+ * @returns {Object} - { ocrResult, parsedResult, pages }
  */
-const calculateCostEstimate = (usageMetadata) => {
-  if (!usageMetadata) return null;
+const mergePageResults = (pages) => {
+  const products = [];
+
+  pages.forEach(({ page, parsedResult }) => {
+    if (!parsedResult || !parsedResult.success) return;
 
-  // Gemini 2.0 Flash pricing (as of 2024)
-  const inputPricePer1M = 0.075;  // $0.075 per 1M input tokens
-  const outputPricePer1M = 0.30;  // $0.30 per 1M output tokens
+    parsedResult.data.products.forEach(product => {
+      products.push({
+        ...product,
+        item_number: products.length + 1,
+        page
+      });
+    });
+  });
 
-  const promptTokens = usageMetadata.promptTokenCount || 0;
-  const completionTokens = usageMetadata.candidatesTokenCount || 0;
-  const totalTokens = usageMetadata.totalTokenCount || 0;
+  const succeededPages = pages.filter(({ ocrResult }) => ocrResult.success);
+  const parsedPages = pages.filter(({ parsedResult }) => parsedResult && parsedResult.success);
+  const firstSucceeded = succeededPages[0] && succeededPages[0].ocrResult;
+  const firstFailure = pages.find(({ ocrResult, parsedResult }) => !ocrResult.success || !parsedResult || !parsedResult.success);
 
-  const inputCost = (promptTokens / 1_000_000) * inputPricePer1M;
-  const outputCost = (completionTokens / 1_000_000) * outputPricePer1M;
-  const totalCost = inputCost + outputCost;
+  const text = succeededPages
+    .map(({ page, ocrResult }) => `--- Page ${page} ---\n${ocrResult.text}`)
+    .join('\n\n');
+  const unavailablePage = pages.find(({ ocrResult }) => ocrResult.unavailable);
 
   return {
-    input_tokens: promptTokens,
-    output_tokens: completionTokens,
-    total_tokens: totalTokens,
-    input_cost_usd: inputCost,
-    output_cost_usd: outputCost,
-    total_cost_usd: totalCost
+    ocrResult: {
+      success: succeededPages.length > 0,
+      text: succeededPages.length > 0 ? text : null,
+      usageMetadata: sumUsageMetadata(pages.map(({ ocrResult }) => ocrResult.usageMetadata)),
+      provider: firstSucceeded ? firstSucceeded.provider : pages[0].ocrResult.provider,
+      model: firstSucceeded ? firstSucceeded.model : undefined,
+      error: succeededPages.length > 0 ? undefined : pages[0].ocrResult.error,
+      attempts: pages.flatMap(({ page, ocrResult }) =>
+        (ocrResult.attempts || []).map(attempt => ({ ...attempt, page }))),
+      // Only a document with no page read is reported as the provider being unavailable
+      unavailable: succeededPages.length === 0 && Boolean(unavailablePage),
+      retryAfterMs: succeededPages.length === 0 && unavailablePage ? unavailablePage.ocrResult.retryAfterMs : undefined
+    },
+    parsedResult: {
+      success: parsedPages.length > 0,
+      data: { ...mergeDocumentFields(pages), products },
+      confidence: annotateProducts(products).summary,
+      error: parsedPages.length > 0 ? undefined : (firstFailure.parsedResult || firstFailure.ocrResult).error,
+      rawText: text,
+      repairs: pages.flatMap(({ page, parsedResult }) =>
+        (parsedResult && parsedResult.repairs ? parsedResult.repairs : []).map(repair => `page ${page}: ${repair}`)),
+      validationErrors: pages.flatMap(({ page, parsedResult }) =>
+        (parsedResult && parsedResult.validationErrors ? parsedResult.validationErrors : []).map(error => ({ ...error, page }))),
+      rejectedProducts: pages.flatMap(({ page, parsedResult }) =>
+        (parsedResult && parsedResult.rejectedProducts ? parsedResult.rejectedProducts : []).map(product => ({ ...product, page })))
+    },
+    pages: pages.map(({ page, ocrResult, parsedResult }) => ({
+      page,
+      success: Boolean(ocrResult.success && parsedResult && parsedResult.success),
+      rawText: ocrResult.text,
+      productCount: parsedResult && parsedResult.success ? parsedResult.data.products.length : 0,
+      error: ocrResult.error || (parsedResult && parsedResult.error),
+      usageMetadata: ocrResult.usageMetadata
+    }))
   };
 };
 
+/**
+ * Extract and parse one image or PDF page.
+ * With options.onProgress, the model's response is streamed and product lines are reported as they appear.
+ * @param {Buffer} imageBuffer - Image or single-page PDF
+ * @param {string} mimeType - MIME type
+ * @param {Object} options - Extraction options, including the template
+ * @param {Object} [pageInfo] - { page, totalPages } for PDF pages
+ * @returns {Promise<Object>} - { ocrResult, parsedResult }
+ */
+const extractAndParse = async (imageBuffer, mimeType, options, pageInfo = {}) => {
+  const notify = options.onProgress || (() => {});
+  const productStream = createProductStream((product, index) => notify('product', { page: pageInfo.page, index, product }));
+  let streamedAttempt = 0;
+
+  notify('stage', { stage: 'model_call', ...pageInfo });
+  const ocrResult = await extractTextFromImage(imageBuffer, mimeType, {
+    ...options,
+    ...(options.onProgress && {
+      onText: (chunk, attempt) => {
+        // A retried call starts its response from the beginning
+        if (attempt !== streamedAttempt) {
+          productStream.reset();
+          streamedAttempt = attempt;
+        }
+        productStream.push(chunk);
+      }
+    })
+  });
+
+  if (!ocrResult.success) {
+    return { ocrResult, parsedResult: null };
+  }
+
+  // Providers that do not stream hand over the whole response at once; lines already reported are skipped
+  productStream.reset();
+  productStream.push(ocrResult.text);
+
+  notify('stage', { stage: 'parsing', ...pageInfo });
+  return { ocrResult, parsedResult: parseOCRResponse(ocrResult.text, options.template) };
+};
+
+/**
+ * Run OCR and parsing for an uploaded document.
+ * Images are preprocessed and sent in one call; PDFs are split and every page is processed in turn.
+ * @param {Buffer} buffer - File buffer
+ * @param {string} mimeType - File MIME type
+ * @param {Object} [options] - Extraction options, passed on to extractTextFromImage
+ * @param {*} [options.preprocess] - Image preprocessing setting (see imagePreprocessService)
+ * @param {Object} [options.template] - Prompt template; resolved from options.documentType when missing
+ * @param {string} [options.documentType] - Document type whose active template is used
+ * @param {Function} [options.onProgress] - (event, data) => void; receives "stage" events
+ *   (preprocessing, model_call, parsing) and provisional "product" lines while the document is processed
+ * @returns {Promise<Object>} - { ocrResult, parsedResult, pages, preprocessing, sourceImage }
+ */
+const processDocument = async (buffer, mimeType, options = {}) => {
+  const template = options.template || await resolvePromptTemplate(options.documentType);
+  if (!template) {
+    throw new Error(`Unknown document type "${options.documentType}"`);
+  }
+  const extractOptions = { ...options, template };
+  const notify = options.onProgress || (() => {});
+
+  notify('stage', { stage: 'preprocessing' });
+
+  if (mimeType !== PDF_MIME_TYPE) {
+    const prepared = await preprocessImage(buffer, mimeType, options.preprocess);
+    const { ocrResult, parsedResult } = await extractAndParse(prepared.buffer, prepared.mimeType, extractOptions);
+    return {
+      ocrResult,
+      parsedResult,
+      pages: [],
+      preprocessing: prepared.metadata,
+      // Regions refer to this image, so it is kept for cropping
+      sourceImage: { buffer: prepared.buffer, mimeType: prepared.mimeType }
+    };
+  }
+
+  let pageBuffers;
+  try {
+    pageBuffers = await splitPdfPages(buffer);
+  } catch (error) {
+    return {
+      ocrResult: {
+        success: false,
+        error: `Could not read PDF: ${error.message}`,
+        text: null,
+        usageMetadata: null,
+        provider: options.provider
+      },
+      parsedResult: null,
+      pages: []
+    };
+  }
+
+  // Pages run one after another to stay within provider rate limits
+  const pages = [];
+  for (let index = 0; index < pageBuffers.length; index++) {
+    const { ocrResult, parsedResult } = await extractAndParse(pageBuffers[index], PDF_MIME_TYPE, extractOptions, {
+      page: index + 1,
+      totalPages: pageBuffers.length
+    });
+    pages.push({ page: index + 1, ocrResult, parsedResult });
+  }
+
+  return mergePageResults(pages);
+};
+
 module.exports = {
   extractTextFromImage,
+  processDocument,
   parseOCRResponse,
-  calculateCostEstimate
+  sumUsageMetadata
 };
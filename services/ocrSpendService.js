@@ -0,0 +1,307 @@
+const mongoose = require('mongoose');
+const OcrLedgerEntry = require('../models/OcrLedgerEntry');
+const OcrBudget = require('../models/OcrBudget');
+const User = require('../models/User');
+const { findPrice } = require('./pricingService');
+require('dotenv').config();
+
+const DEFAULT_WARN_PERCENT = 80;
+const MONTH_REGEX = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Calendar month (UTC) a date falls in
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {string} - e.g. "2024-06"
+ */
+const toMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Check a "YYYY-MM" month string
+ * @param {string} value - Month
+ * @returns {boolean}
+ */
+const isValidMonth = (value) => MONTH_REGEX.test(value);
+
+/**
+ * Write the token usage and cost of one OCR call to the ledger
+ * @param {Object} job - Saved OcrJob
+ * @param {Object} [user] - User who made the call; looked up from the job when missing
+ * @returns {Promise<Object|null>} - Ledger entry, or null if it could not be stored
+ */
+const recordSpend = async (job, user) => {
+  try {
+    const owner = user || (job.user ? await User.findById(job.user).select('organization') : null);
+    const usage = job.usageMetadata || {};
+
+    return await OcrLedgerEntry.create({
+      user: job.user,
+      organization: owner ? owner.organization : undefined,
+      job: job._id,
+      provider: job.provider,
+      model: job.model,
+      documentType: job.documentType,
+      success: job.status === 'completed',
+      promptTokens: usage.promptTokenCount || 0,
+      outputTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0,
+      costUsd: job.costEstimate ? job.costEstimate.total_cost_usd || 0 : 0,
+      priced: job.costEstimate ? job.costEstimate.priced !== false : true,
+      inputPricePer1M: job.costEstimate ? job.costEstimate.input_price_per_1m : undefined,
+      outputPricePer1M: job.costEstimate ? job.costEstimate.output_price_per_1m : undefined,
+      calledAt: job.startedAt,
+      month: toMonth(job.completedAt || new Date())
+    });
+  } catch (error) {
+    // The ledger must never break the OCR request itself
+    console.error('Error recording OCR spend:', error);
+    return null;
+  }
+};
+
+/**
+ * Total spend for a ledger filter in one month
+ * @param {Object} match - Ledger filter, e.g. { user } or { organization }
+ * @param {string} month - "YYYY-MM"
+ * @returns {Promise<Object>} - { calls, totalTokens, costUsd }
+ */
+const getMonthlySpend = async (match, month) => {
+  const [totals] = await OcrLedgerEntry.aggregate([
+    { $match: { ...match, month } },
+    {
+      $group: {
+        _id: null,
+        calls: { $sum: 1 },
+        totalTokens: { $sum: '$totalTokens' },
+        costUsd: { $sum: '$costUsd' }
+      }
+    }
+  ]);
+
+  return {
+    calls: totals ? totals.calls : 0,
+    totalTokens: totals ? totals.totalTokens : 0,
+    costUsd: totals ? totals.costUsd : 0
+  };
+};
+
+/**
+ * Compare a budget's limits with the spend so far
+ * @param {Object} budget - OcrBudget document
+ * @param {Object} spend - Result of getMonthlySpend
+ * @returns {Array<Object>} - [{ metric, limit, used, percentUsed }]
+ */
+const describeLimits = (budget, spend) => {
+  const limits = [];
+
+  if (typeof budget.monthlyTokenLimit === 'number') {
+    limits.push({ metric: 'tokens', limit: budget.monthlyTokenLimit, used: spend.totalTokens });
+  }
+  if (typeof budget.monthlyCostLimitUsd === 'number') {
+    limits.push({ metric: 'costUsd', limit: budget.monthlyCostLimitUsd, used: spend.costUsd });
+  }
+
+  return limits.map(limit => ({
+    ...limit,
+    percentUsed: limit.limit > 0 ? Math.round((limit.used / limit.limit) * 1000) / 10 : 100
+  }));
+};
+
+/**
+ * Human-readable amount for budget messages
+ * @param {string} metric - "tokens" or "costUsd"
+ * @param {number} value - Amount
+ * @returns {string}
+ */
+const formatAmount = (metric, value) => (metric === 'costUsd' ? `$${value.toFixed(4)}` : `${value} tokens`);
+
+/**
+ * Check the current month's spend against every budget that applies to a user:
+ * their own budget and their organisation's.
+ * A cost limit cannot hold for a model without a price, so when the call's model is known
+ * and unpriced, cost budgets count as used up.
+ * @param {Object} user - Requesting user
+ * @param {Object} [call] - { provider, model } about to be called
+ * @returns {Promise<Object>} - { allowed, month, budgets, warnings }; allowed is false when a blocking budget is used up
+ */
+const checkBudgets = async (user, call) => {
+  const month = toMonth();
+  if (!user) return { allowed: true, month, budgets: [], warnings: [] };
+
+  const scopes = [{ scope: 'user', user: user._id }];
+  if (user.organization) scopes.push({ scope: 'organization', organization: user.organization });
+
+  const budgets = await OcrBudget.find({ $or: scopes });
+  const hasCostLimit = budgets.some(budget => typeof budget.monthlyCostLimitUsd === 'number');
+  const unpriced = Boolean(call && hasCostLimit && !(await findPrice(call.provider, call.model)));
+  const warnPercent = parseFloat(process.env.OCR_BUDGET_WARN_PERCENT) || DEFAULT_WARN_PERCENT;
+  const warnings = [];
+  let allowed = true;
+
+  const statuses = await Promise.all(budgets.map(async (budget) => {
+    const spend = await getMonthlySpend(
+      budget.scope === 'user' ? { user: user._id } : { organization: budget.organization },
+      month
+    );
+    const limits = describeLimits(budget, spend);
+    const unpricedCost = unpriced && typeof budget.monthlyCostLimitUsd === 'number';
+    const exceeded = unpricedCost || limits.some(limit => limit.used >= limit.limit);
+    const label = budget.scope === 'user' ? 'Your' : `Organisation "${budget.organization}"`;
+
+    if (unpricedCost) {
+      warnings.push(`${label} monthly cost budget cannot be checked: OCR model ${call.provider}/${call.model} has no price`);
+    }
+
+    if (exceeded && budget.action === 'block') allowed = false;
+
+    limits.forEach(limit => {
+      if (limit.used >= limit.limit) {
+        warnings.push(`${label} monthly ${limit.metric === 'costUsd' ? 'cost' : 'token'} budget is used up (${formatAmount(limit.metric, limit.used)} of ${formatAmount(limit.metric, limit.limit)})`);
+      } else if (limit.percentUsed >= warnPercent) {
+        warnings.push(`${label} monthly ${limit.metric === 'costUsd' ? 'cost' : 'token'} budget is ${limit.percentUsed}% used`);
+      }
+    });
+
+    return {
+      budgetId: budget._id,
+      scope: budget.scope,
+      ...(budget.scope === 'organization' && { organization: budget.organization }),
+      action: budget.action,
+      exceeded,
+      ...(unpricedCost && { unpricedModel: `${call.provider}/${call.model}` }),
+      limits
+    };
+  }));
+
+  return { allowed, month, budgets: statuses, warnings };
+};
+
+/**
+ * Spend grouped by user, month and model
+ * @param {Object} filters - Report filters
+ * @param {string} [filters.startMonth] - First month to include ("YYYY-MM")
+ * @param {string} [filters.endMonth] - Last month to include ("YYYY-MM")
+ * @param {string} [filters.userId] - Only this user
+ * @param {string} [filters.organization] - Only this organisation
+ * @param {string} [filters.model] - Only this model
+ * @returns {Promise<Object>} - { rows, totals }
+ */
+const getSpendReport = async ({ startMonth, endMonth, userId, organization, model } = {}) => {
+  const match = {};
+
+  if (userId) match.user = new mongoose.Types.ObjectId(userId);
+  if (organization) match.organization = organization;
+  if (model) match.model = model;
+  if (startMonth || endMonth) {
+    match.month = {};
+    if (startMonth) match.month.$gte = startMonth;
+    if (endMonth) match.month.$lte = endMonth;
+  }
+
+  const totalsGroup = {
+    calls: { $sum: 1 },
+    promptTokens: { $sum: '$promptTokens' },
+    outputTokens: { $sum: '$outputTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    costUsd: { $sum: '$costUsd' },
+    // Calls recorded at zero cost because their model had no price
+    unpricedCalls: { $sum: { $cond: [{ $eq: ['$priced', false] }, 1, 0] } }
+  };
+
+  const [result] = await OcrLedgerEntry.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        rows: [
+          {
+            $group: {
+              _id: { user: '$user', month: '$month', model: '$model' },
+              organization: { $last: '$organization' },
+              ...totalsGroup
+            }
+          },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id.user',
+              foreignField: '_id',
+              as: 'userInfo'
+            }
+          },
+          {
+            $project: {
+              _id: 0,
+              userId: '$_id.user',
+              email: { $arrayElemAt: ['$userInfo.email', 0] },
+              displayName: { $arrayElemAt: ['$userInfo.displayName', 0] },
+              organization: 1,
+              month: '$_id.month',
+              model: '$_id.model',
+              calls: 1,
+              promptTokens: 1,
+              outputTokens: 1,
+              totalTokens: 1,
+              costUsd: 1,
+              unpricedCalls: 1
+            }
+          },
+          { $sort: { month: -1, costUsd: -1 } }
+        ],
+        totals: [
+          { $group: { _id: null, ...totalsGroup } },
+          { $project: { _id: 0 } }
+        ]
+      }
+    }
+  ]);
+
+  return {
+    rows: result.rows,
+    totals: result.totals[0] || { calls: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedCalls: 0 }
+  };
+};
+
+/**
+ * Create or replace the budget of a user or an organisation
+ * @param {Object} params - Budget details
+ * @param {string} [params.userId] - User the budget applies to
+ * @param {string} [params.organization] - Organisation the budget applies to
+ * @param {number} [params.monthlyTokenLimit] - Token limit per month
+ * @param {number} [params.monthlyCostLimitUsd] - Cost limit per month in USD
+ * @param {string} [params.action] - "block" or "warn"
+ * @param {Object} [params.updatedBy] - Admin setting the budget
+ * @returns {Promise<Object>} - Saved budget
+ */
+const setBudget = async ({ userId, organization, monthlyTokenLimit, monthlyCostLimitUsd, action, updatedBy }) => {
+  const filter = userId
+    ? { scope: 'user', user: userId }
+    : { scope: 'organization', organization };
+
+  const limits = { monthlyTokenLimit, monthlyCostLimitUsd };
+  const $set = { ...filter, action: action || 'block' };
+  const $unset = {};
+
+  // A limit left out of the request is removed rather than kept from the old budget
+  Object.entries(limits).forEach(([field, value]) => {
+    if (value === undefined || value === null) {
+      $unset[field] = '';
+    } else {
+      $set[field] = value;
+    }
+  });
+  if (updatedBy) $set.updatedBy = updatedBy._id;
+
+  return OcrBudget.findOneAndUpdate(
+    filter,
+    { $set, ...(Object.keys($unset).length > 0 && { $unset }) },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = {
+  toMonth,
+  isValidMonth,
+  recordSpend,
+  checkBudgets,
+  getSpendReport,
+  setBudget
+};
@@ -0,0 +1,102 @@
+const PRODUCTS_ARRAY_REGEX = /"products"\s*:\s*\[/;
+
+/**
+ * Pick complete product objects out of OCR output while it is still being generated.
+ * Text is fed in chunks; every object in the "products" array is handed to onProduct
+ * as soon as its closing brace arrives. Lines are provisional: they have not been
+ * repaired or validated yet, so the final result can still differ.
+ * @param {Function} onProduct - (product, index) => void
+ * @returns {Object} - { push(text), reset() }
+ */
+const createProductStream = (onProduct) => {
+  // Products already handed out; a restarted response (retry, final pass) only adds new ones
+  let emitted = 0;
+  let buffer;
+  let position;
+  let depth;
+  let inString;
+  let escaped;
+  let objectStart;
+  let index;
+  let finished;
+
+  const reset = () => {
+    buffer = '';
+    position = -1;
+    depth = 0;
+    inString = false;
+    escaped = false;
+    objectStart = -1;
+    index = 0;
+    finished = false;
+  };
+
+  const emit = (text) => {
+    let product;
+    try {
+      product = JSON.parse(text);
+    } catch (error) {
+      // Left to the repair pass of the final parse
+      index++;
+      return;
+    }
+
+    if (index >= emitted && product && typeof product === 'object') {
+      onProduct(product, index);
+      emitted = index + 1;
+    }
+    index++;
+  };
+
+  const scan = () => {
+    for (; position < buffer.length && !finished; position++) {
+      const char = buffer[position];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        if (depth === 0 && char === '{') objectStart = position;
+        depth++;
+      } else if (char === '}' || char === ']') {
+        if (depth === 0) {
+          // End of the products array
+          finished = true;
+          break;
+        }
+        depth--;
+        if (depth === 0 && char === '}') {
+          emit(buffer.slice(objectStart, position + 1));
+          objectStart = -1;
+        }
+      }
+    }
+  };
+
+  const push = (text) => {
+    if (!text || finished) return;
+    buffer += text;
+
+    if (position < 0) {
+      const match = PRODUCTS_ARRAY_REGEX.exec(buffer);
+      if (!match) return;
+      position = match.index + match[0].length;
+    }
+
+    scan();
+  };
+
+  reset();
+
+  return { push, reset };
+};
+
+module.exports = {
+  createProductStream
+};
@@ -0,0 +1,388 @@
+const Ajv = require('ajv');
+const { parseQuantity } = require('./quantityService');
+
+// Model certainty for a line, from 0 to 1
+const CONFIDENCE_SCHEMA = { type: 'number', minimum: 0, maximum: 1 };
+
+// Bounding box on the source image: [ymin, xmin, ymax, xmax] on a 0-1000 scale
+const BOX_SCHEMA = {
+  type: 'array',
+  minItems: 4,
+  maxItems: 4,
+  items: { type: 'number', minimum: 0, maximum: 1000 }
+};
+
+/**
+ * JSON Schema for the products object returned by the OCR prompt
+ */
+const OCR_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: ['products'],
+  properties: {
+    products: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['item_number', 'product_name', 'total_quantity', 'sub_quantities'],
+        properties: {
+          item_number: { type: 'integer', minimum: 1 },
+          product_name: { type: 'string', minLength: 1 },
+          // Latin transliteration of a name written in another script, e.g. Devanagari
+          product_name_latin: { type: 'string' },
+          // Empty when the slip shows no total
+          total_quantity: { type: 'string', format: 'quantity' },
+          confidence: CONFIDENCE_SCHEMA,
+          box_2d: BOX_SCHEMA,
+          sub_quantities: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['quantity'],
+              properties: {
+                color: { type: 'string' },
+                quantity: { type: 'string', minLength: 1, format: 'quantity' },
+                confidence: CONFIDENCE_SCHEMA,
+                box_2d: BOX_SCHEMA
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+
+// A quantity the quantity parser can read, in digits or in words ("2 dozen", "dedh kilo"), or empty
+ajv.addFormat('quantity', (value) => value === '' || parseQuantity(value).value !== null);
+
+// Compiled validators, keyed by the serialized schema
+const compiledSchemas = new Map();
+
+/**
+ * Compile an output schema, reusing an earlier compilation of the same schema
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} - Ajv validate function
+ */
+const compileSchema = (schema) => {
+  const key = JSON.stringify(schema);
+  if (!compiledSchemas.has(key)) {
+    compiledSchemas.set(key, ajv.compile(schema));
+  }
+  return compiledSchemas.get(key);
+};
+
+/**
+ * Validate parsed OCR output against a schema
+ * @param {*} data - Parsed OCR output
+ * @param {Object} [schema] - Output schema of the prompt template (defaults to the item list schema)
+ * @returns {Object} - { valid, errors: [{ field, message, productIndex }] }
+ */
+const validateOCRData = (data, schema = OCR_OUTPUT_SCHEMA) => {
+  const validateSchema = compileSchema(schema);
+  const valid = validateSchema(data);
+  if (valid) return { valid: true, errors: [] };
+
+  const errors = validateSchema.errors.map(error => {
+    // Point "required" errors at the missing field itself
+    const field = error.keyword === 'required'
+      ? `${error.instancePath}/${error.params.missingProperty}`
+      : error.instancePath || '/';
+    const productMatch = field.match(/^\/products\/(\d+)/);
+
+    return {
+      field,
+      message: error.keyword === 'format' && error.params.format === 'quantity'
+        ? 'must be a quantity, in digits or words'
+        : error.message,
+      productIndex: productMatch ? parseInt(productMatch[1], 10) : null
+    };
+  });
+
+  return { valid: false, errors };
+};
+
+/**
+ * Cut a JSON document that was cut off mid-way back to its last complete element and
+ * close what is still open. The cut is made in the outermost open array (the products
+ * list), so a half-written product is dropped rather than kept with the fields it got to;
+ * without an open array, the last complete member of the outermost object is kept.
+ * @param {string} text - Truncated JSON
+ * @returns {Object|null} - { json, dropped } where dropped is the text left out, or null
+ *   when nothing is open
+ */
+const closeAtLastCompleteElement = (text) => {
+  // Open containers, each with the end of its last complete child
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (escaped) {
+      escaped = false;
+    } else if (char === '\\') {
+      escaped = inString;
+    } else if (char === '"') {
+      inString = !inString;
+    } else if (inString) {
+      continue;
+    } else if (char === '{' || char === '[') {
+      stack.push({ close: char === '{' ? '}' : ']', end: index + 1 });
+    } else if (char === '}' || char === ']') {
+      stack.pop();
+      if (stack.length > 0) stack[stack.length - 1].end = index + 1;
+    } else if (char === ',' && stack.length > 0) {
+      stack[stack.length - 1].end = index;
+    }
+  }
+
+  if (stack.length === 0) return null;
+
+  const arrayIndex = stack.findIndex(container => container.close === ']');
+  const cutAt = arrayIndex === -1 ? 0 : arrayIndex;
+  const { end } = stack[cutAt];
+  const closing = stack.slice(0, cutAt + 1).map(container => container.close).reverse().join('');
+
+  return { json: text.slice(0, end) + closing, dropped: text.slice(end).replace(/^[\s,]+/, '').trimEnd() };
+};
+
+/**
+ * Recover a truncated JSON document (see closeAtLastCompleteElement)
+ * @param {string} text - Truncated JSON
+ * @returns {Object|undefined} - { data, dropped }, or undefined if nothing could be recovered
+ */
+const parseTruncatedJSON = (text) => {
+  const closed = closeAtLastCompleteElement(text);
+  if (!closed) return undefined;
+
+  const data = tryParseJSON(closed.json);
+  return data === undefined ? undefined : { data, dropped: closed.dropped };
+};
+
+/**
+ * JSON.parse that returns undefined instead of throwing
+ * @param {string} text - JSON text
+ * @returns {*}
+ */
+const tryParseJSON = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Repair common problems in raw model output so it can be parsed as JSON:
+ * markdown code fences, surrounding prose, trailing commas and truncation
+ * @param {string} text - Raw model output
+ * @returns {Object} - { data, repairs } where data is undefined if repair failed
+ */
+const repairJSONText = (text) => {
+  const repairs = [];
+  let candidate = String(text || '').trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+    repairs.push('Removed markdown code fences');
+  }
+
+  const start = candidate.search(/[{[]/);
+  if (start > 0) {
+    candidate = candidate.slice(start);
+    repairs.push('Removed text before the JSON');
+  }
+
+  let data = tryParseJSON(candidate);
+  if (data !== undefined) return { data, repairs };
+
+  const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+  if (end > 0 && end < candidate.length - 1) {
+    data = tryParseJSON(candidate.slice(0, end + 1));
+    if (data !== undefined) {
+      repairs.push('Removed text after the JSON');
+      return { data, repairs };
+    }
+  }
+
+  const withoutTrailingCommas = candidate.replace(/,(\s*[}\]])/g, '$1');
+  if (withoutTrailingCommas !== candidate) {
+    candidate = withoutTrailingCommas;
+    repairs.push('Removed trailing commas');
+
+    data = tryParseJSON(candidate);
+    if (data !== undefined) return { data, repairs };
+  }
+
+  const truncated = parseTruncatedJSON(candidate);
+  if (truncated) {
+    repairs.push(truncated.dropped
+      ? 'Closed truncated JSON after its last complete element and dropped the incomplete element that followed'
+      : 'Closed truncated JSON');
+    return { data: truncated.data, repairs };
+  }
+
+  return { data: undefined, repairs };
+};
+
+/**
+ * Coerce a quantity to the string form the schema expects
+ * @param {*} value - Quantity as returned by the model
+ * @returns {*}
+ */
+const toQuantityString = (value) => (typeof value === 'number' ? String(value) : value);
+
+/**
+ * Repair confidence and bounding box fields of a product or sub-quantity in place
+ * @param {Object} entry - Product or sub-quantity copy
+ * @param {string} path - JSON pointer of the entry, used in repair messages
+ * @param {Array<string>} repairs - Repair log
+ */
+const repairConfidenceAndBox = (entry, path, repairs) => {
+  if (typeof entry.confidence === 'string' && entry.confidence.trim() !== '' && !Number.isNaN(Number(entry.confidence))) {
+    entry.confidence = Number(entry.confidence);
+    repairs.push(`${path}/confidence: converted string to number`);
+  }
+  if (typeof entry.confidence === 'number' && entry.confidence > 1 && entry.confidence <= 100) {
+    entry.confidence = entry.confidence / 100;
+    repairs.push(`${path}/confidence: converted percentage to a 0-1 score`);
+  }
+  if (entry.confidence !== undefined && (typeof entry.confidence !== 'number' || entry.confidence < 0 || entry.confidence > 1)) {
+    delete entry.confidence;
+    repairs.push(`${path}/confidence: removed invalid value`);
+  }
+
+  if (entry.box_2d !== undefined) {
+    const box = entry.box_2d;
+    const validBox = Array.isArray(box) && box.length === 4 &&
+      box.every(value => typeof value === 'number' && value >= 0 && value <= 1000);
+    if (!validBox) {
+      delete entry.box_2d;
+      repairs.push(`${path}/box_2d: removed invalid bounding box`);
+    }
+  }
+};
+
+/**
+ * Fix common shape problems in parsed OCR output: a bare products array,
+ * string item numbers, numeric quantities, missing or malformed sub-quantities and numeric header values
+ * @param {*} data - Parsed OCR output
+ * @returns {Object} - { data, repairs }
+ */
+const repairOCRData = (data) => {
+  const repairs = [];
+  let repaired = data;
+
+  if (Array.isArray(repaired)) {
+    repaired = { products: repaired };
+    repairs.push('Wrapped a bare array in a products object');
+  }
+
+  if (!repaired || typeof repaired !== 'object') {
+    return { data: repaired, repairs };
+  }
+
+  if (!Array.isArray(repaired.products)) {
+    if (Array.isArray(repaired.items)) {
+      const { items, ...rest } = repaired;
+      repaired = { ...rest, products: items };
+      repairs.push('Renamed "items" to "products"');
+    } else if (repaired.products === null) {
+      // Left behind when truncation cut the list off before its first entry
+      repaired = { ...repaired, products: [] };
+      repairs.push('Replaced null products with an empty list');
+    } else {
+      return { data: repaired, repairs };
+    }
+  }
+
+  const products = repaired.products.map((product, index) => {
+    if (!product || typeof product !== 'object') return product;
+
+    const fixed = { ...product };
+    const path = `/products/${index}`;
+
+    if (typeof fixed.item_number === 'string' && /^\s*\d+\s*$/.test(fixed.item_number)) {
+      fixed.item_number = parseInt(fixed.item_number, 10);
+      repairs.push(`${path}/item_number: converted string to number`);
+    } else if (!Number.isInteger(fixed.item_number) || fixed.item_number < 1) {
+      fixed.item_number = index + 1;
+      repairs.push(`${path}/item_number: replaced missing or invalid value with ${index + 1}`);
+    }
+
+    if (typeof fixed.product_name === 'string' && fixed.product_name !== fixed.product_name.trim()) {
+      fixed.product_name = fixed.product_name.trim();
+      repairs.push(`${path}/product_name: trimmed whitespace`);
+    } else if (fixed.product_name === undefined && typeof fixed.name === 'string') {
+      fixed.product_name = fixed.name.trim();
+      delete fixed.name;
+      repairs.push(`${path}/product_name: taken from "name"`);
+    }
+
+    if (typeof fixed.total_quantity === 'number') {
+      fixed.total_quantity = toQuantityString(fixed.total_quantity);
+      repairs.push(`${path}/total_quantity: converted number to string`);
+    } else if (fixed.total_quantity === null || fixed.total_quantity === undefined) {
+      fixed.total_quantity = '';
+      repairs.push(`${path}/total_quantity: replaced missing value with an empty string`);
+    }
+
+    if (fixed.sub_quantities === null || fixed.sub_quantities === undefined) {
+      fixed.sub_quantities = [];
+      repairs.push(`${path}/sub_quantities: replaced missing value with an empty list`);
+    } else if (!Array.isArray(fixed.sub_quantities) && typeof fixed.sub_quantities === 'object') {
+      fixed.sub_quantities = [fixed.sub_quantities];
+      repairs.push(`${path}/sub_quantities: wrapped single entry in a list`);
+    }
+
+    repairConfidenceAndBox(fixed, path, repairs);
+
+    if (Array.isArray(fixed.sub_quantities)) {
+      fixed.sub_quantities = fixed.sub_quantities.map((sub, subIndex) => {
+        if (!sub || typeof sub !== 'object') return sub;
+        const subPath = `${path}/sub_quantities/${subIndex}`;
+        const fixedSub = { ...sub };
+
+        if (typeof fixedSub.quantity === 'number') {
+          fixedSub.quantity = toQuantityString(fixedSub.quantity);
+          repairs.push(`${subPath}/quantity: converted number to string`);
+        }
+        if (fixedSub.color === null) {
+          delete fixedSub.color;
+          repairs.push(`${subPath}/color: removed null value`);
+        }
+        repairConfidenceAndBox(fixedSub, subPath, repairs);
+
+        return fixedSub;
+      });
+    }
+
+    return fixed;
+  });
+
+  const fixedData = { ...repaired, products };
+
+  // Header values such as phone or invoice numbers are often returned as numbers
+  if (repaired.document && typeof repaired.document === 'object' && !Array.isArray(repaired.document)) {
+    fixedData.document = { ...repaired.document };
+    Object.entries(fixedData.document).forEach(([key, value]) => {
+      if (typeof value === 'number') {
+        fixedData.document[key] = String(value);
+        repairs.push(`/document/${key}: converted number to string`);
+      }
+    });
+  }
+
+  return { data: fixedData, repairs };
+};
+
+module.exports = {
+  OCR_OUTPUT_SCHEMA,
+  compileSchema,
+  validateOCRData,
+  repairJSONText,
+  repairOCRData
+};
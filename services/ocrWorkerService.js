@@ -0,0 +1,219 @@
+const OcrJob = require('../models/OcrJob');
+const { processDocument } = require('./ocrService');
+const { completeOCRJob, toJobStatus } = require('./ocrJobService');
+const { resolvePromptTemplate } = require('./promptTemplateService');
+const { sendCallback, signCallback, getCallbackSecret } = require('./ocrCallbackService');
+require('dotenv').config();
+
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const DEFAULT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_CONCURRENCY = 1;
+const MAX_QUEUE_ATTEMPTS = 3;
+const CALLBACK_MAX_ATTEMPTS = 3;
+const CALLBACK_TIMEOUT_MS = 10000;
+
+let pollTimer = null;
+let activeJobs = 0;
+let draining = false;
+
+const getPollInterval = () => parseInt(process.env.OCR_WORKER_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+const getLockTimeout = () => parseInt(process.env.OCR_WORKER_LOCK_TIMEOUT_MS, 10) || DEFAULT_LOCK_TIMEOUT_MS;
+const getConcurrency = () => parseInt(process.env.OCR_WORKER_CONCURRENCY, 10) || DEFAULT_CONCURRENCY;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Atomically claim the oldest queued job.
+ * Jobs left in "processing" by a crashed instance are picked up again once their lock expires;
+ * running jobs renew their lock, so only jobs whose worker stopped go stale.
+ * @returns {Promise<Object|null>} - Claimed job with its input file, or null if the queue is empty
+ */
+const claimNextJob = async () => {
+  const staleBefore = new Date(Date.now() - getLockTimeout());
+
+  return OcrJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'processing', lockedAt: { $lt: staleBefore } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: new Date() },
+      $inc: { queueAttempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  ).select('+input.data');
+};
+
+/**
+ * POST the job result to its callback URL, signed and retrying with backoff.
+ * The host is checked again before every attempt, since its DNS records may have changed,
+ * and the request connects to the addresses that were checked.
+ * @param {Object} job - Finished OcrJob document
+ */
+const deliverCallback = async (job) => {
+  const payload = JSON.stringify(toJobStatus(job));
+
+  for (let attempt = 1; attempt <= CALLBACK_MAX_ATTEMPTS; attempt++) {
+    job.callback.attempts = attempt;
+
+    try {
+      if (!getCallbackSecret()) {
+        throw new Error('OCR_CALLBACK_SECRET is not set');
+      }
+      const status = await sendCallback(job.callback.url, payload, {
+        headers: signCallback(payload),
+        timeoutMs: CALLBACK_TIMEOUT_MS
+      });
+
+      if (status < 200 || status >= 300) {
+        throw new Error(`Callback responded with status ${status}`);
+      }
+
+      job.callback.status = 'delivered';
+      job.callback.deliveredAt = new Date();
+      job.callback.lastError = undefined;
+      break;
+    } catch (error) {
+      job.callback.status = 'failed';
+      job.callback.lastError = error.message;
+      if (attempt < CALLBACK_MAX_ATTEMPTS) {
+        await sleep(1000 * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  await job.save();
+};
+
+/**
+ * Keep a claimed job's lock fresh while it runs, so other workers do not take it for
+ * abandoned however long the provider retries take. The claim's attempt number makes sure
+ * only this worker's claim is renewed.
+ * @param {Object} job - Claimed OcrJob document
+ * @returns {Function} - Stops renewing
+ */
+const renewLock = (job) => {
+  const timer = setInterval(() => {
+    OcrJob.updateOne(
+      { _id: job._id, status: 'processing', queueAttempts: job.queueAttempts },
+      { $set: { lockedAt: new Date() } }
+    ).catch(error => console.error(`OCR worker lock renewal error for job ${job._id}:`, error));
+  }, Math.max(1000, Math.floor(getLockTimeout() / 3)));
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+/**
+ * Run OCR for a claimed job and store the result
+ * @param {Object} job - Claimed OcrJob document
+ */
+const processJob = async (job) => {
+  const startedAt = new Date();
+  const stopRenewing = renewLock(job);
+
+  try {
+    if (job.queueAttempts > MAX_QUEUE_ATTEMPTS) {
+      throw new Error(`Job abandoned after ${MAX_QUEUE_ATTEMPTS} processing attempts`);
+    }
+    if (!job.input || !job.input.data) {
+      throw new Error('Job input file is missing');
+    }
+
+    const options = job.options || {};
+    const template = await resolvePromptTemplate(options.documentType, options.templateVersion);
+    if (!template) {
+      throw new Error(`Prompt template ${options.documentType} version ${options.templateVersion} no longer exists`);
+    }
+
+    const run = await processDocument(job.input.data, job.file.mimeType, {
+      provider: job.provider,
+      preprocess: options.preprocess,
+      template
+    });
+    await completeOCRJob(job, { ...run, template, startedAt });
+  } catch (error) {
+    console.error(`OCR worker error for job ${job._id}:`, error);
+    job.set({
+      status: 'failed',
+      error: error.message,
+      startedAt,
+      completedAt: new Date(),
+      processingTimeMs: Date.now() - startedAt.getTime(),
+      input: undefined,
+      lockedAt: undefined
+    });
+    await job.save();
+  } finally {
+    stopRenewing();
+  }
+
+  if (job.callback && job.callback.url) {
+    await deliverCallback(job);
+  }
+};
+
+/**
+ * Claim and process jobs until the queue is empty or the concurrency limit is reached
+ */
+const drainQueue = async () => {
+  // Only one loop claims at a time so the concurrency limit holds
+  if (draining) return;
+  draining = true;
+
+  try {
+    while (activeJobs < getConcurrency()) {
+      const job = await claimNextJob();
+      if (!job) return;
+
+      activeJobs++;
+      processJob(job)
+        .catch(error => console.error('OCR worker job failure:', error))
+        .finally(() => {
+          activeJobs--;
+          notifyOCRWorker();
+        });
+    }
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Start polling the queue in this process
+ */
+const startOCRWorker = () => {
+  if (pollTimer || process.env.OCR_WORKER_ENABLED === 'false') return;
+
+  pollTimer = setInterval(() => {
+    drainQueue().catch(error => console.error('OCR worker polling error:', error));
+  }, getPollInterval());
+
+  console.log('🛠️  OCR background worker started');
+};
+
+/**
+ * Stop polling the queue; jobs already running are left to finish
+ */
+const stopOCRWorker = () => {
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+};
+
+/**
+ * Check the queue straight away instead of waiting for the next poll
+ */
+const notifyOCRWorker = () => {
+  if (!pollTimer) return;
+  drainQueue().catch(error => console.error('OCR worker polling error:', error));
+};
+
+module.exports = {
+  startOCRWorker,
+  stopOCRWorker,
+  notifyOCRWorker
+};
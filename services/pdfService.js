@@ -0,0 +1,36 @@
+const { PDFDocument } = require('pdf-lib');
+require('dotenv').config();
+
+const DEFAULT_MAX_PAGES = 20;
+
+/**
+ * Split a PDF into single-page PDF documents
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @returns {Promise<Array<Buffer>>} - One buffer per page, in page order
+ */
+const splitPdfPages = async (pdfBuffer) => {
+  const source = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true });
+  const pageCount = source.getPageCount();
+  const maxPages = parseInt(process.env.OCR_MAX_PDF_PAGES, 10) || DEFAULT_MAX_PAGES;
+
+  if (pageCount === 0) {
+    throw new Error('PDF has no pages');
+  }
+  if (pageCount > maxPages) {
+    throw new Error(`PDF has ${pageCount} pages; the maximum is ${maxPages}`);
+  }
+
+  const pages = [];
+  for (let index = 0; index < pageCount; index++) {
+    const pageDoc = await PDFDocument.create();
+    const [page] = await pageDoc.copyPages(source, [index]);
+    pageDoc.addPage(page);
+    pages.push(Buffer.from(await pageDoc.save()));
+  }
+
+  return pages;
+};
+
+module.exports = {
+  splitPdfPages
+};
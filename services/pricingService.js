@@ -0,0 +1,101 @@
+const ModelPrice = require('../models/ModelPrice');
+
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+/**
+ * Prices used when the pricing table has no entry for a call.
+ * "*" matches every model of a provider; local engines cost nothing.
+ */
+const BUILTIN_PRICES = [
+  // Gemini 2.0 Flash pricing (as of 2024)
+  { provider: 'gemini', model: 'gemini-2.0-flash', inputPricePer1M: 0.075, outputPricePer1M: 0.30 },
+  { provider: 'tesseract', model: '*', inputPricePer1M: 0, outputPricePer1M: 0 },
+  { provider: 'fixture', model: '*', inputPricePer1M: 0, outputPricePer1M: 0 }
+].map(price => ({ ...price, effectiveFrom: new Date(0), builtIn: true }));
+
+/**
+ * Calculate cost estimate based on token usage and a price
+ * @param {Object} usageMetadata - Token usage metadata
+ * @param {Object|null} price - { inputPricePer1M, outputPricePer1M }; null when the model has no price
+ * @returns {Object} - Cost analysis
+ */
+const calculateCostEstimate = (usageMetadata, price) => {
+  if (!usageMetadata) return null;
+
+  const promptTokens = usageMetadata.promptTokenCount || 0;
+  const completionTokens = usageMetadata.candidatesTokenCount || 0;
+  const totalTokens = usageMetadata.totalTokenCount || 0;
+
+  const inputPricePer1M = price ? price.inputPricePer1M : 0;
+  const outputPricePer1M = price ? price.outputPricePer1M : 0;
+
+  const inputCost = (promptTokens / TOKENS_PER_PRICE_UNIT) * inputPricePer1M;
+  const outputCost = (completionTokens / TOKENS_PER_PRICE_UNIT) * outputPricePer1M;
+
+  return {
+    input_tokens: promptTokens,
+    output_tokens: completionTokens,
+    total_tokens: totalTokens,
+    input_cost_usd: inputCost,
+    output_cost_usd: outputCost,
+    total_cost_usd: inputCost + outputCost,
+    input_price_per_1m: inputPricePer1M,
+    output_price_per_1m: outputPricePer1M,
+    priced: Boolean(price)
+  };
+};
+
+/**
+ * Price of a model at a point in time: the latest entry of the pricing table
+ * that took effect before the call, then the built-in price
+ * @param {string} provider - Provider name
+ * @param {string} model - Model name
+ * @param {Date} [at] - When the call was made (defaults to now)
+ * @returns {Promise<Object|null>} - Price, or null if the model has none
+ */
+const findPrice = async (provider, model, at = new Date()) => {
+  const stored = await ModelPrice.findOne({ provider, model, effectiveFrom: { $lte: at } })
+    .sort({ effectiveFrom: -1 })
+    .lean();
+  if (stored) return stored;
+
+  return BUILTIN_PRICES.find(price => price.provider === provider && price.model === model) ||
+    BUILTIN_PRICES.find(price => price.provider === provider && price.model === '*') ||
+    null;
+};
+
+/**
+ * Cost of an OCR call at the price in effect when it was made.
+ * The cost is stored with the call and never recalculated, so later price changes
+ * leave recorded spend as it was.
+ * @param {Object} usageMetadata - Token usage metadata
+ * @param {Object} call - { provider, model, at }
+ * @returns {Promise<Object|null>} - Cost analysis (see calculateCostEstimate)
+ */
+const estimateCost = async (usageMetadata, { provider, model, at } = {}) => {
+  if (!usageMetadata) return null;
+
+  const price = await findPrice(provider, model, at);
+  if (!price) {
+    console.error(`No price configured for OCR model ${provider}/${model}; cost recorded as 0 with priced: false`);
+  }
+
+  return calculateCostEstimate(usageMetadata, price);
+};
+
+/**
+ * Stored prices followed by the built-in ones, newest first per model
+ * @returns {Promise<Array<Object>>}
+ */
+const listPrices = async () => {
+  const stored = await ModelPrice.find().sort({ provider: 1, model: 1, effectiveFrom: -1 }).lean();
+  return [...stored.map(price => ({ ...price, builtIn: false })), ...BUILTIN_PRICES];
+};
+
+module.exports = {
+  BUILTIN_PRICES,
+  calculateCostEstimate,
+  estimateCost,
+  findPrice,
+  listPrices
+};
@@ -0,0 +1,173 @@
+const ProductAlias = require('../models/ProductAlias');
+const Product = require('../models/Product');
+const { normalizeName, getSearchNames } = require('./transliterationService');
+require('dotenv').config();
+
+const DEFAULT_REPOINT_CONFIRMATIONS = 3;
+
+/**
+ * Users who must pick another product before an alias learned from users moves to it
+ * @returns {number}
+ */
+const getRepointConfirmations = () => {
+  const confirmations = parseInt(process.env.PRODUCT_ALIAS_REPOINT_CONFIRMATIONS, 10);
+  return Number.isNaN(confirmations) || confirmations < 1 ? DEFAULT_REPOINT_CONFIRMATIONS : confirmations;
+};
+
+/**
+ * Key an extracted text is stored and looked up under: lower-case, numbers joined to
+ * their units, punctuation other than ". / -" dropped ("SS Screw, 1 inch" -> "ss screw 1inch")
+ * @param {string} text - Product text as extracted
+ * @returns {string}
+ */
+const normalizeAliasText = (text) => normalizeName(
+  String(text || '').replace(/[^\p{L}\p{M}\p{N}./\s-]/gu, ' ')
+);
+
+/**
+ * Whether a user is among those who confirmed a pairing
+ * @param {Array<ObjectId>} [confirmedBy] - Users who confirmed it
+ * @param {Object} [user] - User
+ * @returns {boolean}
+ */
+const hasConfirmed = (confirmedBy, user) => Boolean(user) && (confirmedBy || []).some(id => id.equals(user._id));
+
+/**
+ * Remember that an extracted text means a catalogue product.
+ * Each user confirms a pairing once. Admins move an alias to another product at once;
+ * otherwise picks of another product are counted per user as a challenger, and the alias
+ * moves only once at least PRODUCT_ALIAS_REPOINT_CONFIRMATIONS users, and more users than
+ * confirmed the current product, agree on it.
+ * @param {Object} params - Alias details
+ * @param {string} params.text - Product text as extracted
+ * @param {string} params.productId - Catalogue product the text means
+ * @param {string} params.source - "suggestion", "quotation" or "admin"
+ * @param {Object} [params.user] - User who confirmed it
+ * @returns {Promise<Object|null>} - Saved alias, or null when the text is empty, the product
+ *   does not exist or the text is already the product's own name
+ */
+const learnAlias = async ({ text, productId, source, user }) => {
+  const alias = normalizeAliasText(text);
+  if (!alias) return null;
+
+  const product = await Product.findById(productId).select('name');
+  if (!product || normalizeAliasText(product.name) === alias) return null;
+
+  const now = new Date();
+  const existing = await ProductAlias.findOne({ alias });
+
+  if (existing) {
+    let { confirmations, confirmedBy } = existing;
+
+    if (existing.product.equals(product._id)) {
+      if (user && !hasConfirmed(confirmedBy, user)) {
+        confirmations += 1;
+        confirmedBy = [...confirmedBy, user._id];
+      }
+    } else if (source === 'admin') {
+      confirmations = 1;
+      confirmedBy = user ? [user._id] : [];
+    } else {
+      const current = existing.challenger && existing.challenger.product && existing.challenger.product.equals(product._id)
+        ? existing.challenger
+        : { confirmations: 0, confirmedBy: [] };
+      if (!user || hasConfirmed(current.confirmedBy, user)) return existing;
+
+      const challenger = {
+        product: product._id,
+        confirmations: current.confirmations + 1,
+        confirmedBy: [...current.confirmedBy, user._id]
+      };
+      // The pairing users confirmed before stands until more users disagree with it
+      if (challenger.confirmations < getRepointConfirmations() || challenger.confirmations <= existing.confirmations) {
+        existing.set('challenger', challenger);
+        return existing.save();
+      }
+      ({ confirmations, confirmedBy } = challenger);
+    }
+
+    existing.set({
+      text: String(text).trim(),
+      product: product._id,
+      source,
+      confirmations,
+      confirmedBy,
+      challenger: undefined,
+      lastConfirmedBy: user ? user._id : undefined,
+      lastConfirmedAt: now
+    });
+    return existing.save();
+  }
+
+  return ProductAlias.create({
+    alias,
+    text: String(text).trim(),
+    product: product._id,
+    source,
+    confirmedBy: user ? [user._id] : [],
+    createdBy: user ? user._id : undefined,
+    lastConfirmedBy: user ? user._id : undefined,
+    lastConfirmedAt: now
+  });
+};
+
+/**
+ * Learn several text-to-product pairings, logging any that fail.
+ * A text counts once per call, however many lines repeat it.
+ * @param {Array<Object>} entries - [{ text, productId }]
+ * @param {Object} options - { source, user }
+ * @returns {Promise<number>} - Aliases saved
+ */
+const learnAliases = async (entries, { source, user }) => {
+  let learned = 0;
+  const seen = new Set();
+
+  for (const { text, productId } of entries) {
+    const alias = normalizeAliasText(text);
+    if (seen.has(alias)) continue;
+    seen.add(alias);
+
+    try {
+      if (await learnAlias({ text, productId, source, user })) learned++;
+    } catch (error) {
+      console.error(`Error learning product alias "${text}":`, error);
+    }
+  }
+
+  return learned;
+};
+
+/**
+ * Catalogue products confirmed earlier for extracted lines, looked up by the line's
+ * name as read and its Latin forms
+ * @param {Array<Object>} lines - Extracted product lines
+ * @returns {Promise<Map<Object, Object>>} - Line -> alias document with its active product populated
+ */
+const findAliasMatches = async (lines) => {
+  const keysByLine = new Map(lines.map(line => [
+    line,
+    [...new Set(getSearchNames(line).map(({ query }) => normalizeAliasText(query)).filter(Boolean))]
+  ]));
+  const keys = [...new Set([...keysByLine.values()].flat())];
+  if (keys.length === 0) return new Map();
+
+  const aliases = await ProductAlias.find({ alias: { $in: keys } }).populate('product');
+  const byAlias = new Map(aliases
+    .filter(alias => alias.product && alias.product.isActive !== false)
+    .map(alias => [alias.alias, alias]));
+
+  const matches = new Map();
+  keysByLine.forEach((lineKeys, line) => {
+    const key = lineKeys.find(candidate => byAlias.has(candidate));
+    if (key) matches.set(line, byAlias.get(key));
+  });
+
+  return matches;
+};
+
+module.exports = {
+  normalizeAliasText,
+  learnAlias,
+  learnAliases,
+  findAliasMatches
+};
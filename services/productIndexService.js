@@ -0,0 +1,303 @@
+const Fuse = require('fuse.js');
+const Product = require('../models/Product');
+const { DEFAULT_MATCHING_SETTINGS } = require('./matchingSettingsService');
+require('dotenv').config();
+
+const DEFAULT_REFRESH_MINUTES = 60;
+const DEFAULT_CHECK_SECONDS = 10;
+
+// Removing a product scans the index, so changes to more than this share of it are rebuilt instead
+const MAX_UPDATE_SHARE = 0.1;
+
+// Searchers kept for other key weights and thresholds than the default; the least recently used goes first
+const MAX_SEARCHERS = 10;
+
+/**
+ * Search index of active products, kept in this process.
+ * Built on first use, updated in place when products change here, and checked against
+ * the database for changes made elsewhere.
+ * Each combination of match keys and threshold gets its own Fuse searcher over the same products.
+ */
+const index = {
+  products: null,
+  searchers: new Map(),
+  building: null,
+  // Products changed while a build was reading the catalogue, applied once it finishes
+  pending: [],
+  builtAt: null,
+  buildDurationMs: null,
+  // Latest product updatedAt read from the database; later changes were made elsewhere
+  syncedUpTo: null,
+  checking: null,
+  checkedAt: null,
+  externalChanges: 0,
+  builds: 0,
+  updates: 0,
+  lastUpdatedAt: null,
+  searches: 0,
+  searchDurationMs: 0
+};
+
+/**
+ * Minutes after which the index is rebuilt from the database, to pick up changes
+ * made by other processes (seed scripts, other instances). 0 turns the refresh off.
+ * @returns {number}
+ */
+const getRefreshMinutes = () => {
+  const minutes = parseFloat(process.env.PRODUCT_INDEX_REFRESH_MINUTES);
+  return Number.isNaN(minutes) || minutes < 0 ? DEFAULT_REFRESH_MINUTES : minutes;
+};
+
+/**
+ * Seconds between checks of the database for product changes made by other processes.
+ * 0 checks before every search.
+ * @returns {number}
+ */
+const getCheckSeconds = () => {
+  const seconds = parseFloat(process.env.PRODUCT_INDEX_CHECK_SECONDS);
+  return Number.isNaN(seconds) || seconds < 0 ? DEFAULT_CHECK_SECONDS : seconds;
+};
+
+/**
+ * Latest updatedAt of any product, active or not
+ * @returns {Promise<Date|null>}
+ */
+const getLatestProductUpdate = async () => {
+  const latest = await Product.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean();
+  return latest ? latest.updatedAt : null;
+};
+
+/**
+ * Whether the index is older than the refresh period
+ * @returns {boolean}
+ */
+const isStale = () => {
+  const minutes = getRefreshMinutes();
+  return minutes > 0 && index.builtAt !== null && Date.now() - index.builtAt.getTime() > minutes * 60000;
+};
+
+/**
+ * Key a searcher is cached under
+ * @param {Object} settings - { keys, threshold }
+ * @returns {string}
+ */
+const searcherKey = ({ keys, threshold }) => JSON.stringify({ keys, threshold });
+
+const DEFAULT_SEARCHER_KEY = searcherKey(DEFAULT_MATCHING_SETTINGS);
+
+/**
+ * Build a Fuse searcher over the indexed products
+ * @param {Array<Object>} products - Product documents
+ * @param {Object} settings - { keys, threshold }
+ * @returns {Fuse}
+ */
+const createSearcher = (products, { keys, threshold }) => new Fuse(products, {
+  keys: keys.map(({ name, weight }) => ({ name, weight })),
+  includeScore: true,
+  threshold
+});
+
+/**
+ * Load the active products and build a new index, replacing the current one when done.
+ * Concurrent calls share the build in progress.
+ * @returns {Promise<void>}
+ */
+const rebuildProductIndex = () => {
+  if (index.building) return index.building;
+
+  index.building = (async () => {
+    const startedAt = Date.now();
+    try {
+      // Read first, so changes made while the products load are picked up by the next check
+      const syncedUpTo = await getLatestProductUpdate();
+      const products = await Product.find({ isActive: true });
+
+      index.searchers = new Map([
+        [DEFAULT_SEARCHER_KEY, createSearcher(products, DEFAULT_MATCHING_SETTINGS)]
+      ]);
+      index.products = new Map(products.map(product => [product._id.toString(), product]));
+      index.builtAt = new Date();
+      index.syncedUpTo = syncedUpTo;
+      index.checkedAt = index.builtAt;
+      index.buildDurationMs = Date.now() - startedAt;
+      index.builds++;
+      applyUpdates(index.pending.splice(0));
+    } finally {
+      index.building = null;
+      index.pending = [];
+    }
+  })();
+
+  return index.building;
+};
+
+/**
+ * Pick up product changes made by other instances or scripts: products updated since the
+ * last read are applied in place, and a different number of active products (deleted
+ * products) rebuilds the index. Concurrent calls share the check in progress.
+ * @returns {Promise<void>}
+ */
+const checkForChanges = () => {
+  if (index.checking) return index.checking;
+
+  index.checking = (async () => {
+    try {
+      const changed = index.syncedUpTo
+        ? await Product.find({ updatedAt: { $gt: index.syncedUpTo } })
+        : await Product.find();
+      index.externalChanges += changed.length;
+
+      if (changed.length > Math.max(1, index.products.size * MAX_UPDATE_SHARE)) {
+        await rebuildProductIndex();
+      } else {
+        changed.forEach(product => {
+          if (product.updatedAt > index.syncedUpTo) index.syncedUpTo = product.updatedAt;
+        });
+        applyUpdates(changed);
+
+        const activeCount = await Product.countDocuments({ isActive: true });
+        if (activeCount !== index.products.size) await rebuildProductIndex();
+      }
+      index.checkedAt = new Date();
+    } finally {
+      index.checking = null;
+    }
+  })();
+
+  return index.checking;
+};
+
+/**
+ * Whether the database is due to be checked for changes made elsewhere
+ * @returns {boolean}
+ */
+const isCheckDue = () => index.checkedAt === null || Date.now() - index.checkedAt.getTime() >= getCheckSeconds() * 1000;
+
+/**
+ * Searcher over the product index for the given match keys and threshold, building the
+ * index if this is the first search and checking the database for changes made elsewhere
+ * when a check is due. A stale index is still served while a fresh one is built in the
+ * background.
+ * @param {Object} [settings] - { keys, threshold }; defaults to the default matching settings
+ * @returns {Promise<Fuse>}
+ */
+const getProductIndex = async (settings = DEFAULT_MATCHING_SETTINGS) => {
+  if (!index.products) {
+    await rebuildProductIndex();
+  } else if (isStale() && !index.building) {
+    rebuildProductIndex().catch(error => console.error('Error refreshing product index:', error));
+  } else if (!index.building && isCheckDue()) {
+    // Without the database the cached index is still the best there is
+    await checkForChanges().catch(error => console.error('Error checking product index for changes:', error));
+  }
+
+  const key = searcherKey(settings);
+  let searcher = index.searchers.get(key);
+  if (searcher) {
+    // Move to the back of the eviction order
+    index.searchers.delete(key);
+  } else {
+    searcher = createSearcher([...index.products.values()], settings);
+    if (index.searchers.size >= MAX_SEARCHERS) {
+      const [oldest] = [...index.searchers.keys()].filter(other => other !== DEFAULT_SEARCHER_KEY);
+      index.searchers.delete(oldest);
+    }
+  }
+  index.searchers.set(key, searcher);
+
+  return searcher;
+};
+
+/**
+ * Drop a product from the index
+ * @param {string} id - Product id
+ */
+const removeFromIndex = (id) => {
+  if (!index.products.has(id)) return;
+  index.searchers.forEach(searcher => searcher.remove(product => product._id.toString() === id));
+  index.products.delete(id);
+};
+
+/**
+ * Replace products in the index with their saved versions; inactive ones are dropped
+ * @param {Array<Object>} products - Saved product documents
+ */
+const applyUpdates = (products) => {
+  products.forEach(product => {
+    const id = product._id.toString();
+    removeFromIndex(id);
+    if (product.isActive !== false) {
+      index.searchers.forEach(searcher => searcher.add(product));
+      index.products.set(id, product);
+    }
+  });
+};
+
+/**
+ * Bring created or changed products up to date in the index. Large changes, such as a
+ * catalogue import, rebuild it. Before the first build there is nothing to update, since the build reads them anyway.
+ * @param {Array<Object>} products - Saved product documents
+ * @returns {Promise<void>}
+ */
+const updateIndexedProducts = async (products) => {
+  const saved = products.filter(Boolean);
+  if (saved.length === 0) return;
+
+  // The build in progress may have read the catalogue before these changes
+  if (index.building) index.pending.push(...saved);
+  if (!index.products) return;
+
+  try {
+    if (saved.length > Math.max(1, index.products.size * MAX_UPDATE_SHARE)) {
+      await rebuildProductIndex();
+      return;
+    }
+
+    applyUpdates(saved);
+    index.updates++;
+    index.lastUpdatedAt = new Date();
+  } catch (error) {
+    console.error('Error updating product index:', error);
+  }
+};
+
+/**
+ * Count a search against the index for the latency metrics
+ * @param {number} durationMs - Time the search took
+ */
+const recordSearch = (durationMs) => {
+  index.searches++;
+  index.searchDurationMs += durationMs;
+};
+
+/**
+ * Size, build time and use of the product index
+ * @returns {Object}
+ */
+const getProductIndexStats = () => ({
+  built: index.products !== null,
+  building: index.building !== null,
+  size: index.products ? index.products.size : 0,
+  searchers: index.searchers.size,
+  builtAt: index.builtAt,
+  buildDurationMs: index.buildDurationMs,
+  builds: index.builds,
+  incrementalUpdates: index.updates,
+  lastUpdatedAt: index.lastUpdatedAt,
+  refreshMinutes: getRefreshMinutes(),
+  stale: isStale(),
+  checkSeconds: getCheckSeconds(),
+  checkedAt: index.checkedAt,
+  externalChanges: index.externalChanges,
+  searches: index.searches,
+  averageSearchMs: index.searches > 0 ? Math.round((index.searchDurationMs / index.searches) * 100) / 100 : null
+});
+
+module.exports = {
+  createSearcher,
+  getProductIndex,
+  rebuildProductIndex,
+  updateIndexedProducts,
+  recordSearch,
+  getProductIndexStats
+};
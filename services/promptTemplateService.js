@@ -0,0 +1,396 @@
+const PromptTemplate = require('../models/PromptTemplate');
+const { OCR_OUTPUT_SCHEMA, compileSchema } = require('./ocrValidationService');
+const { getParser, listParsers } = require('./documentParserService');
+require('dotenv').config();
+
+const DEFAULT_DOCUMENT_TYPE = 'item_list';
+
+const LINE_CONFIDENCE_INSTRUCTIONS = `For every product and every sub-quantity also return:
+- 'confidence': a number from 0 to 1 saying how sure you are that the line was read correctly
+- 'box_2d': the bounding box of the line on the image as [ymin, xmin, ymax, xmax], normalized to 0-1000`;
+
+const SCRIPT_INSTRUCTIONS = `Lines may be written in Hindi (Devanagari), English or a mix of both. Keep 'product_name' in the script it is written in; do not translate it. When a product name contains any non-Latin script, also return 'product_name_latin': the name transliterated into Latin letters the way it is pronounced (for example "तार 2.5 mm" becomes "taar 2.5 mm"). Write all quantities with Western digits.`;
+
+const ITEM_LIST_PROMPT = `Extract all items and quantities from this image. Format the output as a JSON object with a 'products' array. Each object in the array should have fields for 'item_number', 'product_name', 'total_quantity', and an array named 'sub_quantities' for colors and their counts. If a product has no sub-quantities, the 'sub_quantities' array should be empty. Interpret any handwritten text and correct spelling based on context.
+Also return a 'document' object with the slip's header details: 'customer_name', 'customer_phone', 'customer_address', 'date' (YYYY-MM-DD) and 'reference' (order or reference number). Use null for anything that is not written.
+
+${LINE_CONFIDENCE_INSTRUCTIONS}
+
+${SCRIPT_INSTRUCTIONS}
+
+Example of expected output structure:
+{
+  "document": { "customer_name": "Customer name here", "customer_phone": "9876543210", "customer_address": null, "date": "2024-06-01", "reference": null },
+  "products": [
+    {
+      "item_number": 1,
+      "product_name": "Product name here",
+      "product_name_latin": "Latin transliteration, only for non-Latin names",
+      "total_quantity": "Quantity here",
+      "confidence": 0.92,
+      "box_2d": [120, 40, 160, 820],
+      "sub_quantities": [
+        { "color": "Color here", "quantity": "Quantity here", "confidence": 0.85, "box_2d": [165, 80, 200, 500] }
+      ]
+    }
+  ]
+}`;
+
+const INVOICE_PROMPT = `This image is a printed supplier tax invoice. Extract the invoice header, every line item and the totals. Format the output as a JSON object with 'document', 'products' and 'totals'.
+- 'document': 'number', 'date' (YYYY-MM-DD), 'supplier_name', 'supplier_gstin', 'buyer_name', 'buyer_gstin'
+- 'products': one object per line item with 'item_number', 'product_name', 'hsn_code', 'total_quantity' (quantity with its unit, as printed), 'rate', 'discount' (percent), 'gst_rate' (percent), 'amount' and an empty 'sub_quantities' array
+- 'totals': 'subtotal', 'discount', 'tax', 'round_off', 'grand_total'
+Write rates, amounts and totals as plain numbers without currency symbols or thousands separators. Use null for anything that is not printed.
+
+${LINE_CONFIDENCE_INSTRUCTIONS}
+
+${SCRIPT_INSTRUCTIONS}
+
+Example of expected output structure:
+{
+  "document": { "number": "INV-1024", "date": "2024-06-01", "supplier_name": "Supplier here", "supplier_gstin": "27ABCDE1234F1Z5", "buyer_name": "Buyer here", "buyer_gstin": null },
+  "products": [
+    { "item_number": 1, "product_name": "Product name here", "hsn_code": "8544", "total_quantity": "10 Roll", "rate": 1250, "discount": 5, "gst_rate": 18, "amount": 11875, "confidence": 0.95, "box_2d": [300, 40, 330, 960], "sub_quantities": [] }
+  ],
+  "totals": { "subtotal": 11875, "discount": 625, "tax": 2137.5, "round_off": 0.5, "grand_total": 14013 }
+}`;
+
+const PURCHASE_ORDER_PROMPT = `This image is a purchase order. Extract the order header, every ordered line and the totals. Format the output as a JSON object with 'document', 'products' and 'totals'.
+- 'document': 'number', 'date' (YYYY-MM-DD), 'buyer_name', 'supplier_name', 'delivery_date' (YYYY-MM-DD)
+- 'products': one object per ordered line with 'item_number', 'product_name', 'hsn_code', 'total_quantity' (quantity with its unit, as printed), 'rate', 'discount' (percent), 'gst_rate' (percent), 'amount' and an empty 'sub_quantities' array
+- 'totals': 'subtotal', 'discount', 'tax', 'grand_total'
+Write rates, amounts and totals as plain numbers without currency symbols or thousands separators. Use null for anything that is not printed.
+
+${LINE_CONFIDENCE_INSTRUCTIONS}
+
+${SCRIPT_INSTRUCTIONS}
+
+Example of expected output structure:
+{
+  "document": { "number": "PO-311", "date": "2024-06-01", "buyer_name": "Buyer here", "supplier_name": "Supplier here", "delivery_date": null },
+  "products": [
+    { "item_number": 1, "product_name": "Product name here", "hsn_code": null, "total_quantity": "20 Roll", "rate": 1180, "discount": null, "gst_rate": 18, "amount": 23600, "confidence": 0.9, "box_2d": [280, 40, 310, 960], "sub_quantities": [] }
+  ],
+  "totals": { "subtotal": 23600, "discount": null, "tax": 4248, "grand_total": 27848 }
+}`;
+
+const DELIVERY_CHALLAN_PROMPT = `This image is a delivery challan. Extract the challan header and every delivered line. Format the output as a JSON object with 'document' and 'products'.
+- 'document': 'number', 'date' (YYYY-MM-DD), 'supplier_name', 'buyer_name', 'vehicle_number', 'reference' (order or invoice number the challan refers to)
+- 'products': one object per delivered line with 'item_number', 'product_name', 'hsn_code', 'total_quantity' (quantity with its unit, as printed) and a 'sub_quantities' array for colors and their counts
+Use null for anything that is not printed.
+
+${LINE_CONFIDENCE_INSTRUCTIONS}
+
+${SCRIPT_INSTRUCTIONS}
+
+Example of expected output structure:
+{
+  "document": { "number": "DC-88", "date": "2024-06-01", "supplier_name": "Supplier here", "buyer_name": "Buyer here", "vehicle_number": null, "reference": "PO-311" },
+  "products": [
+    { "item_number": 1, "product_name": "Product name here", "hsn_code": "8544", "total_quantity": "20 Roll", "confidence": 0.93, "box_2d": [260, 40, 290, 960], "sub_quantities": [] }
+  ]
+}`;
+
+const NULLABLE_STRING = { type: ['string', 'null'] };
+const NULLABLE_NUMBER = { type: ['number', 'null'] };
+
+/**
+ * Extend the item list schema with extra product fields and top-level sections
+ * @param {Object} productProperties - Additional product properties
+ * @param {Object} sections - Additional top-level properties
+ * @returns {Object} - JSON Schema
+ */
+const extendOutputSchema = (productProperties, sections) => ({
+  ...OCR_OUTPUT_SCHEMA,
+  properties: {
+    ...sections,
+    products: {
+      ...OCR_OUTPUT_SCHEMA.properties.products,
+      items: {
+        ...OCR_OUTPUT_SCHEMA.properties.products.items,
+        properties: {
+          ...OCR_OUTPUT_SCHEMA.properties.products.items.properties,
+          ...productProperties
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Object schema whose properties are all optional and of one type
+ * @param {Array<string>} fields - Property names
+ * @param {Object} type - Schema of each property
+ * @returns {Object}
+ */
+const sectionSchema = (fields, type) => ({
+  type: 'object',
+  properties: Object.fromEntries(fields.map(field => [field, type]))
+});
+
+const PRICED_LINE_PROPERTIES = {
+  hsn_code: NULLABLE_STRING,
+  rate: NULLABLE_NUMBER,
+  discount: NULLABLE_NUMBER,
+  gst_rate: NULLABLE_NUMBER,
+  amount: NULLABLE_NUMBER
+};
+
+/**
+ * Templates shipped with the service. They are version 0 of their document type
+ * and stay in use until an admin saves a version of their own.
+ */
+const BUILTIN_TEMPLATES = {
+  item_list: {
+    name: 'Handwritten item list',
+    description: 'Handwritten order slips listing products, quantities and colour breakdowns',
+    prompt: ITEM_LIST_PROMPT,
+    outputSchema: extendOutputSchema({}, {
+      document: sectionSchema(['customer_name', 'customer_phone', 'customer_address', 'date', 'reference'], NULLABLE_STRING)
+    }),
+    parser: 'products'
+  },
+  invoice: {
+    name: 'Supplier invoice',
+    description: 'Printed tax invoices with rates, HSN codes, GST and totals',
+    prompt: INVOICE_PROMPT,
+    outputSchema: extendOutputSchema(PRICED_LINE_PROPERTIES, {
+      document: sectionSchema(['number', 'date', 'supplier_name', 'supplier_gstin', 'buyer_name', 'buyer_gstin'], NULLABLE_STRING),
+      totals: sectionSchema(['subtotal', 'discount', 'tax', 'round_off', 'grand_total'], NULLABLE_NUMBER)
+    }),
+    parser: 'priced_products'
+  },
+  purchase_order: {
+    name: 'Purchase order',
+    description: 'Printed purchase orders with ordered lines, rates and totals',
+    prompt: PURCHASE_ORDER_PROMPT,
+    outputSchema: extendOutputSchema(PRICED_LINE_PROPERTIES, {
+      document: sectionSchema(['number', 'date', 'buyer_name', 'supplier_name', 'delivery_date'], NULLABLE_STRING),
+      totals: sectionSchema(['subtotal', 'discount', 'tax', 'grand_total'], NULLABLE_NUMBER)
+    }),
+    parser: 'priced_products'
+  },
+  delivery_challan: {
+    name: 'Delivery challan',
+    description: 'Delivery challans listing dispatched goods without prices',
+    prompt: DELIVERY_CHALLAN_PROMPT,
+    outputSchema: extendOutputSchema({ hsn_code: NULLABLE_STRING }, {
+      document: sectionSchema(['number', 'date', 'supplier_name', 'buyer_name', 'vehicle_number', 'reference'], NULLABLE_STRING)
+    }),
+    parser: 'products'
+  }
+};
+
+/**
+ * Document type used when a request does not name one
+ * @returns {string}
+ */
+const getDefaultDocumentType = () => process.env.OCR_DEFAULT_DOCUMENT_TYPE || DEFAULT_DOCUMENT_TYPE;
+
+/**
+ * Built-in template for a document type
+ * @param {string} documentType - Document type
+ * @returns {Object|null} - Template, or null if there is no built-in for the type
+ */
+const getBuiltinTemplate = (documentType) => {
+  if (!Object.prototype.hasOwnProperty.call(BUILTIN_TEMPLATES, documentType)) return null;
+  const builtin = BUILTIN_TEMPLATES[documentType];
+
+  return { documentType, version: 0, builtIn: true, isActive: true, ...builtin };
+};
+
+/**
+ * Plain template object from a stored version
+ * @param {Object} doc - PromptTemplate document
+ * @returns {Object}
+ */
+const toTemplate = (doc) => ({
+  documentType: doc.documentType,
+  version: doc.version,
+  builtIn: false,
+  isActive: doc.isActive,
+  name: doc.name,
+  description: doc.description,
+  prompt: doc.prompt,
+  outputSchema: doc.outputSchema,
+  parser: doc.parser,
+  createdBy: doc.createdBy,
+  createdAt: doc.createdAt
+});
+
+/**
+ * Resolve the template to extract a document type with.
+ * Without a version the active stored version wins, then the built-in.
+ * @param {string} [documentType] - Document type (defaults to OCR_DEFAULT_DOCUMENT_TYPE, then "item_list")
+ * @param {number} [version] - Specific version; 0 is the built-in
+ * @returns {Promise<Object|null>} - Template, or null if the type or version does not exist
+ */
+const resolvePromptTemplate = async (documentType, version) => {
+  const type = String(documentType || getDefaultDocumentType()).toLowerCase();
+
+  if (version === 0) return getBuiltinTemplate(type);
+
+  const stored = version !== undefined && version !== null
+    ? await PromptTemplate.findOne({ documentType: type, version })
+    : await PromptTemplate.findOne({ documentType: type, isActive: true });
+
+  if (stored) return toTemplate(stored);
+
+  return version !== undefined && version !== null ? null : getBuiltinTemplate(type);
+};
+
+/**
+ * Active template of every document type, without prompts and schemas
+ * @returns {Promise<Array<Object>>}
+ */
+const listPromptTemplates = async () => {
+  const stored = await PromptTemplate.find({ isActive: true }).select('-prompt -outputSchema').lean();
+  const storedTypes = new Set(stored.map(template => template.documentType));
+
+  const summarize = ({ documentType, version, builtIn, name, description, parser, updatedAt }) =>
+    ({ documentType, version, builtIn, name, description, parser, updatedAt });
+
+  return [
+    ...Object.keys(BUILTIN_TEMPLATES)
+      .filter(documentType => !storedTypes.has(documentType))
+      .map(documentType => summarize(getBuiltinTemplate(documentType))),
+    ...stored.map(template => summarize({ ...template, builtIn: false }))
+  ].sort((a, b) => a.documentType.localeCompare(b.documentType));
+};
+
+/**
+ * Version history of a document type, newest first
+ * @param {string} type - Document type, in any case
+ * @returns {Promise<Array<Object>>}
+ */
+const listTemplateVersions = async (type) => {
+  // Stored and resolved in lower case
+  const documentType = String(type).toLowerCase();
+  const stored = await PromptTemplate.find({ documentType })
+    .select('version isActive name parser createdBy createdAt')
+    .sort({ version: -1 })
+    .lean();
+
+  const versions = stored.map(({ version, isActive, name, parser, createdBy, createdAt }) =>
+    ({ version, isActive, name, parser, createdBy, createdAt }));
+
+  const builtin = getBuiltinTemplate(documentType);
+  if (builtin) {
+    versions.push({
+      version: 0,
+      isActive: !stored.some(template => template.isActive),
+      name: builtin.name,
+      parser: builtin.parser,
+      builtIn: true
+    });
+  }
+
+  return versions;
+};
+
+/**
+ * Check a template definition before it is saved
+ * @param {Object} definition - { name, prompt, outputSchema, parser }
+ * @returns {Array<string>} - Problems found; empty when the definition is usable
+ */
+const validateTemplateDefinition = ({ name, prompt, outputSchema, parser }) => {
+  const errors = [];
+
+  if (!name || typeof name !== 'string') errors.push('name is required');
+  if (!prompt || typeof prompt !== 'string' || !prompt.trim()) errors.push('prompt is required');
+  if (!getParser(parser)) errors.push(`parser must be one of: ${listParsers().join(', ')}`);
+
+  if (!outputSchema || typeof outputSchema !== 'object' || Array.isArray(outputSchema)) {
+    errors.push('outputSchema must be a JSON Schema object');
+  } else {
+    try {
+      compileSchema(outputSchema);
+    } catch (error) {
+      errors.push(`outputSchema is not a valid JSON Schema: ${error.message}`);
+    }
+
+    // Parsers, matching and quotations all work on the products list
+    const products = outputSchema.properties && outputSchema.properties.products;
+    if (!products || products.type !== 'array') {
+      errors.push('outputSchema must define a "products" array');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Save a new version of a document type's template.
+ * Fields that are left out are copied from the current template, so a prompt can be edited on its own.
+ * @param {string} type - Document type, in any case
+ * @param {Object} fields - { name, description, prompt, outputSchema, parser }
+ * @param {Object} [options] - Save options
+ * @param {Object} [options.user] - Admin saving the template
+ * @param {boolean} [options.activate] - Make the new version active (default true)
+ * @returns {Promise<Object>} - { template, errors }; template is null when the definition is invalid
+ */
+const savePromptTemplate = async (type, fields, { user, activate = true } = {}) => {
+  const documentType = String(type).toLowerCase();
+  const current = await resolvePromptTemplate(documentType);
+  const base = current || { outputSchema: OCR_OUTPUT_SCHEMA, parser: 'products' };
+
+  const definition = {
+    name: fields.name !== undefined ? fields.name : base.name,
+    description: fields.description !== undefined ? fields.description : base.description,
+    prompt: fields.prompt !== undefined ? fields.prompt : base.prompt,
+    outputSchema: fields.outputSchema !== undefined ? fields.outputSchema : base.outputSchema,
+    parser: fields.parser !== undefined ? fields.parser : base.parser
+  };
+
+  const errors = validateTemplateDefinition(definition);
+  if (errors.length > 0) {
+    return { template: null, errors };
+  }
+
+  const latest = await PromptTemplate.findOne({ documentType }).sort({ version: -1 }).select('version');
+
+  if (activate) {
+    await PromptTemplate.updateMany({ documentType, isActive: true }, { isActive: false });
+  }
+
+  const saved = await PromptTemplate.create({
+    documentType,
+    version: latest ? latest.version + 1 : 1,
+    ...definition,
+    isActive: Boolean(activate),
+    createdBy: user ? user._id : undefined
+  });
+
+  return { template: toTemplate(saved), errors: [] };
+};
+
+/**
+ * Make one version of a document type's template the active one.
+ * Version 0 switches back to the built-in template.
+ * @param {string} type - Document type, in any case
+ * @param {number} version - Version to activate
+ * @returns {Promise<Object|null>} - Activated template, or null if the version does not exist
+ */
+const activatePromptTemplate = async (type, version) => {
+  const documentType = String(type).toLowerCase();
+  const target = await resolvePromptTemplate(documentType, version);
+  if (!target) return null;
+
+  await PromptTemplate.updateMany({ documentType, isActive: true }, { isActive: false });
+
+  if (!target.builtIn) {
+    await PromptTemplate.updateOne({ documentType, version }, { isActive: true });
+  }
+
+  return { ...target, isActive: true };
+};
+
+module.exports = {
+  getBuiltinTemplate,
+  getDefaultDocumentType,
+  resolvePromptTemplate,
+  listPromptTemplates,
+  listTemplateVersions,
+  savePromptTemplate,
+  activatePromptTemplate
+};
@@ -0,0 +1,267 @@
+require('dotenv').config();
+
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_DEADLINE_MS = 120000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MS = 1000;
+const DEFAULT_RETRY_MAX_MS = 15000;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_RESET_MS = 30000;
+
+// Rate limits and server-side failures are worth another try; other 4xx errors are not
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_MESSAGE_REGEX = /fetch failed|aborted|timed out|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EAI_AGAIN|socket hang up|network/i;
+
+/**
+ * Circuit breaker state per provider name, kept in this process
+ */
+const circuits = new Map();
+
+/**
+ * Read an integer setting, allowing 0
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const readSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+/**
+ * Current resilience settings
+ * @returns {Object}
+ */
+const getSettings = () => ({
+  timeoutMs: readSetting('OCR_PROVIDER_TIMEOUT_MS', DEFAULT_TIMEOUT_MS),
+  deadlineMs: readSetting('OCR_PROVIDER_DEADLINE_MS', DEFAULT_DEADLINE_MS),
+  maxRetries: readSetting('OCR_PROVIDER_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+  retryBaseMs: readSetting('OCR_PROVIDER_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS),
+  retryMaxMs: readSetting('OCR_PROVIDER_RETRY_MAX_MS', DEFAULT_RETRY_MAX_MS),
+  failureThreshold: readSetting('OCR_CIRCUIT_FAILURE_THRESHOLD', DEFAULT_FAILURE_THRESHOLD) || DEFAULT_FAILURE_THRESHOLD,
+  circuitResetMs: readSetting('OCR_CIRCUIT_RESET_MS', DEFAULT_CIRCUIT_RESET_MS)
+});
+
+/**
+ * Decide whether a provider error is transient
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+  if (error.code === 'TIMEOUT') return true;
+  if (typeof error.status === 'number') return RETRYABLE_STATUS_CODES.includes(error.status);
+  return RETRYABLE_MESSAGE_REGEX.test(error.message || '');
+};
+
+/**
+ * Delay the provider asked for before retrying (Gemini sends a RetryInfo detail with 429s)
+ * @param {Error} error - Provider error
+ * @returns {number} - Milliseconds, 0 when the provider gave none
+ */
+const requestedRetryDelay = (error) => {
+  const retryInfo = Array.isArray(error.errorDetails)
+    ? error.errorDetails.find(detail => String(detail['@type'] || '').endsWith('RetryInfo'))
+    : null;
+  const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN;
+  return Number.isNaN(seconds) ? 0 : Math.round(seconds * 1000);
+};
+
+/**
+ * Exponential backoff with full jitter, never shorter than what the provider asked for
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} settings - Resilience settings
+ * @param {Error} error - Provider error
+ * @returns {number} - Milliseconds to wait
+ */
+const backoffDelay = (attempt, settings, error) => {
+  const ceiling = Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** (attempt - 1));
+  const jittered = Math.round(Math.random() * ceiling);
+  return Math.min(settings.retryMaxMs, Math.max(jittered, requestedRetryDelay(error)));
+};
+
+/**
+ * Reject when a call takes longer than the timeout, and abort the call's signal so the
+ * provider stops working on (and paying for) a request nobody waits for any more
+ * @param {Function} run - (signal) => Promise of the provider call
+ * @param {number} timeoutMs - Timeout; 0 disables it
+ * @returns {Promise}
+ */
+const withTimeout = (run, timeoutMs) => {
+  const controller = new AbortController();
+  const promise = run(controller.signal);
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`OCR provider did not respond within ${timeoutMs} ms`);
+      error.code = 'TIMEOUT';
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Circuit of a provider, created closed on first use
+ * @param {string} name - Provider name
+ * @returns {Object}
+ */
+const getCircuit = (name) => {
+  if (!circuits.has(name)) {
+    circuits.set(name, { state: 'closed', failures: 0, openedAt: null, trialInFlight: false });
+  }
+  return circuits.get(name);
+};
+
+/**
+ * Error thrown without calling the provider while its circuit is open
+ * @param {string} name - Provider name
+ * @param {number} retryAfterMs - Time until the circuit lets a trial call through
+ * @returns {Error}
+ */
+const circuitOpenError = (name, retryAfterMs) => {
+  const error = new Error(`OCR provider "${name}" is temporarily unavailable after repeated failures; retry in ${Math.ceil(retryAfterMs / 1000)} s`);
+  error.code = 'CIRCUIT_OPEN';
+  error.retryAfterMs = retryAfterMs;
+  return error;
+};
+
+/**
+ * Let a call through the circuit, or fail fast while it is open.
+ * After the reset period one trial call is allowed (half-open); its outcome closes or reopens the circuit.
+ * @param {string} name - Provider name
+ * @param {Object} settings - Resilience settings
+ */
+const enterCircuit = (name, settings) => {
+  const circuit = getCircuit(name);
+
+  if (circuit.state === 'open') {
+    const remaining = settings.circuitResetMs - (Date.now() - circuit.openedAt);
+    if (remaining > 0) throw circuitOpenError(name, remaining);
+    circuit.state = 'half-open';
+  }
+
+  if (circuit.state === 'half-open') {
+    if (circuit.trialInFlight) throw circuitOpenError(name, settings.circuitResetMs);
+    circuit.trialInFlight = true;
+  }
+};
+
+/**
+ * Record the outcome of a call on the provider's circuit, once per call however many
+ * attempts it took, so one request's retries cannot open the circuit on their own.
+ * Only transient failures count; a bad request says nothing about the provider's health.
+ * @param {string} name - Provider name
+ * @param {boolean} success - Whether the call succeeded
+ * @param {boolean} retryable - Whether the failure was transient
+ * @param {Object} settings - Resilience settings
+ */
+const leaveCircuit = (name, success, retryable, settings) => {
+  const circuit = getCircuit(name);
+  const wasTrial = circuit.state === 'half-open';
+  circuit.trialInFlight = false;
+
+  if (success || (!retryable && wasTrial)) {
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.openedAt = null;
+    return;
+  }
+  if (!retryable) return;
+
+  circuit.failures += 1;
+  if (wasTrial || circuit.failures >= settings.failureThreshold) {
+    if (circuit.state !== 'open') {
+      console.warn(`OCR provider "${name}" circuit opened after ${circuit.failures} consecutive failed calls`);
+    }
+    circuit.state = 'open';
+    circuit.openedAt = Date.now();
+  }
+};
+
+/**
+ * Call a provider with a timeout per attempt, retries with backoff on transient errors
+ * and a circuit breaker that fails fast while the provider is unhealthy.
+ * All attempts and the waits between them share a deadline (OCR_PROVIDER_DEADLINE_MS), which
+ * caps how long a request can be held: no retry is started that the deadline would cut short,
+ * and the last attempt gets only the time that is left.
+ * @param {string} name - Provider name
+ * @param {Function} call - (attemptOptions: { attempt, timeoutMs, signal }) => Promise of the provider result;
+ *   `signal` aborts when the attempt times out
+ * @returns {Promise<Object>} - { result, attempts }; on failure the thrown error carries `attempts`, `retryable` and `unavailable`
+ */
+const callWithResilience = async (name, call) => {
+  const settings = getSettings();
+  const attempts = [];
+  const deadline = settings.deadlineMs ? Date.now() + settings.deadlineMs : Infinity;
+
+  try {
+    enterCircuit(name, settings);
+  } catch (error) {
+    attempts.push({ attempt: 1, startedAt: new Date(), durationMs: 0, success: false, error: error.message, circuitOpen: true });
+    error.attempts = attempts;
+    error.unavailable = true;
+    throw error;
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = new Date();
+    const timeoutMs = Math.min(settings.timeoutMs || Infinity, deadline - startedAt.getTime());
+    const attemptTimeoutMs = Number.isFinite(timeoutMs) ? Math.max(1, timeoutMs) : 0;
+
+    try {
+      const result = await withTimeout(
+        signal => call({ attempt, timeoutMs: attemptTimeoutMs, signal }),
+        attemptTimeoutMs
+      );
+      leaveCircuit(name, true, false, settings);
+      attempts.push({ attempt, startedAt, durationMs: Date.now() - startedAt.getTime(), success: true });
+      return { result, attempts };
+    } catch (error) {
+      const retryable = isRetryableError(error);
+      const delayMs = retryable && attempt <= settings.maxRetries ? backoffDelay(attempt, settings, error) : undefined;
+      const willRetry = delayMs !== undefined && Date.now() + delayMs < deadline;
+
+      attempts.push({
+        attempt,
+        startedAt,
+        durationMs: Date.now() - startedAt.getTime(),
+        success: false,
+        error: error.message,
+        statusCode: typeof error.status === 'number' ? error.status : undefined,
+        retryable,
+        delayMs: willRetry ? delayMs : undefined,
+        deadlineExceeded: delayMs !== undefined && !willRetry ? true : undefined
+      });
+
+      if (!willRetry) {
+        leaveCircuit(name, false, retryable, settings);
+        error.attempts = attempts;
+        error.retryable = retryable;
+        error.unavailable = retryable;
+        throw error;
+      }
+
+      await sleep(delayMs);
+    }
+  }
+};
+
+/**
+ * Circuit state of every provider called so far, for health checks
+ * @returns {Object} - Provider name -> state ("closed", "open" or "half-open")
+ */
+const getCircuitStates = () => Object.fromEntries(
+  Array.from(circuits.entries()).map(([name, circuit]) => [name, circuit.state])
+);
+
+module.exports = {
+  callWithResilience,
+  getCircuitStates,
+  isRetryableError
+};
@@ -0,0 +1,198 @@
+const UNICODE_FRACTIONS = {
+  '¼': '1/4', '½': '1/2', '¾': '3/4',
+  '⅓': '1/3', '⅔': '2/3', '⅕': '1/5', '⅛': '1/8'
+};
+
+// English, transliterated Hindi and Devanagari number words
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, fifty: 50, hundred: 100,
+  half: 0.5, quarter: 0.25,
+  ek: 1, do: 2, teen: 3, char: 4, chaar: 4, panch: 5, paanch: 5, chhe: 6, chhah: 6,
+  saat: 7, aath: 8, nau: 9, das: 10, bees: 20, sau: 100,
+  adha: 0.5, aadha: 0.5, dedh: 1.5, dhai: 2.5, dhaai: 2.5,
+  'एक': 1, 'दो': 2, 'तीन': 3, 'चार': 4, 'पांच': 5, 'पाँच': 5, 'छह': 6, 'सात': 7,
+  'आठ': 8, 'नौ': 9, 'दस': 10, 'बीस': 20, 'सौ': 100,
+  'आधा': 0.5, 'डेढ़': 1.5, 'ढाई': 2.5
+};
+
+// Words that multiply the count rather than name a unit
+const MULTIPLIER_WORDS = {
+  dozen: 12, dozens: 12, dz: 12, doz: 12, darjan: 12, 'दर्जन': 12,
+  gross: 144
+};
+
+// Unit spellings and abbreviations mapped to one canonical unit
+const UNIT_ALIASES = {
+  pcs: ['pc', 'pcs', 'piece', 'pieces', 'nos', 'no', 'nag', 'unit', 'units', 'qty', 'नग', 'पीस'],
+  roll: ['roll', 'rolls', 'rl', 'रोल'],
+  box: ['box', 'boxes', 'bx', 'dabba', 'dibba', 'डिब्बा', 'बॉक्स'],
+  carton: ['carton', 'cartons', 'ctn', 'ctns'],
+  packet: ['packet', 'packets', 'pkt', 'pkts', 'pack', 'packs', 'पैकेट'],
+  bundle: ['bundle', 'bundles', 'bdl', 'bndl', 'बंडल'],
+  coil: ['coil', 'coils', 'कॉइल'],
+  set: ['set', 'sets', 'सेट'],
+  pair: ['pair', 'pairs', 'jodi', 'जोड़ी'],
+  kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms', 'किलो'],
+  g: ['g', 'gm', 'gms', 'gram', 'grams', 'ग्राम'],
+  l: ['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters', 'लीटर'],
+  ml: ['ml', 'mls'],
+  m: ['m', 'mtr', 'mtrs', 'meter', 'meters', 'metre', 'metres', 'मीटर'],
+  ft: ['ft', 'feet', 'foot', 'फुट'],
+  bag: ['bag', 'bags', 'bori', 'बोरी']
+};
+
+const UNIT_LOOKUP = Object.entries(UNIT_ALIASES).reduce((lookup, [unit, aliases]) => {
+  aliases.forEach(alias => { lookup[alias] = unit; });
+  return lookup;
+}, {});
+
+// Units that hold other items, so "5 box x 12" counts pieces
+const CONTAINER_UNITS = ['box', 'carton', 'packet', 'bundle', 'bag', 'set'];
+
+// Measures a compound quantity ("5 kg 500 g") can add up, with their size in the first unit of each
+const UNIT_DIMENSIONS = {
+  kg: ['mass', 1], g: ['mass', 0.001],
+  l: ['volume', 1], ml: ['volume', 0.001],
+  m: ['length', 1], ft: ['length', 0.3048]
+};
+
+// A plain fraction ("1/2") or a number with an optional fraction ("2.5", "1 1/2")
+const NUMBER_REGEX = /^(\d+)\/(\d+)|^(\d+(?:\.\d+)?)(?:\s+(\d+)\/(\d+))?/;
+const MULTIPLY_REGEX = /\s*[x\u00D7*]\s*(?=\d)|(?<=\d)\s*[x\u00D7*]\s*/;
+// The upper end of a range: "2-3", "2 to 3"
+const RANGE_REGEX = /^\s*(?:-|\u2013|to\b)\s*(\d+(?:\.\d+)?)/;
+// Where a unit word is followed by another number: "5 kg | 500 g"
+const COMPOUND_REGEX = /(?<=[\p{L}\p{M}])\s*(?=\d)/u;
+
+/**
+ * Lower-case, convert Devanagari digits and split unicode fractions ("1½" -> "1 1/2")
+ * @param {string} text - Raw quantity text
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[\u0966-\u096F]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+  .replace(/(\d?)([\u00BC-\u00BE\u2153\u2154\u2155\u215B])/g, (match, whole, fraction) => `${whole}${whole ? ' ' : ''}${UNICODE_FRACTIONS[fraction]}`)
+  .replace(/,/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Parse one number and unit such as "5 box", "2 dozen", "1 1/2 kg", "dedh kilo" or "2-3 pcs"
+ * @param {string} term - Normalized term
+ * @returns {Object|null} - { value, unit, max }, or null if the term carries no number;
+ *   max is set only for a range, whose lower end is the value
+ */
+const parseSimpleTerm = (term) => {
+  let value = null;
+  let max = null;
+  let rest = term;
+
+  const numberMatch = rest.match(NUMBER_REGEX);
+  if (numberMatch) {
+    if (numberMatch[1]) {
+      value = Number(numberMatch[1]) / Number(numberMatch[2]);
+    } else {
+      value = Number(numberMatch[3]);
+      if (numberMatch[4]) value += Number(numberMatch[4]) / Number(numberMatch[5]);
+    }
+    rest = rest.slice(numberMatch[0].length);
+
+    const rangeMatch = rest.match(RANGE_REGEX);
+    if (rangeMatch && Number(rangeMatch[1]) > value) {
+      max = Number(rangeMatch[1]);
+      rest = rest.slice(rangeMatch[0].length);
+    }
+  }
+
+  let unit = null;
+  rest.split(/[\s.]+/).filter(Boolean).forEach(word => {
+    if (value === null && NUMBER_WORDS[word] !== undefined) {
+      value = NUMBER_WORDS[word];
+    } else if (MULTIPLIER_WORDS[word] !== undefined) {
+      value = (value === null ? 1 : value) * MULTIPLIER_WORDS[word];
+      if (max !== null) max *= MULTIPLIER_WORDS[word];
+      unit = unit || 'pcs';
+    } else if (!unit || unit === 'pcs') {
+      unit = UNIT_LOOKUP[word] || unit;
+    }
+  });
+
+  if (value === null) return null;
+
+  return { value, unit, max };
+};
+
+/**
+ * Parse one multiplication term. A compound quantity whose parts measure the same thing
+ * ("5 kg 500 g", "2 dozen 6 pcs") is added up in the unit of its first part.
+ * @param {string} term - Normalized term
+ * @returns {Object|null} - { value, unit, max } (see parseSimpleTerm)
+ */
+const parseTerm = (term) => {
+  const parts = term.split(COMPOUND_REGEX).map(parseSimpleTerm);
+  const dimensionOf = (part) => (UNIT_DIMENSIONS[part.unit] ? UNIT_DIMENSIONS[part.unit][0] : part.unit);
+  const sizeOf = (part) => (UNIT_DIMENSIONS[part.unit] ? UNIT_DIMENSIONS[part.unit][1] : 1);
+
+  const combinable = parts.length > 1 && parts.every(part =>
+    part && part.unit && part.max === null && dimensionOf(part) === dimensionOf(parts[0])
+  );
+  if (!combinable) return parseSimpleTerm(term);
+
+  const total = parts.reduce((sum, part) => sum + part.value * sizeOf(part), 0);
+  return { value: total / sizeOf(parts[0]), unit: parts[0].unit, max: null };
+};
+
+/**
+ * Parse a free-text quantity
+ * @param {*} rawText - Quantity as extracted by OCR, e.g. "2 dozen", "5 box x 12", "½ kg"
+ * @returns {Object} - { value, unit, rawText }; value and unit are null when nothing could be parsed.
+ *   A range ("2-3 pcs") adds ambiguous: true and range: { min, max }, with value its lower end.
+ */
+const parseQuantity = (rawText) => {
+  if (typeof rawText === 'number') {
+    return { value: rawText, unit: null, rawText: String(rawText) };
+  }
+
+  const text = rawText === null || rawText === undefined ? '' : String(rawText);
+  const normalized = normalizeText(text);
+
+  if (!normalized) {
+    return { value: null, unit: null, rawText: text };
+  }
+
+  const terms = normalized.split(MULTIPLY_REGEX).map(parseTerm);
+
+  if (terms.some(term => term === null)) {
+    return { value: null, unit: null, rawText: text };
+  }
+
+  const value = terms.reduce((total, term) => total * term.value, 1);
+  const max = terms.reduce((total, term) => total * (term.max === null ? term.value : term.max), 1);
+
+  // "0/0 kg" and the like
+  if (!Number.isFinite(value) || !Number.isFinite(max)) {
+    return { value: null, unit: null, rawText: text };
+  }
+  const lastUnit = [...terms].reverse().find(term => term.unit);
+  let unit = lastUnit ? lastUnit.unit : null;
+
+  // "5 box x 12": the inner count has no unit, so the total is in pieces
+  if (terms.length > 1 && !terms[terms.length - 1].unit && CONTAINER_UNITS.includes(unit)) {
+    unit = 'pcs';
+  }
+
+  const round = (number) => Math.round(number * 1000) / 1000;
+
+  return {
+    value: round(value),
+    unit,
+    rawText: text,
+    ...(max !== value && { ambiguous: true, range: { min: round(value), max: round(max) } })
+  };
+};
+
+module.exports = {
+  parseQuantity
+};
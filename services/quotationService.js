@@ -1,4 +1,5 @@
 const Quotation = require('../models/Quotation');
+const Product = require('../models/Product');
 
 /**
  * Generate a unique quotation number
@@ -65,7 +66,72 @@ const calculateTotals = (items) => {
     };
 };
 
+/**
+ * Fill in each item's name, price, units, discount and GST from its catalogue product
+ * @param {Array} items - Items with a product ID, a quantity and an optional discountPercentage
+ * @returns {Promise<Array|null>} - Items with product details, or null if any product is unknown or listed twice
+ */
+const addProductDetails = async (items) => {
+    const productIds = items.map(item => item.product);
+    const products = await Product.find({ '_id': { $in: productIds } });
+
+    // Every item needs its own, existing product
+    if (products.length !== productIds.length) {
+        return null;
+    }
+
+    const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+    return items.map(item => {
+        const product = productMap.get(item.product.toString());
+        return {
+            ...item,
+            product: product._id,
+            productName: product.name,
+            price: product.price,
+            units: product.units,
+            discountPercentage: item.discountPercentage || product.defaultDiscount,
+            gstPercentage: product.gstPercentage,
+        };
+    });
+};
+
+/**
+ * Price, number and save a new quotation
+ * @param {Object} params - Quotation details
+ * @param {Object} params.customer - Customer name and contact details
+ * @param {Array} params.items - Items with a product ID, a quantity and an optional discountPercentage
+ * @param {string} [params.notes] - Notes
+ * @param {Date} [params.validUntil] - Expiry date
+ * @param {string} [params.status] - Initial status (defaults to draft)
+ * @param {ObjectId} params.createdBy - User creating the quotation
+ * @returns {Promise<Object|null>} - Saved quotation, or null if any product is unknown or listed twice
+ */
+const createQuotationRecord = async ({ customer, items, notes, validUntil, status, createdBy }) => {
+    const itemsWithDetails = await addProductDetails(items);
+    if (!itemsWithDetails) return null;
+
+    const { processedItems, subtotal, totalDiscountAmount, totalGstAmount, grandTotal } = calculateTotals(itemsWithDetails);
+
+    const quotation = new Quotation({
+        quotationNumber: await generateQuotationNumber(),
+        customer,
+        items: processedItems,
+        subtotal,
+        totalDiscountAmount,
+        totalGstAmount,
+        grandTotal,
+        ...(status && { status }),
+        notes,
+        validUntil,
+        createdBy
+    });
+
+    return quotation.save();
+};
+
 module.exports = {
     generateQuotationNumber,
     calculateTotals,
+    createQuotationRecord,
 };
@@ -0,0 +1,178 @@
+// Devanagari letters romanized the way Hindi is commonly typed in Latin script
+const INDEPENDENT_VOWELS = {
+  'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+  'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o', 'ऍ': 'e'
+};
+
+const VOWEL_SIGNS = {
+  'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+  'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'e'
+};
+
+const CONSONANTS = {
+  'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+  'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+  'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+  'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+  'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+  'य': 'y', 'र': 'r', 'ल': 'l', 'व': 'v',
+  'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+// Consonants written with a nukta, mostly in English and Urdu loanwords
+const NUKTA_CONSONANTS = {
+  'क': 'q', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'd', 'ढ': 'dh', 'फ': 'f'
+};
+
+const PRECOMPOSED_NUKTA = {
+  'क़': 'क', 'ख़': 'ख', 'ग़': 'ग', 'ज़': 'ज', 'ड़': 'ड', 'ढ़': 'ढ', 'फ़': 'फ'
+};
+
+const NUKTA = '़';
+const VIRAMA = '्';
+const NASALS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+
+// Hindi and Hinglish trade words mapped to the English used in the catalogue.
+// Keys are in folded spelling (see foldSpelling), so "taar", "tar" and "तार" all hit "tar".
+const TRADE_TERMS = {
+  tar: 'wire',
+  kebal: 'cable',
+  paip: 'pipe',
+  nali: 'pipe',
+  balb: 'bulb',
+  batti: 'light',
+  pankha: 'fan',
+  svich: 'switch',
+  soket: 'socket',
+  plag: 'plug',
+  holdar: 'holder',
+  tep: 'tape',
+  kil: 'nail',
+  pech: 'screw',
+  chadar: 'sheet',
+  lal: 'red',
+  hara: 'green',
+  nila: 'blue',
+  pila: 'yellow',
+  kala: 'black',
+  safed: 'white',
+  bhura: 'brown',
+  gulabi: 'pink',
+  narangi: 'orange',
+  sleti: 'grey'
+};
+
+const DEVANAGARI_REGEX = /[ऀ-ॿ]/;
+
+/**
+ * Romanize Devanagari text; Latin letters, digits and punctuation pass through.
+ * The inherent "a" is dropped at the end of a word, as in spoken Hindi ("तार" -> "taar").
+ * @param {string} text - Text in Devanagari, Latin or both
+ * @returns {string}
+ */
+const transliterate = (text) => {
+  const chars = Array.from(String(text || '').normalize('NFD'))
+    .map(char => PRECOMPOSED_NUKTA[char] || char);
+  let output = '';
+
+  for (let index = 0; index < chars.length; index++) {
+    const char = chars[index];
+
+    if (CONSONANTS[char]) {
+      const hasNukta = chars[index + 1] === NUKTA;
+      if (hasNukta) index++;
+      output += hasNukta ? (NUKTA_CONSONANTS[char] || CONSONANTS[char]) : CONSONANTS[char];
+
+      const next = chars[index + 1];
+      if (next === VIRAMA) {
+        index++;
+      } else if (VOWEL_SIGNS[next]) {
+        output += VOWEL_SIGNS[next];
+        index++;
+      } else if (next !== undefined && DEVANAGARI_REGEX.test(next)) {
+        output += 'a';
+      }
+    } else if (INDEPENDENT_VOWELS[char]) {
+      output += INDEPENDENT_VOWELS[char];
+    } else if (NASALS[char]) {
+      output += NASALS[char];
+    } else if (char >= '०' && char <= '९') {
+      output += String(char.charCodeAt(0) - 0x0966);
+    } else if (char === '।' || char === '॥') {
+      output += '.';
+    } else if (!DEVANAGARI_REGEX.test(char)) {
+      output += char;
+    }
+  }
+
+  return output.normalize('NFC');
+};
+
+/**
+ * Fold the spelling variants of romanized Hindi ("taar", "tar"; "paaip", "paip")
+ * @param {string} word - Lower-case Latin word
+ * @returns {string}
+ */
+const foldSpelling = (word) => word
+  .replace(/aa+/g, 'a')
+  .replace(/ee+/g, 'i')
+  .replace(/oo+/g, 'u')
+  .replace(/([^aeiou])\1+/g, '$1')
+  .replace(/w/g, 'v');
+
+/**
+ * Lower-case, join numbers to their units ("2.5 mm" -> "2.5mm") and tidy spacing
+ * @param {string} text - Product name
+ * @returns {string}
+ */
+const normalizeName = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/(\d)\s+(mm|cm|m|kg|g|ml|l|w|v|a|amp|ft|inch|in)\b/g, '$1$2')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Replace Hindi trade words with their catalogue English ("taar 2.5mm" -> "wire 2.5mm")
+ * @param {string} text - Romanized, normalized name
+ * @returns {string}
+ */
+const translateTradeTerms = (text) => text
+  .split(' ')
+  .map(word => TRADE_TERMS[foldSpelling(word)] || TRADE_TERMS[foldSpelling(word.replace(/[aeiou]$/, ''))] || word)
+  .join(' ');
+
+/**
+ * Names to search the catalogue with for one extracted line, most literal first:
+ * the name as read, the model's transliteration, our own transliteration and
+ * the same with trade words translated
+ * @param {Object} product - Extracted product line
+ * @returns {Array<Object>} - [{ query, transliterated }] without duplicates
+ */
+const getSearchNames = (product) => {
+  const original = String(product.product_name || '').trim();
+  const latinNames = [product.product_name_latin, transliterate(original)]
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(normalizeName);
+
+  const candidates = [
+    { query: original, transliterated: false },
+    ...latinNames.map(query => ({ query, transliterated: true })),
+    ...latinNames.map(query => ({ query: translateTradeTerms(query), transliterated: true }))
+  ];
+
+  const seen = new Set([normalizeName(original)]);
+  return candidates.filter((candidate, index) => {
+    if (!candidate.query) return false;
+    if (index === 0) return true;
+    if (seen.has(candidate.query)) return false;
+    seen.add(candidate.query);
+    return true;
+  });
+};
+
+module.exports = {
+  transliterate,
+  normalizeName,
+  translateTradeTerms,
+  getSearchNames
+};